@@ -0,0 +1,205 @@
+// FirstDibsAI matching
+// Matches new arrivals (lines of recently received receipts) to customers who have bought the
+// same brand before, with a draft message for each. Where the data comes from is passed in, so
+// npm test can run the matching against an in-memory database.
+
+// db:            anything with pg's query(text, values)
+// getItems:      item IDs -> Map of item ID (string) -> Heartland item (the item mirror)
+// getVendorName: vendor ID -> name
+// getImageUrl:   (gridId, itemId) -> URL of the first saved photo, or null
+function createFirstDibsMatcher({ db, getItems, getVendorName, getImageUrl }) {
+  // New arrivals matched to customers, strongest matches first
+  async function findMatches({ limit = 20, daysBack = 7, now = new Date() } = {}) {
+    // Step 1: Get recent receipt items (new arrivals) - item_receipts is kept current by receipt ingestion
+    const dateFilter = new Date(now.getTime() - daysBack * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+    
+    // Lines of the 10 most recent receipts, first 20 lines each
+    const linesResult = await db.query(`
+      WITH recent_receipts AS (
+        SELECT receipt_id, MAX(received_date) AS received_date
+        FROM item_receipts
+        WHERE received_date >= $1
+        GROUP BY receipt_id
+        ORDER BY MAX(received_date) DESC
+        LIMIT 10
+      )
+      SELECT receipt_id, received_date, item_id
+      FROM (
+        SELECT ir.receipt_id, rr.received_date, ir.item_id,
+               ROW_NUMBER() OVER (PARTITION BY ir.receipt_id ORDER BY ir.id) AS line_number
+        FROM item_receipts ir
+        JOIN recent_receipts rr ON rr.receipt_id = ir.receipt_id
+      ) lines
+      WHERE line_number <= 20
+      ORDER BY received_date DESC, receipt_id, line_number
+    `, [dateFilter]);
+    
+    if (linesResult.rows.length === 0) {
+      return {
+        matches: [],
+        newItemCount: 0,
+        receiptCount: 0,
+        message: 'No recent receipts found'
+      };
+    }
+    
+    // Step 2: Get unique items from recent receipts with their details
+    const newItems = [];
+    const seenGrids = new Set();
+    
+    // Item details come from the mirror; walk them in receipt order
+    const itemsById = await getItems(linesResult.rows.map(row => row.item_id));
+    const receiptItems = new Map();
+    for (const row of linesResult.rows) {
+      if (!receiptItems.has(row.receipt_id)) {
+        receiptItems.set(row.receipt_id, { receivedDate: row.received_date, items: [] });
+      }
+      // Skip items that can't be fetched
+      const item = itemsById.get(String(row.item_id));
+      if (item) receiptItems.get(row.receipt_id).items.push(item);
+    }
+    
+    for (const { receivedDate, items } of receiptItems.values()) {
+      for (const item of items) {
+        try {
+          // Skip if we've already processed this grid
+          if (item.grid_id && seenGrids.has(item.grid_id)) continue;
+          if (item.grid_id) seenGrids.add(item.grid_id);
+          
+          const brand = item.custom?.brand || item.custom?.Brand || '';
+          const category = item.custom?.category || item.custom?.Category || '';
+          const size = item.custom?.size || item.custom?.Size || '';
+          
+          // Only include items with brand info (needed for matching)
+          if (!brand) continue;
+          
+          let vendorName = brand;
+          if (item.primary_vendor_id) {
+            vendorName = await getVendorName(item.primary_vendor_id);
+          }
+          
+          newItems.push({
+            id: item.grid_id || item.id,
+            name: item.custom?.style_name || item.description || 'Unknown Item',
+            brand: vendorName,
+            category: category,
+            color: item.custom?.color_name || item.custom?.Color_Name || '',
+            size: size,
+            price: item.price || 0,
+            receiptDate: receivedDate,
+            itemId: item.id,
+            gridId: item.grid_id || null,
+            imageUrl: await getImageUrl(item.grid_id, item.id)
+          });
+        } catch (e) {
+          console.error(`Error preparing item ${item.id}:`, e.message);
+        }
+        
+        if (newItems.length >= 30) break; // Limit items to process
+      }
+      
+      if (newItems.length >= 30) break;
+    }
+    
+    // Step 3: For each new item, find matching customers
+    const matches = [];
+    
+    for (const item of newItems) {
+      // Find customers who have bought this brand before
+      const customerResult = await db.query(`
+        SELECT DISTINCT ON (c.heartland_customer_id)
+          c.heartland_customer_id,
+          c.first_name,
+          c.last_name,
+          c.email,
+          c.phone,
+          c.lifetime_value,
+          EXTRACT(DAY FROM NOW() - c.last_purchase_date)::INTEGER as days_since_purchase
+        FROM customers c
+        INNER JOIN sales_transactions st ON st.customer_id = c.heartland_customer_id
+        WHERE (c.email IS NOT NULL OR c.phone IS NOT NULL)
+          AND st.brand = $1
+        ORDER BY c.heartland_customer_id, c.lifetime_value DESC
+        LIMIT 5
+      `, [item.brand]);
+      
+      for (const cust of customerResult.rows) {
+        // Get customer's previous purchase of this brand
+        const prevPurchaseResult = await db.query(`
+          SELECT item_name, brand, item_color, item_size, total_amount, transaction_date
+          FROM sales_transactions
+          WHERE customer_id = $1 AND brand = $2
+          ORDER BY transaction_date DESC
+          LIMIT 1
+        `, [cust.heartland_customer_id, item.brand]);
+        
+        const prevPurchase = prevPurchaseResult.rows[0];
+        if (!prevPurchase) continue;
+        
+        // Calculate match strength
+        let matchStrength = 'good';
+        const sizeMatch = prevPurchase.item_size === item.size;
+        if (sizeMatch && cust.days_since_purchase < 90) {
+          matchStrength = 'strong';
+        }
+        
+        // Generate draft message
+        const firstName = cust.first_name || 'there';
+        const draftMessage = `Hi ${firstName}! It's Kelly at The Boutique. We just got the new ${item.brand} ${item.name} and I immediately thought of you based on your love of ${item.brand}. Want me to hold one for you? 💙`;
+        
+        matches.push({
+          id: `${item.id}-${cust.heartland_customer_id}`,
+          customer: {
+            id: cust.heartland_customer_id,
+            name: `${cust.first_name || ''} ${cust.last_name || ''}`.trim() || 'Unknown Customer',
+            email: cust.email,
+            phone: cust.phone
+          },
+          previousPurchase: {
+            item: prevPurchase.item_name,
+            brand: prevPurchase.brand,
+            color: prevPurchase.item_color,
+            size: prevPurchase.item_size,
+            date: prevPurchase.transaction_date ? new Date(prevPurchase.transaction_date).toISOString().split('T')[0] : null,
+            price: parseFloat(prevPurchase.total_amount)
+          },
+          newItem: {
+            gridId: item.gridId,
+            name: item.name,
+            brand: item.brand,
+            color: item.color,
+            size: item.size,
+            price: item.price,
+            imageUrl: item.imageUrl
+          },
+          daysSincePurchase: cust.days_since_purchase,
+          daysSinceContact: null,
+          draftMessage: draftMessage,
+          matchStrength: matchStrength,
+          itemStatus: 'ready'
+        });
+        
+        if (matches.length >= limit) break;
+      }
+      
+      if (matches.length >= limit) break;
+    }
+    
+    // Sort by match strength (strong first) then by days since purchase
+    matches.sort((a, b) => {
+      if (a.matchStrength === 'strong' && b.matchStrength !== 'strong') return -1;
+      if (b.matchStrength === 'strong' && a.matchStrength !== 'strong') return 1;
+      return (a.daysSincePurchase || 999) - (b.daysSincePurchase || 999);
+    });
+    
+    return {
+      matches: matches.slice(0, limit),
+      newItemCount: newItems.length,
+      receiptCount: receiptItems.size
+    };
+  }
+
+  return { findMatches };
+}
+
+module.exports = { createFirstDibsMatcher };
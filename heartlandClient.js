@@ -0,0 +1,273 @@
+// Shared Heartland Retail API client
+// Every Heartland call goes through one client so the whole app shares a single
+// rate limit and concurrency budget. Requests are throttled with a token bucket,
+// retried with exponential backoff on 429/5xx/network errors, aborted after a
+// timeout, and counted per endpoint for /api/heartland/metrics.
+
+const RETRYABLE_STATUSES = new Set([429, 500, 502, 503, 504]);
+// A 5xx or dropped connection on a POST may still have been applied, so only
+// idempotent methods are retried for those; 429s are always safe to retry
+const IDEMPOTENT_METHODS = new Set(['GET', 'HEAD', 'PUT', 'DELETE']);
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Helper: Collapse IDs so /items/123 and /items/456 share one metrics bucket
+function endpointKey(endpoint) {
+  return endpoint
+    .split('?')[0]
+    .replace(/\/\d+(?=\/|$)/g, '/:id');
+}
+
+// Helper: Retry-After is either seconds or an HTTP date
+function parseRetryAfter(header) {
+  if (!header) return null;
+  const seconds = Number(header);
+  if (!Number.isNaN(seconds)) return seconds * 1000;
+  const date = Date.parse(header);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function createHeartlandClient({
+  baseUrl,
+  token,
+  requestsPerSecond = 5,
+  burst = 10,
+  maxConcurrency = 4,
+  timeoutMs = 30000,
+  maxRetries = 4,
+  retryBaseMs = 500,
+  retryMaxMs = 30000,
+} = {}) {
+  // ========== Token bucket ==========
+  let tokens = burst;
+  let lastRefill = Date.now();
+
+  async function takeToken() {
+    for (;;) {
+      const now = Date.now();
+      tokens = Math.min(burst, tokens + ((now - lastRefill) / 1000) * requestsPerSecond);
+      lastRefill = now;
+      if (tokens >= 1) {
+        tokens -= 1;
+        return;
+      }
+      await sleep(Math.ceil(((1 - tokens) / requestsPerSecond) * 1000));
+    }
+  }
+
+  // ========== Concurrency slots ==========
+  let active = 0;
+  const waiting = [];
+
+  async function acquireSlot() {
+    if (active < maxConcurrency) {
+      active++;
+      return;
+    }
+    await new Promise(resolve => waiting.push(resolve));
+  }
+
+  function releaseSlot() {
+    const next = waiting.shift();
+    if (next) {
+      next();
+    } else {
+      active--;
+    }
+  }
+
+  // ========== Metrics ==========
+  const metrics = new Map();
+  const startedAt = new Date();
+
+  function recordMetric(key, { durationMs, status, error, retried }) {
+    let entry = metrics.get(key);
+    if (!entry) {
+      entry = { endpoint: key, requests: 0, errors: 0, retries: 0, rateLimited: 0, timeouts: 0, totalMs: 0, maxMs: 0, lastStatus: null, lastError: null, lastRequestAt: null };
+      metrics.set(key, entry);
+    }
+    entry.requests++;
+    entry.totalMs += durationMs;
+    entry.maxMs = Math.max(entry.maxMs, durationMs);
+    entry.lastStatus = status;
+    entry.lastRequestAt = new Date().toISOString();
+    if (status === 429) entry.rateLimited++;
+    if (error) {
+      entry.errors++;
+      entry.lastError = error.message;
+      if (error.name === 'TimeoutError') entry.timeouts++;
+    }
+    if (retried) entry.retries++;
+  }
+
+  function getMetrics() {
+    const endpoints = [...metrics.values()]
+      .map(({ totalMs, ...entry }) => ({
+        ...entry,
+        avgMs: entry.requests ? Math.round(totalMs / entry.requests) : 0,
+      }))
+      .sort((a, b) => b.requests - a.requests);
+
+    return {
+      since: startedAt.toISOString(),
+      config: { requestsPerSecond, burst, maxConcurrency, timeoutMs, maxRetries },
+      active,
+      queued: waiting.length,
+      totals: endpoints.reduce((sum, e) => ({
+        requests: sum.requests + e.requests,
+        errors: sum.errors + e.errors,
+        retries: sum.retries + e.retries,
+        rateLimited: sum.rateLimited + e.rateLimited,
+        timeouts: sum.timeouts + e.timeouts,
+      }), { requests: 0, errors: 0, retries: 0, rateLimited: 0, timeouts: 0 }),
+      endpoints,
+    };
+  }
+
+  function resetMetrics() {
+    metrics.clear();
+  }
+
+  // ========== Requests ==========
+  function backoffDelay(attempt, retryAfterMs) {
+    if (retryAfterMs !== null && retryAfterMs !== undefined) return Math.min(retryAfterMs, retryMaxMs);
+    const exponential = retryBaseMs * 2 ** attempt;
+    return Math.min(retryMaxMs, exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  // One HTTP attempt, holding a concurrency slot only while the request is in flight
+  async function attemptRequest(endpoint, options) {
+    await acquireSlot();
+    try {
+      await takeToken();
+      const response = await fetch(`${baseUrl}${endpoint}`, {
+        ...options,
+        signal: options.signal
+          ? AbortSignal.any([options.signal, AbortSignal.timeout(timeoutMs)])
+          : AbortSignal.timeout(timeoutMs),
+        headers: {
+          'Authorization': `Bearer ${token}`,
+          'Content-Type': 'application/json',
+          ...options.headers,
+        },
+      });
+      const text = await response.text();
+      return { response, text };
+    } finally {
+      releaseSlot();
+    }
+  }
+
+  // options are passed to fetch, except `retries` which overrides maxRetries for this call
+  async function request(endpoint, { retries = maxRetries, ...options } = {}) {
+    const key = endpointKey(endpoint);
+    const idempotent = IDEMPOTENT_METHODS.has((options.method || 'GET').toUpperCase());
+
+    for (let attempt = 0; ; attempt++) {
+      const started = Date.now();
+      let response;
+      let text;
+
+      try {
+        ({ response, text } = await attemptRequest(endpoint, options));
+      } catch (error) {
+        // Caller cancellations are not retried; timeouts and network failures are
+        const callerAborted = options.signal?.aborted;
+        const retry = idempotent && !callerAborted && attempt < retries;
+        const failure = error.name === 'TimeoutError'
+          ? Object.assign(new Error(`Heartland API timeout after ${timeoutMs}ms: ${endpoint}`), { name: 'TimeoutError' })
+          : error;
+        recordMetric(key, { durationMs: Date.now() - started, status: null, error: failure, retried: retry });
+        if (!retry) throw failure;
+        await sleep(backoffDelay(attempt));
+        continue;
+      }
+
+      const durationMs = Date.now() - started;
+
+      if (!response.ok) {
+        const error = new Error(`Heartland API error: ${response.status} ${response.statusText}${text ? ` - ${text}` : ''}`);
+        error.status = response.status;
+        const retry = RETRYABLE_STATUSES.has(response.status)
+          && (idempotent || response.status === 429)
+          && attempt < retries;
+        recordMetric(key, { durationMs, status: response.status, error, retried: retry });
+
+        if (retry) {
+          const delay = backoffDelay(attempt, parseRetryAfter(response.headers.get('retry-after')));
+          console.warn(`Heartland ${response.status} on ${key}, retrying in ${Math.round(delay)}ms (attempt ${attempt + 1}/${retries})`);
+          await sleep(delay);
+          continue;
+        }
+
+        console.error('Heartland API error details:', text);
+        throw error;
+      }
+
+      recordMetric(key, { durationMs, status: response.status });
+
+      // Handle empty responses (common for PUT/DELETE)
+      if (!text) {
+        return { success: true };
+      }
+
+      try {
+        return JSON.parse(text);
+      } catch (e) {
+        // If it's not JSON, return the text
+        return { success: true, body: text };
+      }
+    }
+  }
+
+  // Page through a list endpoint until a short page comes back (options go to every page request)
+  async function fetchAllPages(endpoint, maxPages = 50, options = {}) {
+    const allResults = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore && page <= maxPages) {
+      const separator = endpoint.includes('?') ? '&' : '?';
+      const data = await request(`${endpoint}${separator}page=${page}&per_page=100`, options);
+
+      if (data.results && data.results.length > 0) {
+        allResults.push(...data.results);
+        hasMore = data.results.length === 100; // If we got 100, there might be more
+        page++;
+      } else {
+        hasMore = false;
+      }
+    }
+
+    return allResults;
+  }
+
+  // Run fn over items with at most `concurrency` calls in flight; results keep input order.
+  // fn is expected to handle its own errors - a throw rejects the whole batch and stops
+  // the remaining items from starting (this is how a cancelled sync stops mid-loop).
+  async function mapWithConcurrency(items, fn, concurrency = maxConcurrency) {
+    const results = new Array(items.length);
+    let next = 0;
+    let stopped = false;
+
+    async function worker() {
+      while (!stopped && next < items.length) {
+        const index = next++;
+        try {
+          results[index] = await fn(items[index], index);
+        } catch (error) {
+          stopped = true;
+          throw error;
+        }
+      }
+    }
+
+    const workers = Array.from({ length: Math.min(concurrency, items.length) }, worker);
+    await Promise.all(workers);
+    return results;
+  }
+
+  return { request, fetchAllPages, mapWithConcurrency, getMetrics, resetMetrics };
+}
+
+module.exports = { createHeartlandClient };
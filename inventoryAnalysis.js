@@ -0,0 +1,362 @@
+// InventoryIQ aging analysis
+// Buckets on-hand stock by days since it was last received and suggests a markdown for each
+// bucket. The thresholds and markdowns come from a stored rule set instead of being hard-coded:
+// thresholds per category, markdown percentages, exclusions (basics, never-out-of-stock items)
+// and seasonal overrides. Callers load the data; this module only does the arithmetic, so the
+// /api/inventory/sync endpoint and the nightly sync produce exactly the same analysis.
+
+// Aging buckets in order; anything younger than the watch threshold is 'fresh'
+const AGING_BUCKETS = ['watch', 'slow', 'dead', 'emergency'];
+
+// Sell-through windows for the store health metrics (days since received)
+const STORE_METRIC_WINDOWS = [30, 45, 60, 90];
+
+const DEFAULT_INVENTORY_RULES = {
+  // Minimum days since received for each bucket
+  thresholds: { watch: 45, slow: 60, dead: 90, emergency: 120 },
+  // Suggested markdown per bucket (null = no markdown, just keep an eye on it)
+  markdowns: {
+    watch: null,
+    slow: { min: 20, max: 30 },
+    dead: { min: 40, max: 50 },
+    emergency: { min: 60, note: 'or bundle/donate' },
+  },
+  // Per-category thresholds, e.g. { "Jewelry": { watch: 90, slow: 120, dead: 180, emergency: 240 } }
+  categoryThresholds: {},
+  exclusions: {
+    categories: [],
+    vendors: [],
+    itemIds: [],
+    // Heartland item custom fields that mark an item as excluded when set (yes/true/1/x)
+    flags: ['basic', 'never_out_of_stock'],
+  },
+  // Date ranges (MM-DD, may wrap the new year) that override thresholds and/or markdowns,
+  // optionally only for some categories:
+  // { name: 'Holiday', from: '11-15', to: '01-05', categories: [], thresholds: {...}, markdowns: {...} }
+  seasonalOverrides: [],
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Helper: Fill in anything a stored rule set leaves out with the defaults
+function normalizeInventoryRules(rules = {}) {
+  const exclusions = { ...DEFAULT_INVENTORY_RULES.exclusions, ...(rules.exclusions || {}) };
+  return {
+    thresholds: { ...DEFAULT_INVENTORY_RULES.thresholds, ...(rules.thresholds || {}) },
+    markdowns: { ...DEFAULT_INVENTORY_RULES.markdowns, ...(rules.markdowns || {}) },
+    categoryThresholds: { ...(rules.categoryThresholds || {}) },
+    exclusions: {
+      categories: exclusions.categories || [],
+      vendors: exclusions.vendors || [],
+      itemIds: (exclusions.itemIds || []).map(String),
+      flags: exclusions.flags || [],
+    },
+    seasonalOverrides: rules.seasonalOverrides || [],
+  };
+}
+
+// Helper: Problems with a rule set, as messages (empty when it is valid)
+function validateInventoryRules(rules) {
+  const errors = [];
+  const normalized = normalizeInventoryRules(rules);
+
+  const checkThresholds = (thresholds, label) => {
+    let previous = 0;
+    for (const bucket of AGING_BUCKETS) {
+      const days = thresholds[bucket];
+      if (!Number.isInteger(days) || days <= 0) {
+        errors.push(`${label}: ${bucket} must be a whole number of days`);
+      } else if (days <= previous) {
+        errors.push(`${label}: ${bucket} (${days}) must be later than the bucket before it`);
+      } else {
+        previous = days;
+      }
+    }
+  };
+
+  const checkMarkdowns = (markdowns, label) => {
+    for (const [bucket, markdown] of Object.entries(markdowns)) {
+      if (!AGING_BUCKETS.includes(bucket)) {
+        errors.push(`${label}: unknown bucket "${bucket}"`);
+        continue;
+      }
+      if (markdown === null) continue;
+      const { min, max = min } = markdown;
+      if (!(min > 0 && min <= 100) || !(max >= min && max <= 100)) {
+        errors.push(`${label}: ${bucket} markdown must be between 1 and 100% (min <= max)`);
+      }
+    }
+  };
+
+  checkThresholds(normalized.thresholds, 'thresholds');
+  checkMarkdowns(normalized.markdowns, 'markdowns');
+  for (const [category, thresholds] of Object.entries(normalized.categoryThresholds)) {
+    checkThresholds({ ...normalized.thresholds, ...thresholds }, `categoryThresholds.${category}`);
+  }
+
+  normalized.seasonalOverrides.forEach((season, i) => {
+    const label = `seasonalOverrides[${i}]${season.name ? ` (${season.name})` : ''}`;
+    if (!/^\d{2}-\d{2}$/.test(season.from || '') || !/^\d{2}-\d{2}$/.test(season.to || '')) {
+      errors.push(`${label}: from and to must be MM-DD`);
+    }
+    if (season.thresholds) checkThresholds({ ...normalized.thresholds, ...season.thresholds }, label);
+    if (season.markdowns) checkMarkdowns(season.markdowns, label);
+  });
+
+  return errors;
+}
+
+// Helper: Seasonal overrides in effect on a date (ranges can wrap the new year)
+function activeSeasonalOverrides(rules, now = new Date()) {
+  const today = `${String(now.getMonth() + 1).padStart(2, '0')}-${String(now.getDate()).padStart(2, '0')}`;
+  return rules.seasonalOverrides.filter(season => season.from <= season.to
+    ? today >= season.from && today <= season.to
+    : today >= season.from || today <= season.to);
+}
+
+// Helper: Thresholds and markdowns for one category (base -> category -> active seasons)
+function resolveCategoryRules(rules, category, seasons) {
+  let thresholds = { ...rules.thresholds, ...(rules.categoryThresholds[category] || {}) };
+  let markdowns = { ...rules.markdowns };
+
+  for (const season of seasons) {
+    if (season.categories?.length && !season.categories.includes(category)) continue;
+    thresholds = { ...thresholds, ...(season.thresholds || {}) };
+    markdowns = { ...markdowns, ...(season.markdowns || {}) };
+  }
+
+  return { thresholds, markdowns };
+}
+
+// Helper: Why an item is left out of the analysis, or null
+function exclusionReason(rules, { itemId, category, vendor, custom }) {
+  const { exclusions } = rules;
+  if (exclusions.itemIds.includes(String(itemId))) return 'item';
+  if (exclusions.categories.includes(category)) return 'category';
+  if (exclusions.vendors.includes(vendor)) return 'vendor';
+
+  const flag = exclusions.flags.find(name => {
+    const value = custom?.[name];
+    return value === true || /^(y|yes|true|1|x)$/i.test(String(value ?? '').trim());
+  });
+  return flag ? `flag:${flag}` : null;
+}
+
+// Helper: Bucket for an age given a set of thresholds
+function agingBucket(days, thresholds) {
+  for (const bucket of [...AGING_BUCKETS].reverse()) {
+    if (days >= thresholds[bucket]) return bucket;
+  }
+  return 'fresh';
+}
+
+// Helper: Markdown text shown in StoreIQ ("40-50% off", "60%+ off or bundle/donate")
+function formatMarkdown(markdown) {
+  if (!markdown) return 'Watch closely';
+  const range = markdown.max && markdown.max !== markdown.min ? `${markdown.min}-${markdown.max}%` : `${markdown.min}%${markdown.note ? '+' : ''}`;
+  return `${range} off${markdown.note ? ` ${markdown.note}` : ''}`;
+}
+
+// Helper: Short description of a rule set for the StoreIQ Inventory Health tab
+function describeInventoryRules(ruleSet, now = new Date()) {
+  const rules = normalizeInventoryRules(ruleSet.rules);
+  return {
+    id: ruleSet.id,
+    name: ruleSet.name,
+    thresholds: rules.thresholds,
+    markdowns: Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket, formatMarkdown(rules.markdowns[bucket])])),
+    categoryOverrides: Object.keys(rules.categoryThresholds),
+    exclusions: rules.exclusions,
+    activeSeasons: activeSeasonalOverrides(rules, now).map(season => season.name || `${season.from} to ${season.to}`),
+  };
+}
+
+// Run the aging analysis.
+// receiveData: { itemId: { receivedDate, qtyReceived, name, category, vendor, cost } }
+// soldData:    { itemId: { qtySold, price } }
+// inventory:   Heartland /inventory/values rows ({ item_id, qty_on_hand })
+// itemCustom:  { itemId: custom fields } for exclusion flags
+// categorySales: { category: sales value (last 90 days) }
+function analyzeInventory({ ruleSet, receiveData, soldData, inventory, itemCustom = {}, categorySales = {}, velocity, now = new Date() }) {
+  const rules = normalizeInventoryRules(ruleSet.rules);
+  const seasons = activeSeasonalOverrides(rules, now);
+  const rulesByCategory = new Map();
+  const categoryRules = (category) => {
+    if (!rulesByCategory.has(category)) rulesByCategory.set(category, resolveCategoryRules(rules, category, seasons));
+    return rulesByCategory.get(category);
+  };
+  const daysSince = (date) => Math.floor((now - new Date(date)) / DAY_MS);
+
+  const onHand = {};
+  for (const inv of inventory) {
+    if (inv.item_id) onHand[inv.item_id] = inv.qty_on_hand || 0;
+  }
+
+  // ========== Store health metrics (ALL items received, at COST) ==========
+  const received = Object.fromEntries(STORE_METRIC_WINDOWS.map(days => [days, 0]));
+  const stillOnHand = Object.fromEntries(STORE_METRIC_WINDOWS.map(days => [days, 0]));
+
+  for (const [itemId, receiveInfo] of Object.entries(receiveData)) {
+    if (!receiveInfo.receivedDate) continue;
+    const days = daysSince(receiveInfo.receivedDate);
+    const cost = receiveInfo.cost || 0;
+
+    for (const window of STORE_METRIC_WINDOWS) {
+      if (days <= window) {
+        received[window] += receiveInfo.qtyReceived * cost;
+        stillOnHand[window] += (onHand[itemId] || 0) * cost;
+      }
+    }
+  }
+
+  const storeMetrics = {};
+  for (const window of STORE_METRIC_WINDOWS) {
+    storeMetrics[`received${window}Days`] = Math.round(received[window]);
+    storeMetrics[`stillOnHand${window}Days`] = Math.round(stillOnHand[window]);
+    storeMetrics[`pctOnHand${window}Days`] = received[window] > 0 ? Math.round((stillOnHand[window] / received[window]) * 100) : 0;
+  }
+
+  // ========== Dead stock (only items with inventory) ==========
+  const deadStockItems = [];
+  const buckets = Object.fromEntries(['fresh', ...AGING_BUCKETS].map(bucket => [bucket, { items: 0, value: 0 }]));
+  const excluded = { items: 0, value: 0, byReason: {} };
+  const categoryInventory = {};
+  let totalInventoryValue = 0;
+
+  for (const inv of inventory) {
+    if (!inv.item_id) continue;
+    const qtyOnHand = inv.qty_on_hand || 0;
+    if (qtyOnHand <= 0) continue;
+
+    const receiveInfo = receiveData[inv.item_id];
+    if (!receiveInfo || !receiveInfo.receivedDate) continue;
+
+    const soldInfo = soldData[inv.item_id] || { qtySold: 0, price: 0 };
+    const daysSinceReceived = daysSince(receiveInfo.receivedDate);
+    const category = receiveInfo.category || 'Uncategorized';
+    const vendor = receiveInfo.vendor || 'Unknown';
+
+    const price = soldInfo.price || receiveInfo.cost * 2.5 || 0;
+    const cost = receiveInfo.cost || price * 0.4 || 0;
+    const valueOnHand = qtyOnHand * cost;
+    const retailValueOnHand = qtyOnHand * price;
+
+    // Inventory value by category (excluded items still take up shelf space)
+    if (!categoryInventory[category]) {
+      categoryInventory[category] = { value: 0, items: 0, qty: 0 };
+    }
+    categoryInventory[category].value += valueOnHand;
+    categoryInventory[category].items += 1;
+    categoryInventory[category].qty += qtyOnHand;
+    totalInventoryValue += valueOnHand;
+
+    const reason = exclusionReason(rules, { itemId: inv.item_id, category, vendor, custom: itemCustom[inv.item_id] });
+    if (reason) {
+      excluded.items++;
+      excluded.value += valueOnHand;
+      excluded.byReason[reason] = (excluded.byReason[reason] || 0) + 1;
+      continue;
+    }
+
+    const { thresholds, markdowns } = categoryRules(category);
+    const bucket = agingBucket(daysSinceReceived, thresholds);
+    buckets[bucket].items++;
+    buckets[bucket].value += valueOnHand;
+
+    // Only aging items are listed
+    if (bucket !== 'fresh') {
+      const markdown = markdowns[bucket] || null;
+      deadStockItems.push({
+        id: inv.item_id,
+        name: receiveInfo.name || 'Unknown Item',
+        category,
+        vendor,
+        qtyReceived: receiveInfo.qtyReceived,
+        qtySold: soldInfo.qtySold,
+        qtyRemaining: qtyOnHand,
+        price: Math.round(price * 100) / 100,
+        retailValue: Math.round(retailValueOnHand * 100) / 100,
+        costValue: Math.round(valueOnHand * 100) / 100,
+        receivedDate: new Date(receiveInfo.receivedDate).toISOString().split('T')[0],
+        daysSinceReceived,
+        bucket,
+        suggestedMarkdown: formatMarkdown(markdown),
+        markdownPct: markdown ? { min: markdown.min, max: markdown.max || markdown.min } : null,
+      });
+    }
+  }
+
+  // Oldest first
+  deadStockItems.sort((a, b) => b.daysSinceReceived - a.daysSinceReceived);
+
+  // ========== Category balance (inventory % vs sales %) ==========
+  const totalSalesValue = Object.values(categorySales).reduce((sum, value) => sum + value, 0);
+  const categoryBalance = [...new Set([...Object.keys(categoryInventory), ...Object.keys(categorySales)])]
+    .map(category => {
+      const invValue = categoryInventory[category]?.value || 0;
+      const salesValue = categorySales[category] || 0;
+      const invPct = totalInventoryValue > 0 ? Math.round((invValue / totalInventoryValue) * 100) : 0;
+      const salesPct = totalSalesValue > 0 ? Math.round((salesValue / totalSalesValue) * 100) : 0;
+      const gap = salesPct - invPct; // Positive = undersupplied (selling well), Negative = oversupplied
+
+      return {
+        category,
+        inventoryValue: Math.round(invValue),
+        inventoryPct: invPct,
+        salesValue: Math.round(salesValue),
+        salesPct,
+        gap,
+        status: gap >= 5 ? 'undersupplied' : gap <= -5 ? 'oversupplied' : 'balanced',
+      };
+    })
+    .sort((a, b) => b.salesPct - a.salesPct);
+
+  const money = (value) => Math.round(value * 100) / 100;
+  const aging = AGING_BUCKETS.reduce((sum, bucket) => ({
+    items: sum.items + buckets[bucket].items,
+    value: sum.value + buckets[bucket].value,
+  }), { items: 0, value: 0 });
+
+  return {
+    deadStock: {
+      summary: {
+        // Legacy field names, kept for the StoreIQ cards (the day counts now come from the rules)
+        itemsFresh: buckets.fresh.items,
+        itemsWatch: buckets.watch.items,
+        items60Days: buckets.slow.items,
+        items90Days: buckets.dead.items,
+        items120Days: buckets.emergency.items,
+        valueFresh: money(buckets.fresh.value),
+        valueWatch: money(buckets.watch.value),
+        value60Days: money(buckets.slow.value),
+        value90Days: money(buckets.dead.value),
+        value120Days: money(buckets.emergency.value),
+        totalItems: aging.items,
+        totalValue: money(aging.value),
+        excludedItems: excluded.items,
+        excludedValue: money(excluded.value),
+        excludedByReason: excluded.byReason,
+      },
+      storeMetrics,
+      items: deadStockItems,
+    },
+    velocity,
+    categoryBalance,
+    rules: describeInventoryRules(ruleSet, now),
+    stats: {
+      totalItemsAnalyzed: inventory.length,
+      totalItemsWithReceiveData: Object.keys(receiveData).length,
+      totalDeadStockItems: deadStockItems.length,
+    },
+  };
+}
+
+module.exports = {
+  AGING_BUCKETS,
+  DEFAULT_INVENTORY_RULES,
+  normalizeInventoryRules,
+  validateInventoryRules,
+  describeInventoryRules,
+  formatMarkdown,
+  analyzeInventory,
+};
@@ -0,0 +1,170 @@
+// InventoryIQ reorder recommendations
+// Turns sales velocity into reorder suggestions per grid color and size: how fast each grid
+// color sells, weeks of supply left, which sizes sold out quickly, and how many of each size to
+// reorder to cover the next few weeks. Demand is measured per grid color and split across its
+// size run by each size's share of sales, so every size shares the same selling window.
+// Callers load the data; this module only does the arithmetic.
+
+const DEFAULT_REORDER_OPTIONS = {
+  // Reorder enough to cover this many weeks of sales
+  weeksOfCover: 8,
+  // Sales window for velocity (days, or since the grid was first received if that's later)
+  salesDays: 90,
+  // A size that sold through within this many days of being received "sold out quickly"
+  soldOutDays: 30,
+  // Grids that sold fewer units than this in the window aren't suggested
+  minUnitsSold: 2,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const WEEK_MS = 7 * DAY_MS;
+
+const money = (value) => Math.round(value * 100) / 100;
+
+// Helper: Weeks a quantity lasts at a weekly rate (null when nothing sells)
+function weeksOfSupply(qty, weeklyRate) {
+  return weeklyRate > 0 ? Math.round((qty / weeklyRate) * 10) / 10 : null;
+}
+
+// Build reorder suggestions.
+// items: one row per Heartland item (a size of a grid):
+//   { itemId, gridId, style, name, color, size, category, vendor, firstReceived, lastReceived,
+//     unitCost, unitsSold, lastSale, onHand }
+// unitsSold/lastSale cover the last options.salesDays days.
+function recommendReorders({ items, options = {}, now = new Date() }) {
+  const { weeksOfCover, salesDays, soldOutDays, minUnitsSold } = { ...DEFAULT_REORDER_OPTIONS, ...options };
+  const windowFloor = now.getTime() - salesDays * DAY_MS;
+
+  // Each color of a grid is its own size run
+  const grids = new Map();
+  for (const item of items) {
+    const key = `${item.gridId || item.itemId}:${item.color || ''}`;
+    if (!grids.has(key)) grids.set(key, []);
+    grids.get(key).push(item);
+  }
+
+  const suggestions = [];
+  for (const sizes of grids.values()) {
+    const unitsSold = sizes.reduce((sum, size) => sum + size.unitsSold, 0);
+    if (unitsSold < minUnitsSold) continue;
+
+    // Velocity over the sales window, or since the grid arrived (at least a week). Sizes with no
+    // receive date don't count; with none at all the whole window is used.
+    const receivedTimes = sizes
+      .map(size => (size.firstReceived ? new Date(size.firstReceived).getTime() : NaN))
+      .filter(time => !Number.isNaN(time));
+    const firstReceived = receivedTimes.length > 0 ? Math.min(...receivedTimes) : windowFloor;
+    const windowWeeks = Math.max(1, (now.getTime() - Math.max(firstReceived, windowFloor)) / WEEK_MS);
+    const weeklyRate = unitsSold / windowWeeks;
+    const onHand = sizes.reduce((sum, size) => sum + Math.max(0, size.onHand), 0);
+
+    const sizeRows = sizes.map(size => {
+      const share = size.unitsSold / unitsSold;
+      const sizeRate = weeklyRate * share;
+      const sizeOnHand = Math.max(0, size.onHand);
+      const soldOut = sizeOnHand === 0 && size.unitsSold > 0;
+      const sellOutDays = soldOut && size.lastSale && size.lastReceived
+        ? Math.max(0, Math.round((new Date(size.lastSale) - new Date(size.lastReceived)) / DAY_MS))
+        : null;
+
+      return {
+        itemId: size.itemId,
+        name: size.name,
+        color: size.color || '',
+        size: size.size || '',
+        unitsSold: size.unitsSold,
+        onHand: sizeOnHand,
+        sizeShare: Math.round(share * 1000) / 10,
+        weeksOfSupply: weeksOfSupply(sizeOnHand, sizeRate),
+        soldOut,
+        sellOutDays,
+        soldOutQuickly: sellOutDays !== null && sellOutDays <= soldOutDays,
+        unitCost: size.unitCost || 0,
+        suggestedQty: Math.max(0, Math.ceil(sizeRate * weeksOfCover) - sizeOnHand),
+      };
+    }).sort((a, b) => b.unitsSold - a.unitsSold);
+
+    const suggestedQty = sizeRows.reduce((sum, size) => sum + size.suggestedQty, 0);
+    if (suggestedQty === 0) continue;
+
+    const first = sizes[0];
+    suggestions.push({
+      gridId: String(first.gridId || first.itemId),
+      style: first.style || first.name,
+      color: first.color || '',
+      category: first.category || 'Uncategorized',
+      vendor: first.vendor || 'Unknown',
+      unitsSold,
+      weeklyRate: Math.round(weeklyRate * 10) / 10,
+      onHand,
+      weeksOfSupply: weeksOfSupply(onHand, weeklyRate),
+      sizesSoldOutQuickly: sizeRows.filter(size => size.soldOutQuickly).map(size => size.size || size.name),
+      suggestedQty,
+      suggestedCost: money(sizeRows.reduce((sum, size) => sum + size.suggestedQty * size.unitCost, 0)),
+      sizes: sizeRows,
+    });
+  }
+
+  // Most urgent first: least supply left, then fastest sellers
+  suggestions.sort((a, b) =>
+    (a.weeksOfSupply ?? Infinity) - (b.weeksOfSupply ?? Infinity) || b.weeklyRate - a.weeklyRate
+  );
+
+  return {
+    options: { weeksOfCover, salesDays, soldOutDays, minUnitsSold },
+    grids: suggestions,
+    purchaseOrders: buildPurchaseOrders(suggestions),
+  };
+}
+
+// Draft purchase orders: the suggested sizes grouped by vendor
+function buildPurchaseOrders(grids) {
+  const orders = new Map();
+  for (const grid of grids) {
+    if (!orders.has(grid.vendor)) orders.set(grid.vendor, { vendor: grid.vendor, lines: [], units: 0, totalCost: 0 });
+    const order = orders.get(grid.vendor);
+
+    for (const size of grid.sizes) {
+      if (size.suggestedQty === 0) continue;
+      order.lines.push({
+        itemId: size.itemId,
+        style: grid.style,
+        color: size.color,
+        size: size.size,
+        qty: size.suggestedQty,
+        unitCost: size.unitCost,
+        totalCost: money(size.suggestedQty * size.unitCost),
+      });
+      order.units += size.suggestedQty;
+      order.totalCost += size.suggestedQty * size.unitCost;
+    }
+  }
+
+  return [...orders.values()]
+    .map(order => ({ ...order, totalCost: money(order.totalCost) }))
+    .sort((a, b) => b.totalCost - a.totalCost);
+}
+
+// Helper: One CSV field, quoted when it needs to be
+function csvField(value) {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Draft purchase orders as CSV, one line per size
+function purchaseOrdersCsv(orders) {
+  const rows = [['Vendor', 'Style', 'Color', 'Size', 'Item ID', 'Qty', 'Unit Cost', 'Total Cost']];
+  for (const order of orders) {
+    for (const line of order.lines) {
+      rows.push([order.vendor, line.style, line.color, line.size, line.itemId, line.qty, line.unitCost.toFixed(2), line.totalCost.toFixed(2)]);
+    }
+  }
+  return rows.map(row => row.map(csvField).join(',')).join('\n') + '\n';
+}
+
+module.exports = {
+  DEFAULT_REORDER_OPTIONS,
+  recommendReorders,
+  buildPurchaseOrders,
+  purchaseOrdersCsv,
+};
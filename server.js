@@ -2,7 +2,16 @@ const express = require('express');
 const multer = require('multer');
 const Anthropic = require('@anthropic-ai/sdk').default;
 const path = require('path');
+const fs = require('fs/promises');
+const crypto = require('crypto');
+const os = require('os');
+const sharp = require('sharp');
 const { Pool } = require('pg');
+const { createHeartlandClient } = require('./heartlandClient');
+const { createShopifyClient, createShopifyPublisher } = require('./shopifyPublisher');
+const { createFirstDibsMatcher } = require('./firstDibs');
+const inventoryAnalysis = require('./inventoryAnalysis');
+const reorderAnalysis = require('./reorderAnalysis');
 require('dotenv').config();
 
 const app = express();
@@ -42,6 +51,93 @@ async function initDatabase() {
       )
     `);
     
+    // Daily on-hand history: one row per item and location per day, written by the sync.
+    // Items with nothing on hand aren't stored, so a missing row means zero.
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS inventory_snapshots (
+        snapshot_date DATE NOT NULL,
+        item_id VARCHAR(50) NOT NULL,
+        location_id VARCHAR(50) NOT NULL DEFAULT '',
+        qty_on_hand INTEGER NOT NULL,
+        unit_cost DECIMAL(10,2),
+        unit_price DECIMAL(10,2),
+        cost_value DECIMAL(12,2),
+        retail_value DECIMAL(12,2),
+        category VARCHAR(100),
+        vendor VARCHAR(100),
+        captured_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (snapshot_date, item_id, location_id)
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_inventory_snapshots_item ON inventory_snapshots(item_id, snapshot_date);
+    `);
+    
+    // InventoryIQ rule sets (aging thresholds, markdowns, exclusions, seasons) - exactly one is active
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS inventory_rule_sets (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        rules JSONB NOT NULL,
+        active BOOLEAN DEFAULT false,
+        updated_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_inventory_rule_sets_active ON inventory_rule_sets ((true)) WHERE active
+    `);
+    // Seed the rules that used to be hard-coded (45/60/90/120 days)
+    await pool.query(`
+      INSERT INTO inventory_rule_sets (name, rules, active)
+      SELECT 'Default', $1, true
+      WHERE NOT EXISTS (SELECT 1 FROM inventory_rule_sets)
+    `, [JSON.stringify(inventoryAnalysis.DEFAULT_INVENTORY_RULES)]);
+    
+    // Markdown ledger: one row per approved markdown, one line per item with the prices before
+    // and after, so the sale can be reverted
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS markdowns (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(255),
+        markdown_pct NUMERIC(5,2) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'applying',
+        ends_at TIMESTAMP,
+        created_by VARCHAR(100),
+        reverted_by VARCHAR(100),
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        applied_at TIMESTAMP,
+        reverted_at TIMESTAMP
+      )
+    `);
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS markdown_items (
+        id SERIAL PRIMARY KEY,
+        markdown_id INTEGER NOT NULL REFERENCES markdowns(id) ON DELETE CASCADE,
+        item_id VARCHAR(50) NOT NULL,
+        item_name VARCHAR(255),
+        category VARCHAR(100),
+        vendor VARCHAR(100),
+        qty_on_hand INTEGER DEFAULT 0,
+        unit_cost DECIMAL(10,2),
+        original_price DECIMAL(10,2),
+        new_price DECIMAL(10,2),
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        error_message TEXT,
+        applied_at TIMESTAMP,
+        reverted_at TIMESTAMP,
+        UNIQUE(markdown_id, item_id)
+      )
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_markdown_items_item ON markdown_items(item_id);
+    `);
+    // Run lease of the instance applying/reverting the markdown (see RUN LEASES)
+    await pool.query(`ALTER TABLE markdowns ADD COLUMN IF NOT EXISTS locked_by VARCHAR(100)`);
+    await pool.query(`ALTER TABLE markdowns ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ`);
+    
     // Receipt cache table (for fast ReceiptAI loading)
     await pool.query(`
       CREATE TABLE IF NOT EXISTS receipt_cache (
@@ -91,6 +187,15 @@ async function initDatabase() {
       ALTER TABLE sales_transactions ADD COLUMN IF NOT EXISTS location_name VARCHAR(100)
     `);
     
+    // When the ticket completion time was applied (NULL = still to do). Rows that exist when the
+    // column is added already have ticket times, so they're backfilled as done; new rows start NULL.
+    await pool.query(`
+      ALTER TABLE sales_transactions ADD COLUMN IF NOT EXISTS ticket_synced_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    `);
+    await pool.query(`
+      ALTER TABLE sales_transactions ALTER COLUMN ticket_synced_at DROP DEFAULT
+    `);
+    
     // Create index for faster queries
     await pool.query(`
       CREATE INDEX IF NOT EXISTS idx_sales_customer ON sales_transactions(customer_id);
@@ -148,6 +253,76 @@ async function initDatabase() {
       )
     `);
     
+    // Options a sync run was started with (e.g. fullResync), so it can be resumed the same way
+    await pool.query(`ALTER TABLE sync_log ADD COLUMN IF NOT EXISTS options JSONB DEFAULT '{}'`);
+    // Set by the cancel endpoint; whichever instance runs the sync picks it up
+    await pool.query(`ALTER TABLE sync_log ADD COLUMN IF NOT EXISTS cancel_requested BOOLEAN DEFAULT false`);
+    // Run lease: the instance working the run and until when (see RUN LEASES)
+    await pool.query(`ALTER TABLE sync_log ADD COLUMN IF NOT EXISTS locked_by VARCHAR(100)`);
+    await pool.query(`ALTER TABLE sync_log ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ`);
+    
+    // Run lock: only one sync can be running. Runs stacked up before the lock existed are
+    // closed out first (the newest is kept so it can resume).
+    await pool.query(`
+      UPDATE sync_log
+      SET status = 'failed', error_message = 'Superseded by a newer run', completed_at = CURRENT_TIMESTAMP
+      WHERE status = 'running' AND id <> (SELECT MAX(id) FROM sync_log WHERE status = 'running')
+    `);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_sync_log_one_running ON sync_log ((true)) WHERE status = 'running'
+    `);
+    
+    // One row per pipeline step of a sync run (output is handed to the steps that depend on it)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sync_steps (
+        id SERIAL PRIMARY KEY,
+        sync_log_id INTEGER NOT NULL REFERENCES sync_log(id) ON DELETE CASCADE,
+        step VARCHAR(50) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        depends_on JSONB DEFAULT '[]',
+        records_processed INTEGER DEFAULT 0,
+        output JSONB,
+        error_message TEXT,
+        attempts INTEGER DEFAULT 0,
+        started_at TIMESTAMP,
+        completed_at TIMESTAMP,
+        duration_seconds INTEGER,
+        UNIQUE(sync_log_id, step)
+      )
+    `);
+    
+    // Latest progress counter of a running step, e.g. { message: 'Fetched 400/2100 ticket times', done, total }
+    await pool.query(`ALTER TABLE sync_steps ADD COLUMN IF NOT EXISTS progress JSONB`);
+    
+    // In-process scheduler: one row per recurring job; locked_by/locked_until is the lease
+    // that keeps two app instances from running the same job
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS scheduled_jobs (
+        name VARCHAR(50) PRIMARY KEY,
+        schedule VARCHAR(50),
+        enabled BOOLEAN DEFAULT true,
+        next_run_at TIMESTAMPTZ,
+        locked_by VARCHAR(100),
+        locked_until TIMESTAMPTZ,
+        last_started_at TIMESTAMPTZ,
+        last_run_at TIMESTAMPTZ,
+        last_status VARCHAR(20),
+        last_error TEXT,
+        last_duration_seconds INTEGER
+      )
+    `);
+    
+    // Per-entity sync watermarks - the nightly sync only pulls records changed since these
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS sync_cursors (
+        entity VARCHAR(50) PRIMARY KEY,
+        watermark TIMESTAMPTZ NOT NULL,
+        records_synced INTEGER DEFAULT 0,
+        full_resync BOOLEAN DEFAULT false,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
     // Item receipts table - tracks when items were received (for InventoryIQ dead stock)
     await pool.query(`
       CREATE TABLE IF NOT EXISTS item_receipts (
@@ -178,14 +353,246 @@ async function initDatabase() {
       CREATE INDEX IF NOT EXISTS idx_item_receipts_date ON item_receipts(received_date);
     `);
     
+    // Bulk generation jobs - one per receipt-level "generate all" run
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS generation_jobs (
+        id SERIAL PRIMARY KEY,
+        receipt_id VARCHAR(50) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        total_items INTEGER DEFAULT 0,
+        created_by VARCHAR(100),
+        error_message TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        completed_at TIMESTAMP
+      )
+    `);
+    
+    // One row per grid/standalone item in a job (holds the drafted copy until reviewed)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS generation_job_items (
+        id SERIAL PRIMARY KEY,
+        job_id INTEGER NOT NULL REFERENCES generation_jobs(id) ON DELETE CASCADE,
+        item_type VARCHAR(10) NOT NULL,
+        heartland_id VARCHAR(50) NOT NULL,
+        name VARCHAR(255),
+        prompt_inputs JSONB,
+        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+        draft_id INTEGER,
+        error_message TEXT,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(job_id, item_type, heartland_id)
+      )
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_generation_jobs_receipt ON generation_jobs(receipt_id);
+    `);
+    
+    // Description drafts - versioned copy that moves drafted -> approved -> published
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS description_drafts (
+        id SERIAL PRIMARY KEY,
+        item_type VARCHAR(10) NOT NULL,
+        heartland_id VARCHAR(50) NOT NULL,
+        receipt_id VARCHAR(50),
+        version INTEGER NOT NULL DEFAULT 1,
+        status VARCHAR(20) NOT NULL DEFAULT 'drafted',
+        description TEXT NOT NULL,
+        meta_description TEXT,
+        prompt_inputs JSONB,
+        source VARCHAR(20) DEFAULT 'manual',
+        created_by VARCHAR(100),
+        reviewed_by VARCHAR(100),
+        reviewed_at TIMESTAMP,
+        review_note TEXT,
+        published_by VARCHAR(100),
+        published_at TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE(item_type, heartland_id, version)
+      )
+    `);
+    
+    // Structured copy (opening, features, care, meta, tags) behind the HTML
+    await pool.query(`ALTER TABLE description_drafts ADD COLUMN IF NOT EXISTS copy JSONB`);
+    
+    // Translated copy is drafted per locale (versions keep counting across locales)
+    await pool.query(`ALTER TABLE description_drafts ADD COLUMN IF NOT EXISTS locale VARCHAR(10) NOT NULL DEFAULT 'en'`);
+    await pool.query(`ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS locale VARCHAR(10) NOT NULL DEFAULT 'en'`);
+    // Run lease of the instance working the job (see RUN LEASES)
+    await pool.query(`ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS locked_by VARCHAR(100)`);
+    await pool.query(`ALTER TABLE generation_jobs ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ`);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_description_drafts_status ON description_drafts(status);
+    `);
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_description_drafts_receipt ON description_drafts(receipt_id);
+    `);
+    
+    // Description history - snapshot of the Heartland value before every push (for rollback)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS description_history (
+        id SERIAL PRIMARY KEY,
+        item_type VARCHAR(10) NOT NULL,
+        heartland_id VARCHAR(50) NOT NULL,
+        previous_description TEXT,
+        new_description TEXT,
+        source VARCHAR(20) DEFAULT 'save',
+        draft_id INTEGER,
+        restored_from INTEGER,
+        changed_by VARCHAR(100),
+        changed_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_description_history_item ON description_history(item_type, heartland_id, changed_at DESC);
+    `);
+    
+    // Brand profile - store name, voice and footer used by the copywriting prompt
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS brand_profile (
+        id SERIAL PRIMARY KEY,
+        profile_key VARCHAR(50) NOT NULL UNIQUE,
+        store_name VARCHAR(255) NOT NULL,
+        store_description TEXT,
+        voice_guidelines TEXT,
+        banned_phrases JSONB DEFAULT '[]',
+        min_words INTEGER DEFAULT 150,
+        max_words INTEGER DEFAULT 250,
+        footer_html TEXT,
+        updated_by VARCHAR(100),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Tag taxonomy (allowed colors/occasions/fabrics) for generated tags
+    await pool.query(`ALTER TABLE brand_profile ADD COLUMN IF NOT EXISTS tag_taxonomy JSONB`);
+    
+    // CTA footer per non-English locale
+    await pool.query(`ALTER TABLE brand_profile ADD COLUMN IF NOT EXISTS localized_footers JSONB`);
+    
+    // Per-category prompt templates ('default' covers categories without their own)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS prompt_templates (
+        id SERIAL PRIMARY KEY,
+        category VARCHAR(100) NOT NULL UNIQUE,
+        template TEXT NOT NULL,
+        updated_by VARCHAR(100),
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Generation conversations kept so staff can refine the copy with follow-up instructions
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS generation_sessions (
+        id SERIAL PRIMARY KEY,
+        item_type VARCHAR(10),
+        heartland_id VARCHAR(50),
+        locale VARCHAR(10) NOT NULL DEFAULT 'en',
+        image_count INTEGER NOT NULL DEFAULT 0,
+        messages JSONB NOT NULL,
+        instructions JSONB NOT NULL DEFAULT '[]',
+        revision INTEGER NOT NULL DEFAULT 0,
+        created_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Colors/size line the copy was written for, so refinements keep covering every variant
+    await pool.query(`ALTER TABLE generation_sessions ADD COLUMN IF NOT EXISTS variant_context JSONB`);
+    
+    // Shopify products published from a Heartland grid (variant_ids maps Heartland item ID -> Shopify variant ID)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS shopify_products (
+        id SERIAL PRIMARY KEY,
+        grid_id VARCHAR(50) NOT NULL UNIQUE,
+        shopify_product_id BIGINT NOT NULL,
+        shopify_handle VARCHAR(255),
+        variant_ids JSONB DEFAULT '{}',
+        draft_id INTEGER,
+        published_by VARCHAR(100),
+        published_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    // Shopify CDN URL of the product's main image - a public link for customer messages
+    await pool.query(`ALTER TABLE shopify_products ADD COLUMN IF NOT EXISTS image_url TEXT`);
+    
+    // Product image library - uploaded photos kept per grid/item (files live under IMAGE_STORAGE_DIR)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS product_images (
+        id SERIAL PRIMARY KEY,
+        item_type VARCHAR(10) NOT NULL,
+        heartland_id VARCHAR(50) NOT NULL,
+        storage_key VARCHAR(100) NOT NULL UNIQUE,
+        original_name VARCHAR(255),
+        mime_type VARCHAR(50) NOT NULL,
+        size_bytes INTEGER,
+        width INTEGER,
+        height INTEGER,
+        alt_text TEXT,
+        sort_order INTEGER DEFAULT 0,
+        uploaded_by VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_product_images_item ON product_images(item_type, heartland_id, sort_order);
+    `);
+    
+    // SHA-256 of the original, so uploading the same photo again reuses the saved one
+    await pool.query(`ALTER TABLE product_images ADD COLUMN IF NOT EXISTS content_hash VARCHAR(64)`);
+    await pool.query(`
+      CREATE UNIQUE INDEX IF NOT EXISTS idx_product_images_hash ON product_images(item_type, heartland_id, content_hash)
+      WHERE content_hash IS NOT NULL;
+    `);
+    
+    // Mirror of Heartland items and vendors (data is the raw Heartland payload)
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS items (
+        heartland_id VARCHAR(50) PRIMARY KEY,
+        grid_id VARCHAR(50),
+        primary_vendor_id VARCHAR(50),
+        data JSONB NOT NULL,
+        heartland_updated_at TIMESTAMPTZ,
+        cached_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
+    await pool.query(`
+      CREATE INDEX IF NOT EXISTS idx_items_grid ON items(grid_id);
+    `);
+    
+    await pool.query(`
+      CREATE TABLE IF NOT EXISTS vendors (
+        heartland_id VARCHAR(50) PRIMARY KEY,
+        name VARCHAR(255),
+        data JSONB NOT NULL,
+        heartland_updated_at TIMESTAMPTZ,
+        cached_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      )
+    `);
+    
     console.log('Database initialized successfully');
   } catch (error) {
     console.error('Error initializing database:', error);
   }
 }
 
-// Initialize DB on startup
-initDatabase();
+// Initialize DB on startup, pick up any bulk generation jobs and sync runs interrupted by a
+// restart, then start the scheduler
+initDatabase().then(() => {
+  resumeGenerationJobs();
+  resumeMarkdownJobs();
+  resumeSyncRuns();
+  startScheduler();
+});
 
 // Basic Auth middleware
 const USERS = {
@@ -199,6 +606,10 @@ function basicAuth(req, res, next) {
   if (req.path === '/api/health') {
     return next();
   }
+  // Heartland can't send Basic credentials; the webhook checks its own ?key= secret
+  if (req.path === '/api/webhooks/heartland') {
+    return next();
+  }
 
   const authHeader = req.headers.authorization;
 
@@ -223,6 +634,11 @@ function basicAuth(req, res, next) {
 // Apply Basic Auth to all routes
 app.use(basicAuth);
 
+// Helper: Row ID from a route param, or null if it isn't a positive integer (that fits Postgres INTEGER)
+function parseIdParam(param) {
+  return /^\d+$/.test(param) && Number(param) <= 2147483647 ? Number(param) : null;
+}
+
 const anthropic = new Anthropic({
   apiKey: process.env.ANTHROPIC_API_KEY,
 });
@@ -231,43 +647,31 @@ const anthropic = new Anthropic({
 const HEARTLAND_BASE_URL = `https://${process.env.HEARTLAND_SUBDOMAIN}.retail.heartland.us/api`;
 const HEARTLAND_TOKEN = process.env.HEARTLAND_API_TOKEN;
 
+// Shopify Admin API configuration (SHOPIFY_API_BASE_URL overrides the store URL, e.g. for a local mock server)
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-10';
+const SHOPIFY_BASE_URL = process.env.SHOPIFY_API_BASE_URL
+  || `https://${process.env.SHOPIFY_STORE_DOMAIN}/admin/api/${SHOPIFY_API_VERSION}`;
+const SHOPIFY_TOKEN = process.env.SHOPIFY_ACCESS_TOKEN;
+const shopify = createShopifyClient({
+  baseUrl: process.env.SHOPIFY_API_BASE_URL || process.env.SHOPIFY_STORE_DOMAIN ? SHOPIFY_BASE_URL : null,
+  token: SHOPIFY_TOKEN,
+});
+
+// Shared Heartland client: every Heartland call is rate limited, retried on 429/5xx and
+// timed out here. HEARTLAND_RATE_LIMIT is requests per second across the whole app.
+const heartland = createHeartlandClient({
+  baseUrl: HEARTLAND_BASE_URL,
+  token: HEARTLAND_TOKEN,
+  requestsPerSecond: parseFloat(process.env.HEARTLAND_RATE_LIMIT) || 5,
+  burst: parseInt(process.env.HEARTLAND_RATE_BURST) || 10,
+  maxConcurrency: parseInt(process.env.HEARTLAND_CONCURRENCY) || 4,
+  timeoutMs: parseInt(process.env.HEARTLAND_TIMEOUT_MS) || 30000,
+  maxRetries: Number(process.env.HEARTLAND_MAX_RETRIES ?? 4),
+});
+
 // Helper function to make Heartland API requests
 async function heartlandRequest(endpoint, options = {}) {
-  const url = `${HEARTLAND_BASE_URL}${endpoint}`;
-  const response = await fetch(url, {
-    ...options,
-    headers: {
-      'Authorization': `Bearer ${HEARTLAND_TOKEN}`,
-      'Content-Type': 'application/json',
-      ...options.headers,
-    },
-  });
-  
-  if (!response.ok) {
-    // Try to get more details from the response
-    let errorDetails = '';
-    try {
-      const errorBody = await response.text();
-      errorDetails = ` - ${errorBody}`;
-      console.error('Heartland API error details:', errorBody);
-    } catch (e) {
-      // Ignore if we can't read the body
-    }
-    throw new Error(`Heartland API error: ${response.status} ${response.statusText}${errorDetails}`);
-  }
-  
-  // Handle empty responses (common for PUT/DELETE)
-  const text = await response.text();
-  if (!text) {
-    return { success: true };
-  }
-  
-  try {
-    return JSON.parse(text);
-  } catch (e) {
-    // If it's not JSON, return the text
-    return { success: true, body: text };
-  }
+  return heartland.request(endpoint, options);
 }
 
 // Helper function to get item status from database
@@ -303,115 +707,922 @@ async function updateItemStatus(itemType, heartlandId, status, receiptId = null,
 app.use(express.json());
 app.use(express.static('public'));
 
-// Generate product description from images
-app.post('/api/generate', upload.array('images', 10), async (req, res) => {
-  try {
-    const { productName, vendor, color, category, vendorDescription } = req.body;
-    const images = req.files;
-
-    if (!images || images.length === 0) {
-      return res.status(400).json({ error: 'At least one image is required' });
-    }
+// ==================== BRAND VOICE & PROMPT TEMPLATES ====================
 
-    // Prepare image content for Claude
-    const imageContent = images.map(img => ({
-      type: 'image',
-      source: {
-        type: 'base64',
-        media_type: img.mimetype,
-        data: img.buffer.toString('base64'),
-      },
-    }));
+// Used until a brand profile is saved from the Brand Settings screen
+const DEFAULT_BRAND_PROFILE = {
+  storeName: "Monkee's of Chattanooga",
+  storeDescription: "an upscale women's boutique known for stylish, curated fashion",
+  voiceGuidelines: 'Keep the tone warm, sophisticated, and aspirational—like a trusted friend who works in fashion giving advice. Be genuine and specific.',
+  bannedPhrases: ["isn't just a [item]—it's a statement", 'elevate your wardrobe'],
+  minWords: 150,
+  maxWords: 250,
+  footerHtml: '<p><strong>Not sure of the fit? Need more information?</strong></p>\n<p><strong>We\'re here to help! Send us a DM @monkeesofchattanooga or call 423-486-1300!</strong></p>',
+  tagTaxonomy: {
+    colors: ['black', 'white', 'ivory', 'cream', 'beige', 'tan', 'camel', 'brown', 'gray', 'silver', 'gold', 'navy', 'blue', 'light blue', 'green', 'olive', 'sage', 'red', 'burgundy', 'pink', 'hot pink', 'blush', 'purple', 'lavender', 'orange', 'coral', 'yellow', 'multi', 'animal print', 'floral'],
+    occasions: ['everyday', 'work', 'date night', 'going out', 'party', 'wedding guest', 'holiday', 'vacation', 'brunch', 'game day', 'lounge', 'layering'],
+    fabrics: ['cotton', 'linen', 'silk', 'satin', 'denim', 'knit', 'sweater knit', 'cashmere', 'wool', 'leather', 'faux leather', 'velvet', 'sequin', 'lace', 'chiffon', 'crochet', 'mesh', 'fleece', 'rayon', 'modal', 'polyester'],
+  },
+  localizedFooters: {
+    es: '<p><strong>¿No estás segura de la talla? ¿Necesitas más información?</strong></p>\n<p><strong>¡Estamos para ayudarte! Envíanos un DM @monkeesofchattanooga o llama al 423-486-1300!</strong></p>',
+    fr: '<p><strong>Un doute sur la taille ? Besoin de plus d\'informations ?</strong></p>\n<p><strong>Nous sommes là pour vous aider ! Écrivez-nous en DM @monkeesofchattanooga ou appelez le 423-486-1300 !</strong></p>',
+  },
+};
 
-    // Build the prompt
-    const prompt = `You are a copywriter for Monkee's of Chattanooga, an upscale women's boutique known for stylish, curated fashion. Write a product description for our Shopify store.
+// Languages descriptions can be generated in. English is the Heartland/Shopify copy;
+// other locales are drafted alongside it for localized listing channels.
+const DEFAULT_LOCALE = 'en';
+const DESCRIPTION_LOCALES = {
+  en: 'English',
+  es: 'Spanish',
+  fr: 'French',
+};
 
-Product Details:
-- Product Name: ${productName || 'Not provided'}
-- Vendor/Brand: ${vendor || 'Not provided'}
-- Color: ${color || 'Not provided'}
-- Category: ${category || 'Not provided'}
-${vendorDescription ? `- Vendor's Description: ${vendorDescription}` : ''}
+// Helper: Validate a locale code from a request (missing means English)
+function parseLocale(locale) {
+  const code = (locale || DEFAULT_LOCALE).toString().trim().toLowerCase();
+  return DESCRIPTION_LOCALES[code] ? code : null;
+}
 
-Based on the product images and details above, write a product description following this exact structure:
+// Tag groups that must come from the taxonomy (style tags are free-form)
+const TAXONOMY_GROUPS = ['colors', 'occasions', 'fabrics'];
 
-**OPENING (2-3 sentences):**
+// Structure instructions used when no template matches the product's category.
+// Placeholders: {{storeName}}, {{productName}}, {{category}}, {{detailSource}}
+const DEFAULT_PROMPT_TEMPLATE = `**OPENING (2-3 sentences):**
 Start with an engaging hook that captures the item's appeal and vibe. Mention the brand name and product name naturally. Describe what makes this piece special and when/where to wear it.
 
-**FEATURES (5-6 bullet points, one per line):**
-Each bullet should be on its own line and cover:
-- Key design details and embellishments visible in the images
+**FEATURES (4-5 bullet points):**
+Cover:
+- Key design details and embellishments {{detailSource}}
 - Fabric/material if known or visible
 - Fit and silhouette (relaxed, fitted, oversized, etc.)
 - Color and any accent colors or patterns
 - Styling suggestions (what to pair it with)
-- Care instructions if mentioned in vendor description, otherwise note "See label for care instructions"
-
-Keep the tone warm, sophisticated, and aspirational—like a trusted friend who works in fashion giving advice. Avoid over-the-top phrases like "isn't just a [item]—it's a statement" or "elevate your wardrobe." Be genuine and specific.
-
-Total length should be 150-250 words.
-
-**META DESCRIPTION:**
-Write an SEO-friendly meta description under 160 characters. Include the brand name, product type, and one key appeal (like the occasion, season, or standout feature).
-
-Format your response exactly like this:
----DESCRIPTION---
-[Opening sentences]
 
-[Bullet points, each on its own line starting with •]
+**CARE (one line):**
+Care instructions if mentioned in vendor description, otherwise "See label for care instructions"`;
 
----META---
-[Meta description]
+// Helper: Shape a brand_profile row (or the defaults) for the frontend and prompt builder
+function formatBrandProfile(row) {
+  if (!row) return { ...DEFAULT_BRAND_PROFILE, isDefault: true };
+  return {
+    storeName: row.store_name,
+    storeDescription: row.store_description || '',
+    voiceGuidelines: row.voice_guidelines || '',
+    bannedPhrases: row.banned_phrases || [],
+    minWords: row.min_words,
+    maxWords: row.max_words,
+    footerHtml: row.footer_html || '',
+    tagTaxonomy: row.tag_taxonomy || DEFAULT_BRAND_PROFILE.tagTaxonomy,
+    localizedFooters: { ...DEFAULT_BRAND_PROFILE.localizedFooters, ...(row.localized_footers || {}) },
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at,
+    isDefault: false,
+  };
+}
 
----END---`;
+// Helper: Active brand profile (falls back to the built-in Monkee's defaults)
+async function getBrandProfile() {
+  try {
+    const result = await pool.query(`SELECT * FROM brand_profile WHERE profile_key = 'default'`);
+    return formatBrandProfile(result.rows[0]);
+  } catch (error) {
+    console.error('Error loading brand profile:', error);
+    return formatBrandProfile(null);
+  }
+}
 
-    const response = await anthropic.messages.create({
-      model: 'claude-sonnet-4-20250514',
-      max_tokens: 1024,
-      messages: [
-        {
-          role: 'user',
-          content: [
-            ...imageContent,
-            { type: 'text', text: prompt },
-          ],
-        },
-      ],
-    });
+// Helper: Prompt template for a category - exact (case-insensitive) match, then the
+// saved 'default' template, then the built-in one
+async function getPromptTemplate(category) {
+  try {
+    const result = await pool.query(`
+      SELECT category, template FROM prompt_templates
+      WHERE LOWER(category) = LOWER($1) OR category = 'default'
+      ORDER BY (category = 'default') ASC
+      LIMIT 1
+    `, [category || '']);
+    if (result.rows[0]) return result.rows[0].template;
+  } catch (error) {
+    console.error('Error loading prompt template:', error);
+  }
+  return DEFAULT_PROMPT_TEMPLATE;
+}
 
-    const responseText = response.content[0].text;
+// Helper: Replace {{placeholders}} in a template (unknown ones are left alone)
+function fillTemplate(template, values) {
+  return template.replace(/\{\{(\w+)\}\}/g, (match, key) => (values[key] !== undefined ? values[key] : match));
+}
 
-    // Parse the response
-    const descriptionMatch = responseText.match(/---DESCRIPTION---([\s\S]*?)---META---/);
-    const metaMatch = responseText.match(/---META---([\s\S]*?)---END---/);
+// Get the brand profile used for generation
+app.get('/api/brand-profile', async (req, res) => {
+  try {
+    res.json(await getBrandProfile());
+  } catch (error) {
+    console.error('Error fetching brand profile:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-    const descriptionBase = descriptionMatch ? descriptionMatch[1].trim() : responseText;
+// Save the brand profile
+app.put('/api/brand-profile', async (req, res) => {
+  try {
+    const { storeName, storeDescription, voiceGuidelines, bannedPhrases, minWords, maxWords, footerHtml, tagTaxonomy, localizedFooters } = req.body;
     
-    // Convert to HTML format for Shopify
-    const htmlDescription = convertToHtml(descriptionBase);
+    if (!storeName || !storeName.trim()) {
+      return res.status(400).json({ error: 'storeName is required' });
+    }
     
-    const metaDescription = metaMatch ? metaMatch[1].trim() : '';
-
-    res.json({
-      success: true,
-      description: htmlDescription,
-      metaDescription,
-      raw: responseText,
-    });
-
+    const min = parseInt(minWords) || DEFAULT_BRAND_PROFILE.minWords;
+    const max = parseInt(maxWords) || DEFAULT_BRAND_PROFILE.maxWords;
+    if (min <= 0 || max < min) {
+      return res.status(400).json({ error: 'Word targets must be positive and maxWords must be at least minWords' });
+    }
+    
+    const phrases = (Array.isArray(bannedPhrases) ? bannedPhrases : String(bannedPhrases || '').split('\n'))
+      .map(p => p.trim())
+      .filter(Boolean);
+    
+    // Each taxonomy group is a list of lowercase values; missing groups keep the defaults
+    const taxonomy = {};
+    for (const group of TAXONOMY_GROUPS) {
+      const values = tagTaxonomy?.[group];
+      taxonomy[group] = Array.isArray(values)
+        ? [...new Set(values.map(v => String(v).trim().toLowerCase()).filter(Boolean))]
+        : DEFAULT_BRAND_PROFILE.tagTaxonomy[group];
+    }
+    
+    const footers = {};
+    for (const locale of Object.keys(DESCRIPTION_LOCALES)) {
+      if (locale !== DEFAULT_LOCALE && typeof localizedFooters?.[locale] === 'string') {
+        footers[locale] = localizedFooters[locale];
+      }
+    }
+    
+    const result = await pool.query(`
+      INSERT INTO brand_profile
+        (profile_key, store_name, store_description, voice_guidelines, banned_phrases, min_words, max_words, footer_html, tag_taxonomy, localized_footers, updated_by, updated_at)
+      VALUES ('default', $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, CURRENT_TIMESTAMP)
+      ON CONFLICT (profile_key)
+      DO UPDATE SET
+        store_name = EXCLUDED.store_name,
+        store_description = EXCLUDED.store_description,
+        voice_guidelines = EXCLUDED.voice_guidelines,
+        banned_phrases = EXCLUDED.banned_phrases,
+        min_words = EXCLUDED.min_words,
+        max_words = EXCLUDED.max_words,
+        footer_html = EXCLUDED.footer_html,
+        tag_taxonomy = EXCLUDED.tag_taxonomy,
+        localized_footers = EXCLUDED.localized_footers,
+        updated_by = EXCLUDED.updated_by,
+        updated_at = CURRENT_TIMESTAMP
+      RETURNING *
+    `, [storeName.trim(), storeDescription || '', voiceGuidelines || '', JSON.stringify(phrases), min, max, footerHtml || '', JSON.stringify(taxonomy), JSON.stringify(footers), req.username]);
+    
+    res.json({ success: true, profile: formatBrandProfile(result.rows[0]) });
   } catch (error) {
-    console.error('Error generating description:', error);
+    console.error('Error saving brand profile:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Convert plain text description to HTML for Shopify
-function convertToHtml(text) {
-  const lines = text.split('\n').filter(line => line.trim());
-  let html = '';
-  let inList = false;
-  
-  for (const line of lines) {
+// List prompt templates (always includes the default)
+app.get('/api/prompt-templates', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT category, template, updated_by, updated_at FROM prompt_templates
+      ORDER BY (category = 'default') DESC, category ASC
+    `);
+    
+    const templates = result.rows.map(r => ({
+      category: r.category,
+      template: r.template,
+      updatedBy: r.updated_by,
+      updatedAt: r.updated_at,
+      isBuiltIn: false,
+    }));
+    
+    if (!templates.some(t => t.category === 'default')) {
+      templates.unshift({ category: 'default', template: DEFAULT_PROMPT_TEMPLATE, updatedBy: null, updatedAt: null, isBuiltIn: true });
+    }
+    
+    res.json({
+      templates,
+      placeholders: ['storeName', 'productName', 'category', 'detailSource'],
+    });
+  } catch (error) {
+    console.error('Error fetching prompt templates:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create or update the template for a category ('default' applies to everything else)
+app.put('/api/prompt-templates/:category', async (req, res) => {
+  try {
+    const category = req.params.category.trim();
+    const { template } = req.body;
+    
+    if (!template || !template.trim()) {
+      return res.status(400).json({ error: 'template is required' });
+    }
+    
+    await pool.query(`
+      INSERT INTO prompt_templates (category, template, updated_by, updated_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP)
+      ON CONFLICT (category)
+      DO UPDATE SET template = EXCLUDED.template, updated_by = EXCLUDED.updated_by, updated_at = CURRENT_TIMESTAMP
+    `, [category, template, req.username]);
+    
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error saving prompt template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Remove a category template (deleting 'default' goes back to the built-in one)
+app.delete('/api/prompt-templates/:category', async (req, res) => {
+  try {
+    await pool.query('DELETE FROM prompt_templates WHERE category = $1', [req.params.category.trim()]);
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting prompt template:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Structured output for generated copy - Claude must answer through this tool so we
+// get a typed object instead of parsing free text
+const META_DESCRIPTION_MAX_LENGTH = 160;
+const FEATURE_BULLETS_MIN = 4;
+const FEATURE_BULLETS_MAX = 5;
+const MAX_GENERATION_ATTEMPTS = 3;
+
+const SEO_TITLE_MAX_LENGTH = 70;
+const ALT_TEXT_MAX_LENGTH = 125;
+const COLOR_SNIPPET_MAX_LENGTH = 300;
+const DESCRIPTION_TOOL_NAME = 'write_product_description';
+
+// Helper: Tool definition for one generation - alt text count and tag values depend on
+// how many images were sent and the store's tag taxonomy
+function buildDescriptionTool({ imageCount, taxonomy, colors = [] }) {
+  const taxonomyList = (group) => ({ type: 'array', items: { type: 'string', enum: taxonomy[group] } });
+  
+  // Grids in more than one colorway also get a short snippet per color for the individual items
+  const colorProperties = colors.length > 1 ? {
+    colorSnippets: {
+      type: 'array',
+      minItems: colors.length,
+      maxItems: colors.length,
+      items: {
+        type: 'object',
+        properties: {
+          color: { type: 'string', enum: colors },
+          snippet: { type: 'string', description: `1-2 sentences about this colorway, at most ${COLOR_SNIPPET_MAX_LENGTH} characters` },
+        },
+        required: ['color', 'snippet'],
+      },
+      description: 'One snippet per colorway, in the order given',
+    },
+  } : {};
+  
+  return {
+    name: DESCRIPTION_TOOL_NAME,
+    description: 'Return the finished product description copy and SEO fields.',
+    input_schema: {
+      type: 'object',
+      properties: {
+        opening: { type: 'string', description: 'Opening paragraph (2-3 sentences), plain text' },
+        features: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: FEATURE_BULLETS_MIN,
+          maxItems: FEATURE_BULLETS_MAX,
+          description: 'Feature bullets, plain text without bullet characters',
+        },
+        careInstructions: { type: 'string', description: 'One line of care instructions' },
+        metaDescription: { type: 'string', description: `SEO meta description, under ${META_DESCRIPTION_MAX_LENGTH} characters` },
+        seoTitle: { type: 'string', description: `SEO page title, at most ${SEO_TITLE_MAX_LENGTH} characters` },
+        urlHandle: { type: 'string', description: 'Shopify URL handle - lowercase words separated by hyphens' },
+        imageAltText: {
+          type: 'array',
+          items: { type: 'string' },
+          minItems: imageCount,
+          maxItems: imageCount,
+          description: `Alt text for each product image in the order given, at most ${ALT_TEXT_MAX_LENGTH} characters each`,
+        },
+        tagGroups: {
+          type: 'object',
+          properties: {
+            colors: taxonomyList('colors'),
+            occasions: taxonomyList('occasions'),
+            fabrics: taxonomyList('fabrics'),
+            styles: { type: 'array', items: { type: 'string' }, description: '1-3 free-form style tags (e.g. boho, preppy)' },
+          },
+          required: ['colors', 'occasions', 'fabrics', 'styles'],
+        },
+        ...colorProperties,
+      },
+      required: ['opening', 'features', 'careInstructions', 'metaDescription', 'seoTitle', 'urlHandle', 'imageAltText', 'tagGroups', ...Object.keys(colorProperties)],
+    },
+  };
+}
+
+// Helper: Lowercase, hyphenated Shopify URL handle
+function slugify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 100)
+    .replace(/-+$/, '');
+}
+
+// Helper: Check generated copy against the schema and our copy rules. Returns a list of problems.
+function validateDescriptionCopy(copy, { imageCount, taxonomy, colors = [] }) {
+  const errors = [];
+  const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+  
+  if (!copy || typeof copy !== 'object') {
+    return ['No copy was returned'];
+  }
+  if (!isText(copy.opening)) errors.push('opening is required');
+  if (!Array.isArray(copy.features) || !copy.features.every(isText)) {
+    errors.push('features must be a list of non-empty strings');
+  } else if (copy.features.length < FEATURE_BULLETS_MIN || copy.features.length > FEATURE_BULLETS_MAX) {
+    errors.push(`features must have ${FEATURE_BULLETS_MIN}-${FEATURE_BULLETS_MAX} bullets (got ${copy.features.length})`);
+  }
+  if (!isText(copy.careInstructions)) errors.push('careInstructions is required');
+  if (!isText(copy.metaDescription)) {
+    errors.push('metaDescription is required');
+  } else if (copy.metaDescription.trim().length >= META_DESCRIPTION_MAX_LENGTH) {
+    errors.push(`metaDescription must be under ${META_DESCRIPTION_MAX_LENGTH} characters (got ${copy.metaDescription.trim().length})`);
+  }
+  if (!isText(copy.seoTitle)) {
+    errors.push('seoTitle is required');
+  } else if (copy.seoTitle.trim().length > SEO_TITLE_MAX_LENGTH) {
+    errors.push(`seoTitle must be at most ${SEO_TITLE_MAX_LENGTH} characters (got ${copy.seoTitle.trim().length})`);
+  }
+  if (!slugify(copy.urlHandle || copy.seoTitle)) errors.push('urlHandle is required');
+  if (!Array.isArray(copy.imageAltText) || !copy.imageAltText.every(isText)) {
+    errors.push('imageAltText must be a list of non-empty strings');
+  } else if (copy.imageAltText.length !== imageCount) {
+    errors.push(`imageAltText must have exactly ${imageCount} entries, one per image (got ${copy.imageAltText.length})`);
+  } else if (copy.imageAltText.some(alt => alt.trim().length > ALT_TEXT_MAX_LENGTH)) {
+    errors.push(`each imageAltText entry must be at most ${ALT_TEXT_MAX_LENGTH} characters`);
+  }
+  
+  const groups = copy.tagGroups;
+  if (!groups || typeof groups !== 'object') {
+    errors.push('tagGroups is required');
+  } else {
+    for (const group of [...TAXONOMY_GROUPS, 'styles']) {
+      if (!Array.isArray(groups[group]) || !groups[group].every(isText)) {
+        errors.push(`tagGroups.${group} must be a list of strings`);
+      }
+    }
+    for (const group of TAXONOMY_GROUPS) {
+      const allowed = new Set(taxonomy[group]);
+      const unknown = (groups[group] || []).filter(tag => isText(tag) && !allowed.has(tag.trim().toLowerCase()));
+      if (unknown.length > 0) {
+        errors.push(`tagGroups.${group} has values outside our taxonomy: ${unknown.join(', ')}`);
+      }
+    }
+  }
+  
+  if (colors.length > 1) {
+    const snippets = Array.isArray(copy.colorSnippets) ? copy.colorSnippets : [];
+    const covered = snippets.filter(s => s && isText(s.snippet)).map(s => s.color);
+    const missing = colors.filter(color => !covered.includes(color));
+    if (missing.length > 0) {
+      errors.push(`colorSnippets is missing a snippet for: ${missing.join(', ')}`);
+    }
+    if (snippets.length !== colors.length) {
+      errors.push(`colorSnippets must have exactly one entry per color (${colors.length})`);
+    }
+    if (snippets.some(s => isText(s?.snippet) && s.snippet.trim().length > COLOR_SNIPPET_MAX_LENGTH)) {
+      errors.push(`each color snippet must be at most ${COLOR_SNIPPET_MAX_LENGTH} characters`);
+    }
+  }
+  
+  return errors;
+}
+
+// Helper: Trim validated copy into the shape we return/store
+function normalizeDescriptionCopy(copy) {
+  const tagGroups = {};
+  for (const group of [...TAXONOMY_GROUPS, 'styles']) {
+    tagGroups[group] = [...new Set(copy.tagGroups[group].map(t => t.trim().toLowerCase()))];
+  }
+  
+  return {
+    opening: copy.opening.trim(),
+    features: copy.features.map(f => f.trim().replace(/^[•\-\*]\s*/, '')),
+    careInstructions: copy.careInstructions.trim(),
+    metaDescription: copy.metaDescription.trim(),
+    seoTitle: copy.seoTitle.trim(),
+    urlHandle: slugify(copy.urlHandle || copy.seoTitle),
+    imageAltText: copy.imageAltText.map(alt => alt.trim()),
+    tagGroups,
+    // Flat list for Shopify
+    tags: [...new Set(Object.values(tagGroups).flat())],
+    colorSnippets: Array.isArray(copy.colorSnippets)
+      ? copy.colorSnippets.map(s => ({ color: s.color, snippet: s.snippet.trim() }))
+      : [],
+  };
+}
+
+// Helper: Lay validated copy out as the plain text convertToHtml expects
+function copyToText(copy) {
+  return [
+    copy.opening,
+    '',
+    ...copy.features.map(f => `• ${f}`),
+    `• ${copy.careInstructions}`,
+    ...(copy.sizeRange ? ['', copy.sizeRange] : []),
+  ].join('\n');
+}
+
+// Size labels in shelf order - anything else (numeric sizes, "One Size") sorts after these
+const SIZE_ORDER = ['XXS', 'XS', 'S', 'M', 'L', 'XL', 'XXL', '1X', '2X', '3X'];
+
+const SIZE_RANGE_TEXT = {
+  en: { range: (sizes) => `Available in sizes ${sizes}.`, single: (size) => `Available in size ${size}.` },
+  es: { range: (sizes) => `Disponible en tallas ${sizes}.`, single: (size) => `Disponible en talla ${size}.` },
+  fr: { range: (sizes) => `Disponible en tailles ${sizes}.`, single: (size) => `Disponible en taille ${size}.` },
+};
+
+// Helper: Sort sizes the way they hang on the rack (XS before S, 2 before 10)
+function sortSizes(sizes) {
+  const rank = (size) => {
+    const index = SIZE_ORDER.indexOf(size.toUpperCase());
+    if (index !== -1) return [0, index];
+    const number = parseFloat(size);
+    return Number.isNaN(number) ? [2, 0] : [1, number];
+  };
+  return [...sizes].sort((a, b) => {
+    const [groupA, valueA] = rank(a);
+    const [groupB, valueB] = rank(b);
+    return groupA - groupB || valueA - valueB || a.localeCompare(b);
+  });
+}
+
+// Helper: "Available in sizes XS–XL." from a grid's sizes - a range when they run
+// unbroken through the standard letter sizes, otherwise the list
+function formatSizeRange(sizes, locale = DEFAULT_LOCALE) {
+  const sorted = sortSizes([...new Set(sizes.filter(Boolean))]);
+  const text = SIZE_RANGE_TEXT[locale] || SIZE_RANGE_TEXT[DEFAULT_LOCALE];
+  if (sorted.length === 0) return '';
+  if (sorted.length === 1) return text.single(sorted[0]);
+  
+  const positions = sorted.map(size => SIZE_ORDER.indexOf(size.toUpperCase()));
+  const isUnbroken = positions.every((pos, i) => pos !== -1 && (i === 0 || pos === positions[i - 1] + 1));
+  return text.range(isUnbroken && sorted.length > 2 ? `${sorted[0]}–${sorted[sorted.length - 1]}` : sorted.join(', '));
+}
+
+// Helper: Normalize the variant matrix ([{ color, size }]) sent with a generation request
+function parseVariants(variants) {
+  let list = variants;
+  if (typeof list === 'string') {
+    try {
+      list = JSON.parse(list);
+    } catch (e) {
+      return [];
+    }
+  }
+  if (!Array.isArray(list)) return [];
+  return list
+    .map(v => ({ color: String(v?.color || '').trim(), size: String(v?.size || '').trim() }))
+    .filter(v => v.color || v.size);
+}
+
+// Helper: "Black (S, M, L); Red (S, M)" - which sizes each colorway comes in
+function describeVariantMatrix(variants) {
+  const byColor = new Map();
+  for (const v of variants) {
+    const color = v.color || 'Default';
+    if (!byColor.has(color)) byColor.set(color, new Set());
+    if (v.size) byColor.get(color).add(v.size);
+  }
+  return Array.from(byColor, ([color, sizes]) => (sizes.size > 0 ? `${color} (${sortSizes([...sizes]).join(', ')})` : color)).join('; ');
+}
+
+// Helper: Same layout for copy that is still being streamed (any field may be missing or cut off)
+function partialCopyToText(partial) {
+  const lines = [];
+  if (typeof partial.opening === 'string' && partial.opening) lines.push(partial.opening, '');
+  for (const feature of Array.isArray(partial.features) ? partial.features : []) {
+    if (typeof feature === 'string' && feature) lines.push(`• ${feature}`);
+  }
+  if (typeof partial.careInstructions === 'string' && partial.careInstructions) lines.push(`• ${partial.careInstructions}`);
+  return lines.join('\n');
+}
+
+// Generate a product description with Claude. Images are optional - bulk receipt
+// jobs fall back to the product details and vendor text when there are no photos.
+// onProgress receives the partially written copy as it streams in; signal cancels generation.
+// variants is the grid's color/size matrix ([{ color, size }]) - the copy covers every colorway.
+async function generateProductDescription({ productName, vendor, color, category, vendorDescription, variants = [], images = [], locale = DEFAULT_LOCALE, onProgress = null, signal = null }) {
+  // Prepare image content for Claude
+  const imageContent = images.map(img => ({
+    type: 'image',
+    source: {
+      type: 'base64',
+      media_type: img.mimetype,
+      data: img.buffer.toString('base64'),
+    },
+  }));
+
+  const sourceText = imageContent.length > 0 ? 'the product images and details above' : 'the product details above';
+
+  const brand = await getBrandProfile();
+  const template = await getPromptTemplate(category);
+  const structure = fillTemplate(template, {
+    storeName: brand.storeName,
+    productName: productName || 'this product',
+    category: category || 'product',
+    detailSource: imageContent.length > 0 ? 'visible in the images' : 'from the product details',
+  });
+  const bannedText = brand.bannedPhrases.length > 0
+    ? `Avoid over-the-top phrases like ${brand.bannedPhrases.map(p => `"${p}"`).join(' or ')}.`
+    : '';
+  const language = DESCRIPTION_LOCALES[locale];
+  const languageText = locale === DEFAULT_LOCALE
+    ? ''
+    : `\n\n**LANGUAGE:**\nWrite the opening, features, care line, meta description, SEO title, URL handle and alt text in ${language}, as a native ${language}-speaking copywriter would (not a word-for-word translation). Keep the brand and product names as they are. Tags stay in English, using the taxonomy values exactly as listed.`;
+  const footerHtml = localizedFooter(brand, locale);
+  const variantList = parseVariants(variants);
+  const colors = [...new Set(variantList.map(v => v.color).filter(Boolean))];
+  const sizeRange = formatSizeRange(variantList.map(v => v.size), locale);
+  const variantText = colors.length > 1
+    ? `\n\n**COLORWAYS:**\nThis style comes in ${colors.length} colors: ${describeVariantMatrix(variantList)}. Write the opening and features so they cover the whole range rather than one color (the photos may show only some of them). Also write a 1-2 sentence snippet for each colorway - what makes that color special and how to style it - for that color's individual listing.`
+    : '';
+
+  // Build the prompt
+  const prompt = `You are a copywriter for ${brand.storeName}${brand.storeDescription ? `, ${brand.storeDescription}` : ''}. Write a product description for our Shopify store.
+
+Product Details:
+- Product Name: ${productName || 'Not provided'}
+- Vendor/Brand: ${vendor || 'Not provided'}
+- Color: ${colors.length > 0 ? colors.join(', ') : (color || 'Not provided')}
+- Category: ${category || 'Not provided'}
+${vendorDescription ? `- Vendor's Description: ${vendorDescription}` : ''}
+
+Based on ${sourceText}, write a product description following this exact structure:
+
+${structure}
+
+${brand.voiceGuidelines} ${bannedText}
+
+Total length should be ${brand.minWords}-${brand.maxWords} words.
+
+**META DESCRIPTION:**
+Write an SEO-friendly meta description under ${META_DESCRIPTION_MAX_LENGTH} characters. Include the brand name, product type, and one key appeal (like the occasion, season, or standout feature).
+
+**SEO FIELDS:**
+- SEO title (at most ${SEO_TITLE_MAX_LENGTH} characters): brand, product name and product type
+- URL handle: short, lowercase, hyphen-separated
+${images.length > 0 ? `- Alt text for each of the ${images.length} images, in order (at most ${ALT_TEXT_MAX_LENGTH} characters each): describe what the shopper sees - the garment, color and view` : '- No images were provided, so imageAltText is an empty list'}
+
+**TAGS:**
+Pick the colors, occasions and fabrics that apply from our taxonomy (use only the listed values), plus 1-3 free-form style tags.
+- Colors: ${brand.tagTaxonomy.colors.join(', ')}
+- Occasions: ${brand.tagTaxonomy.occasions.join(', ')}
+- Fabrics: ${brand.tagTaxonomy.fabrics.join(', ')}${variantText}${languageText}
+
+Return the copy with the ${DESCRIPTION_TOOL_NAME} tool. Use plain text only - no bullet characters, markdown or HTML.`;
+
+  const validationContext = { imageCount: images.length, taxonomy: brand.tagTaxonomy, colors: colors.length > 1 ? colors : [] };
+
+  const messages = [
+    {
+      role: 'user',
+      content: [
+        ...imageContent,
+        { type: 'text', text: prompt },
+      ],
+    },
+  ];
+
+  const result = await runDescriptionConversation({ messages, validationContext, footerHtml, sizeRange, onProgress, signal });
+  return { ...result, locale, variantContext: { colors: validationContext.colors, sizeRange } };
+}
+
+// Helper: Send the conversation to Claude and ask again (with the problems listed) until the
+// copy passes validation. Returns the copy plus the conversation, ending with the accepted tool call.
+async function runDescriptionConversation({ messages, validationContext, footerHtml, sizeRange = '', onProgress = null, signal = null }) {
+  const descriptionTool = buildDescriptionTool(validationContext);
+  const conversation = [...messages];
+
+  let lastErrors = [];
+  for (let attempt = 1; attempt <= MAX_GENERATION_ATTEMPTS; attempt++) {
+    const stream = anthropic.messages.stream({
+      model: 'claude-sonnet-4-20250514',
+      max_tokens: 1024,
+      tools: [descriptionTool],
+      tool_choice: { type: 'tool', name: DESCRIPTION_TOOL_NAME },
+      messages: conversation,
+    }, { signal });
+    if (onProgress) {
+      stream.on('inputJson', (delta, snapshot) => onProgress({ attempt, copy: snapshot || {} }));
+    }
+    const response = await stream.finalMessage();
+
+    const toolUse = response.content.find(block => block.type === 'tool_use');
+    lastErrors = validateDescriptionCopy(toolUse ? toolUse.input : null, validationContext);
+
+    if (lastErrors.length === 0) {
+      // The size line comes straight from the grid's sizes rather than from the model
+      const copy = { ...normalizeDescriptionCopy(toolUse.input), sizeRange };
+      if (!validationContext.colors || validationContext.colors.length < 2) copy.colorSnippets = [];
+      conversation.push({ role: 'assistant', content: response.content });
+      return {
+        // Convert to HTML format for Shopify
+        description: convertToHtml(copyToText(copy), footerHtml),
+        metaDescription: copy.metaDescription,
+        copy,
+        attempts: attempt,
+        messages: conversation,
+      };
+    }
+
+    console.warn(`Generated copy failed validation (attempt ${attempt}/${MAX_GENERATION_ATTEMPTS}):`, lastErrors.join('; '));
+    if (onProgress && attempt < MAX_GENERATION_ATTEMPTS) {
+      onProgress({ attempt, retrying: true, errors: lastErrors });
+    }
+
+    // Hand the problems back so the next attempt fixes them rather than starting over
+    if (toolUse) {
+      conversation.push({ role: 'assistant', content: response.content });
+      conversation.push({
+        role: 'user',
+        content: [{
+          type: 'tool_result',
+          tool_use_id: toolUse.id,
+          is_error: true,
+          content: `Please fix these problems and call ${DESCRIPTION_TOOL_NAME} again: ${lastErrors.join('; ')}`,
+        }],
+      });
+    }
+  }
+
+  throw new Error(`Generated description failed validation after ${MAX_GENERATION_ATTEMPTS} attempts: ${lastErrors.join('; ')}`);
+}
+
+// Helper: CTA footer for a locale (English uses the main footer)
+function localizedFooter(brand, locale) {
+  return locale === DEFAULT_LOCALE ? brand.footerHtml : (brand.localizedFooters[locale] || brand.footerHtml);
+}
+
+// Generate product description from images. With itemType/heartlandId, uploads are saved to the
+// image library and a regenerate without new uploads reuses the saved photos.
+// Clients that send "Accept: text/event-stream" get server-sent events instead of one JSON response:
+//   preview - { attempt, description } HTML of the copy written so far
+//   retry   - { attempt, errors } the last attempt failed validation and is being rewritten
+//   done    - the same payload as the JSON response
+//   error   - { error }
+// Closing the connection cancels generation. The response's sessionId is used to refine the copy.
+app.post('/api/generate', upload.array('images', 10), async (req, res) => {
+  const wantsStream = (req.get('Accept') || '').includes('text/event-stream');
+  const controller = new AbortController();
+  
+  try {
+    const { productName, vendor, color, category, vendorDescription, itemType, heartlandId } = req.body;
+    const locale = parseLocale(req.body.locale);
+    if (!locale) {
+      return res.status(400).json({ error: `locale must be one of: ${Object.keys(DESCRIPTION_LOCALES).join(', ')}` });
+    }
+    const hasProduct = ['grid', 'item'].includes(itemType) && heartlandId;
+    let images = req.files || [];
+    let savedImages = [];
+
+    if (hasProduct) {
+      savedImages = images.length > 0
+        ? await saveProductImages(itemType, heartlandId, images, req.username)
+        : await getProductImages(itemType, heartlandId);
+      if (images.length === 0) {
+        images = await readProductImageFiles(savedImages.slice(0, 10));
+      }
+    }
+
+    if (images.length === 0) {
+      return res.status(400).json({ error: 'At least one image is required' });
+    }
+
+    const onProgress = wantsStream ? openGenerationStream(res, controller) : null;
+
+    const result = await generateProductDescription({
+      productName, vendor, color, category, vendorDescription, variants: req.body.variants, images, locale, onProgress, signal: controller.signal,
+    });
+
+    // Keep the generated alt text with the photos it describes (English only - the library holds one alt text per photo)
+    if (savedImages.length > 0 && locale === DEFAULT_LOCALE) {
+      await saveImageAltText(savedImages.slice(0, images.length), result.copy.imageAltText);
+    }
+
+    const sessionId = await createGenerationSession({
+      itemType: hasProduct ? itemType : null,
+      heartlandId: hasProduct ? heartlandId : null,
+      locale,
+      imageCount: images.length,
+      variantContext: result.variantContext,
+      messages: result.messages,
+      username: req.username,
+    });
+
+    finishGeneration(res, wantsStream, generationPayload(result, { locale, sessionId, revision: 0 }));
+  } catch (error) {
+    failGeneration(res, controller, error, 'generating description');
+  }
+});
+
+// ==================== REFINE (ITERATIVE EDITS) ====================
+
+// Generation sessions older than this are cleaned up when new ones are created
+const GENERATION_SESSION_TTL_DAYS = 7;
+
+// Helper: Image blocks are far too large to keep - the copy already describes them
+function stripImagesFromMessages(messages) {
+  return messages.map(message => {
+    if (!Array.isArray(message.content)) return message;
+    const imageCount = message.content.filter(block => block.type === 'image').length;
+    const content = message.content.filter(block => block.type !== 'image');
+    if (imageCount > 0) {
+      content.unshift({ type: 'text', text: `[${imageCount} product image${imageCount === 1 ? '' : 's'} were shown here]` });
+    }
+    return { ...message, content };
+  });
+}
+
+// Helper: Save a generation's conversation so later refinements build on it. Returns the session ID.
+async function createGenerationSession({ itemType, heartlandId, locale, imageCount, variantContext = null, messages, username }) {
+  try {
+    await pool.query(
+      `DELETE FROM generation_sessions WHERE updated_at < NOW() - ($1 || ' days')::INTERVAL`,
+      [GENERATION_SESSION_TTL_DAYS]
+    );
+    
+    const result = await pool.query(`
+      INSERT INTO generation_sessions (item_type, heartland_id, locale, image_count, variant_context, messages, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7)
+      RETURNING id
+    `, [itemType, heartlandId ? heartlandId.toString() : null, locale, imageCount, variantContext ? JSON.stringify(variantContext) : null, JSON.stringify(stripImagesFromMessages(messages)), username]);
+    return result.rows[0].id;
+  } catch (error) {
+    // Refining won't be available, but the generated copy is still good
+    console.error('Error saving generation session:', error);
+    return null;
+  }
+}
+
+// Helper: Ask for a revision of the last accepted copy in a session
+async function refineProductDescription({ session, instruction, currentDescription, onProgress = null, signal = null }) {
+  const brand = await getBrandProfile();
+  const variantContext = session.variant_context || {};
+  const validationContext = { imageCount: session.image_count, taxonomy: brand.tagTaxonomy, colors: variantContext.colors || [] };
+  
+  const messages = session.messages;
+  const lastToolUse = messages[messages.length - 1].content.find(block => block.type === 'tool_use');
+  const editedText = currentDescription
+    ? `\n\nThe description currently reads as follows (staff may have edited it by hand - keep their edits):\n${currentDescription}`
+    : '';
+  
+  messages.push({
+    role: 'user',
+    content: [
+      { type: 'tool_result', tool_use_id: lastToolUse.id, content: 'Copy received.' },
+      {
+        type: 'text',
+        text: `Please revise the copy: ${instruction}${editedText}\n\nChange only what the request calls for and keep everything else. Call ${DESCRIPTION_TOOL_NAME} again with the complete revised copy.`,
+      },
+    ],
+  });
+  
+  return runDescriptionConversation({
+    messages,
+    validationContext,
+    footerHtml: localizedFooter(brand, session.locale),
+    sizeRange: variantContext.sizeRange || '',
+    onProgress,
+    signal,
+  });
+}
+
+// Revise the last generated copy with a staff instruction ("shorter", "mention it's lined"...).
+// Takes JSON { sessionId, instruction, currentDescription } and streams like /api/generate.
+app.post('/api/generate/refine', async (req, res) => {
+  const wantsStream = (req.get('Accept') || '').includes('text/event-stream');
+  const controller = new AbortController();
+  
+  try {
+    const { sessionId, instruction, currentDescription } = req.body;
+    if (!sessionId || !instruction || !instruction.trim()) {
+      return res.status(400).json({ error: 'sessionId and instruction are required' });
+    }
+    
+    const sessionResult = await pool.query('SELECT * FROM generation_sessions WHERE id = $1', [sessionId]);
+    const session = sessionResult.rows[0];
+    if (!session) {
+      return res.status(404).json({ error: 'Generation session not found - generate the description again' });
+    }
+    
+    const onProgress = wantsStream ? openGenerationStream(res, controller) : null;
+    
+    const result = await refineProductDescription({
+      session,
+      instruction: instruction.trim(),
+      currentDescription,
+      onProgress,
+      signal: controller.signal,
+    });
+    
+    const revision = session.revision + 1;
+    await pool.query(`
+      UPDATE generation_sessions
+      SET messages = $1, revision = $2, instructions = instructions || $3::jsonb, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+    `, [JSON.stringify(result.messages), revision, JSON.stringify([instruction.trim()]), session.id]);
+    
+    finishGeneration(res, wantsStream, generationPayload(result, { locale: session.locale, sessionId: session.id, revision }));
+  } catch (error) {
+    failGeneration(res, controller, error, 'refining description');
+  }
+});
+
+// Helper: Response body shared by generate and refine
+function generationPayload(result, { locale, sessionId, revision }) {
+  return {
+    success: true,
+    locale,
+    sessionId,
+    revision,
+    description: result.description,
+    metaDescription: result.metaDescription,
+    copy: result.copy,
+    seoTitle: result.copy.seoTitle,
+    urlHandle: result.copy.urlHandle,
+    imageAltText: result.copy.imageAltText,
+    tags: result.copy.tags,
+  };
+}
+
+// Helper: Switch the response to server-sent events. Returns the generator's onProgress callback.
+function openGenerationStream(res, controller) {
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+  });
+  res.on('close', () => {
+    if (!res.writableEnded) controller.abort();
+  });
+  
+  return (progress) => {
+    if (progress.retrying) {
+      sendServerEvent(res, 'retry', { attempt: progress.attempt, errors: progress.errors });
+    } else {
+      sendServerEvent(res, 'preview', { attempt: progress.attempt, description: convertToHtml(partialCopyToText(progress.copy)) });
+    }
+  };
+}
+
+function finishGeneration(res, wantsStream, payload) {
+  if (wantsStream) {
+    sendServerEvent(res, 'done', payload);
+    return res.end();
+  }
+  res.json(payload);
+}
+
+function failGeneration(res, controller, error, action) {
+  if (controller.signal.aborted) {
+    console.log(`Cancelled ${action} (client disconnected)`);
+    return res.end();
+  }
+  console.error(`Error ${action}:`, error);
+  if (res.headersSent) {
+    sendServerEvent(res, 'error', { error: error.message });
+    return res.end();
+  }
+  res.status(500).json({ error: error.message });
+}
+
+// Helper: Write one server-sent event
+function sendServerEvent(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// Convert plain text description to HTML for Shopify (footerHtml is the brand's CTA)
+function convertToHtml(text, footerHtml = '') {
+  const lines = text.split('\n').filter(line => line.trim());
+  let html = '';
+  let inList = false;
+  
+  for (const line of lines) {
     const trimmed = line.trim();
     
     // Check if it's a bullet point
@@ -441,38 +1652,232 @@ function convertToHtml(text) {
   }
   
   // Add the CTA footer
-  html += '<p><strong>Not sure of the fit? Need more information?</strong></p>\n';
-  html += '<p><strong>We\'re here to help! Send us a DM @monkeesofchattanooga or call 423-486-1300!</strong></p>';
+  html += footerHtml;
   
   return html;
 }
 
-// Cache for vendor names (to avoid repeated API calls)
-const vendorCache = new Map();
+// ==================== HEARTLAND ITEM/VENDOR MIRROR ====================
+// Items and vendors are mirrored into Postgres so receipt screens, sync and matching read
+// them locally instead of calling /items/:id once per line. The nightly sync pulls whatever
+// Heartland changed since the items/vendors sync cursors, so every mirrored row is current as of
+// the later of its cached_at and that cursor. Reads only re-fetch rows neither has covered in
+// HEARTLAND_MIRROR_MAX_AGE_HOURS (i.e. when the sync has stopped running), and our own
+// description pushes drop the rows they touch.
 
-async function getVendorName(vendorId) {
-  if (!vendorId) return 'Unknown Vendor';
+// Long enough that rows don't go stale while waiting on a nightly run that starts late
+const MIRROR_MAX_AGE_HOURS = parseInt(process.env.HEARTLAND_MIRROR_MAX_AGE_HOURS) || 36;
+
+// Helper: Dedupe Heartland records by ID (one upsert can't touch the same row twice)
+function uniqueById(records) {
+  const byId = new Map();
+  for (const record of records) {
+    if (record?.id) byId.set(String(record.id), record);
+  }
+  return [...byId.values()];
+}
+
+// Helper: Upsert Heartland item payloads, never replacing a row with an older copy
+async function upsertMirroredItems(items) {
+  const rows = uniqueById(items);
   
-  if (vendorCache.has(vendorId)) {
-    return vendorCache.get(vendorId);
+  for (let i = 0; i < rows.length; i += 500) {
+    await pool.query(`
+      INSERT INTO items (heartland_id, grid_id, primary_vendor_id, data, heartland_updated_at, cached_at)
+      SELECT item->>'id', item->>'grid_id', item->>'primary_vendor_id', item, (item->>'updated_at')::timestamptz, CURRENT_TIMESTAMP
+      FROM jsonb_array_elements($1::jsonb) AS item
+      ON CONFLICT (heartland_id)
+      DO UPDATE SET
+        grid_id = EXCLUDED.grid_id,
+        primary_vendor_id = EXCLUDED.primary_vendor_id,
+        data = EXCLUDED.data,
+        heartland_updated_at = EXCLUDED.heartland_updated_at,
+        cached_at = CURRENT_TIMESTAMP
+      WHERE items.heartland_updated_at IS NULL
+        OR EXCLUDED.heartland_updated_at IS NULL
+        OR EXCLUDED.heartland_updated_at >= items.heartland_updated_at
+    `, [JSON.stringify(rows.slice(i, i + 500))]);
+  }
+  
+  return rows.length;
+}
+
+// Helper: Upsert Heartland vendor payloads, never replacing a row with an older copy
+async function upsertMirroredVendors(vendors) {
+  const rows = uniqueById(vendors);
+  
+  for (let i = 0; i < rows.length; i += 500) {
+    await pool.query(`
+      INSERT INTO vendors (heartland_id, name, data, heartland_updated_at, cached_at)
+      SELECT vendor->>'id', vendor->>'name', vendor, (vendor->>'updated_at')::timestamptz, CURRENT_TIMESTAMP
+      FROM jsonb_array_elements($1::jsonb) AS vendor
+      ON CONFLICT (heartland_id)
+      DO UPDATE SET
+        name = EXCLUDED.name,
+        data = EXCLUDED.data,
+        heartland_updated_at = EXCLUDED.heartland_updated_at,
+        cached_at = CURRENT_TIMESTAMP
+      WHERE vendors.heartland_updated_at IS NULL
+        OR EXCLUDED.heartland_updated_at IS NULL
+        OR EXCLUDED.heartland_updated_at >= vendors.heartland_updated_at
+    `, [JSON.stringify(rows.slice(i, i + 500))]);
   }
   
+  return rows.length;
+}
+
+// Helper: Read fresh mirrored items by ID (a DB failure just means everything is fetched live)
+async function readMirroredItems(ids) {
   try {
-    const vendor = await heartlandRequest(`/purchasing/vendors/${vendorId}`);
-    const name = vendor.name || 'Unknown Vendor';
-    vendorCache.set(vendorId, name);
-    return name;
+    const result = await pool.query(`
+      SELECT i.heartland_id, i.data FROM items i
+      LEFT JOIN sync_cursors c ON c.entity = 'items'
+      WHERE i.heartland_id = ANY($1)
+        AND GREATEST(i.cached_at, c.watermark) > NOW() - make_interval(hours => $2)
+    `, [ids, MIRROR_MAX_AGE_HOURS]);
+    return new Map(result.rows.map(row => [row.heartland_id, row.data]));
   } catch (error) {
-    console.error(`Error fetching vendor ${vendorId}:`, error);
-    return 'Unknown Vendor';
+    console.error('Error reading item mirror:', error.message);
+    return new Map();
   }
 }
 
-// Get all receipts from Heartland
-app.get('/api/receipts', async (req, res) => {
-  try {
-    // Get cached receipts from database (fast!)
-    const cachedResult = await pool.query(`
+// Helper: Load Heartland items by ID from the mirror, fetching and mirroring any that are
+// missing or stale. Returns a Map of item ID (string) -> Heartland item; items Heartland
+// can't return (e.g. deleted) are left out.
+const ITEM_FETCH_BATCH_SIZE = 100;
+
+async function getHeartlandItems(itemIds) {
+  const ids = [...new Set(itemIds.filter(Boolean).map(String))];
+  if (ids.length === 0) return new Map();
+  
+  const found = await readMirroredItems(ids);
+  const missing = ids.filter(id => !found.has(id));
+  
+  // Missing items are fetched ITEM_FETCH_BATCH_SIZE at a time with an id filter
+  const batches = [];
+  for (let i = 0; i < missing.length; i += ITEM_FETCH_BATCH_SIZE) {
+    batches.push(missing.slice(i, i + ITEM_FETCH_BATCH_SIZE));
+  }
+  const fetched = await heartland.mapWithConcurrency(batches, batch =>
+    fetchAllPages(`/items?${batch.map(id => `_filter[id][$in][]=${encodeURIComponent(id)}`).join('&')}`)
+      .catch(error => {
+        console.error(`Error fetching ${batch.length} items:`, error.message);
+        return [];
+      })
+  );
+  const items = fetched.flat();
+  for (const item of items) found.set(String(item.id), item);
+  
+  await upsertMirroredItems(items).catch(error => console.error('Error mirroring items:', error.message));
+  return found;
+}
+
+// Helper: Load one Heartland item through the mirror (throws if Heartland can't return it)
+async function getHeartlandItem(itemId) {
+  const found = await readMirroredItems([String(itemId)]);
+  if (found.has(String(itemId))) return found.get(String(itemId));
+  
+  const item = await heartlandRequest(`/items/${itemId}`);
+  await upsertMirroredItems([item]).catch(error => console.error('Error mirroring item:', error.message));
+  return item;
+}
+
+// Helper: Load a grid's items through the mirror. The grid is fetched from Heartland (and
+// mirrored) only when the mirror has none of its items or any of them is stale.
+async function getHeartlandGridItems(gridId) {
+  try {
+    const result = await pool.query(`
+      SELECT i.data, GREATEST(i.cached_at, c.watermark) > NOW() - make_interval(hours => $2) AS fresh
+      FROM items i
+      LEFT JOIN sync_cursors c ON c.entity = 'items'
+      WHERE i.grid_id = $1
+      ORDER BY length(i.heartland_id), i.heartland_id
+    `, [gridId.toString(), MIRROR_MAX_AGE_HOURS]);
+    if (result.rows.length > 0 && result.rows.every(row => row.fresh)) {
+      return result.rows.map(row => row.data);
+    }
+  } catch (error) {
+    console.error('Error reading item mirror:', error.message);
+  }
+  
+  const items = await fetchAllPages(`/items?_filter[grid_id]=${gridId}`);
+  await upsertMirroredItems(items).catch(error => console.error('Error mirroring grid items:', error.message));
+  return items;
+}
+
+// Helper: Drop mirrored rows after we change them in Heartland (a grid push touches all its items)
+async function invalidateMirroredItems(itemType, heartlandId) {
+  try {
+    await pool.query(
+      itemType === 'grid' ? `DELETE FROM items WHERE grid_id = $1` : `DELETE FROM items WHERE heartland_id = $1`,
+      [heartlandId.toString()]
+    );
+  } catch (error) {
+    console.error('Error invalidating item mirror:', error.message);
+  }
+}
+
+// In-process memo of vendor lookups on top of the vendors table
+const vendorCache = new Map();
+
+async function getVendorName(vendorId) {
+  if (!vendorId) return 'Unknown Vendor';
+  
+  if (vendorCache.has(vendorId)) {
+    return vendorCache.get(vendorId);
+  }
+  
+  // Cache the pending lookup so parallel callers share one request
+  const lookup = (async () => {
+    try {
+      const cached = await pool.query(`
+        SELECT v.name FROM vendors v
+        LEFT JOIN sync_cursors c ON c.entity = 'vendors'
+        WHERE v.heartland_id = $1 AND GREATEST(v.cached_at, c.watermark) > NOW() - make_interval(hours => $2)
+      `, [vendorId.toString(), MIRROR_MAX_AGE_HOURS]);
+      if (cached.rows[0]) return cached.rows[0].name || 'Unknown Vendor';
+    } catch (error) {
+      console.error('Error reading vendor mirror:', error.message);
+    }
+    
+    const vendor = await heartlandRequest(`/purchasing/vendors/${vendorId}`);
+    await upsertMirroredVendors([vendor]).catch(error => console.error('Error mirroring vendor:', error.message));
+    return vendor.name || 'Unknown Vendor';
+  })().catch(error => {
+    console.error(`Error fetching vendor ${vendorId}:`, error);
+    vendorCache.delete(vendorId);
+    return 'Unknown Vendor';
+  });
+  vendorCache.set(vendorId, lookup);
+  return lookup;
+}
+
+// Pull every item and vendor Heartland changed since their sync cursors
+// (the whole catalog on the first run or a full resync)
+async function syncHeartlandMirror({ fullResync = false, runStartedAt = new Date() } = {}) {
+  const itemsSince = await getSyncWatermark('items', fullResync);
+  const vendorsSince = await getSyncWatermark('vendors', fullResync);
+  
+  const items = await fetchAllPages(withSyncFilter('/items', 'updated_at', itemsSince), 1000);
+  await upsertMirroredItems(items);
+  await advanceSyncCursor('items', runStartedAt, items.length, fullResync);
+  
+  const vendors = await fetchAllPages(withSyncFilter('/purchasing/vendors', 'updated_at', vendorsSince), 100);
+  await upsertMirroredVendors(vendors);
+  await advanceSyncCursor('vendors', runStartedAt, vendors.length, fullResync);
+  
+  // Renamed vendors should show up without a restart
+  vendorCache.clear();
+  
+  return { items: items.length, vendors: vendors.length };
+}
+
+// Get all receipts from Heartland
+app.get('/api/receipts', async (req, res) => {
+  try {
+    // Get cached receipts from database (fast!)
+    const cachedResult = await pool.query(`
       SELECT heartland_id, receipt_date, vendor, receipt_number, item_count, grid_count
       FROM receipt_cache
       WHERE receipt_date >= NOW() - INTERVAL '30 days'
@@ -540,57 +1945,7 @@ app.get('/api/receipts', async (req, res) => {
       };
     });
     
-    // Also check for any NEW receipts from today that might not be cached yet
-    const today = new Date().toISOString().split('T')[0];
-    try {
-      const todayData = await heartlandRequest(`/purchasing/receipts?per_page=20&_filter[created_at][$gte]=${today}&_filter[status]=complete&sort[]=updated_at,desc`);
-      
-      for (const r of (todayData.results || [])) {
-        // Skip if already in cache
-        if (receipts.some(cached => cached.heartlandId === r.id)) continue;
-        
-        // Get basic info for new receipt
-        let vendorName = 'Unknown Vendor';
-        let itemCount = 0;
-        let gridCount = 1;
-        
-        try {
-          const lines = await heartlandRequest(`/purchasing/receipts/${r.id}/lines?per_page=100`);
-          itemCount = lines.total || 0;
-          
-          const gridIds = new Set();
-          for (const line of lines.results || []) {
-            if (line.grid_id) gridIds.add(line.grid_id);
-          }
-          
-          if (lines.results && lines.results.length > 0 && lines.results[0].item_id) {
-            const item = await heartlandRequest(`/items/${lines.results[0].item_id}`);
-            if (item.primary_vendor_id) {
-              vendorName = await getVendorName(item.primary_vendor_id);
-            }
-            if (gridIds.size === 0 && item.grid_id) gridIds.add(item.grid_id);
-          }
-          
-          gridCount = gridIds.size || 1;
-        } catch (e) {
-          console.error('Error fetching new receipt details:', e);
-        }
-        
-        receipts.unshift({
-          id: `REC-${r.id}`,
-          heartlandId: r.id,
-          date: r.updated_at ? r.updated_at.split('T')[0] : today,
-          vendor: vendorName,
-          receiptNumber: r.public_id || `${r.id}`,
-          itemCount: itemCount,
-          gridCount: gridCount,
-          status: 'new',
-        });
-      }
-    } catch (e) {
-      console.error('Error checking for new receipts:', e);
-    }
-    
+    // New receipts arrive through the webhook / receipt poller, so the cache is all we need
     res.json(receipts);
   } catch (error) {
     console.error('Error fetching receipts:', error);
@@ -605,49 +1960,16 @@ app.post('/api/receipts/refresh-cache', async (req, res) => {
     const recentReceipts = await fetchAllPages(`/purchasing/receipts?_filter[created_at][$gte]=${thirtyDaysAgo}&_filter[status]=complete`);
     
     let cachedCount = 0;
-    for (const receipt of recentReceipts) {
+    await heartland.mapWithConcurrency(recentReceipts, async (receipt) => {
       try {
-        const receiptDate = receipt.updated_at || receipt.created_at;
-        const lines = await heartlandRequest(`/purchasing/receipts/${receipt.id}/lines?per_page=100`);
-        const itemCount = lines.total || 0;
-        
-        const gridIds = new Set();
-        let vendorName = 'Unknown Vendor';
-        
-        for (const line of (lines.results || [])) {
-          if (line.grid_id) gridIds.add(line.grid_id);
-        }
-        
-        if (lines.results && lines.results.length > 0 && lines.results[0].item_id) {
-          try {
-            const item = await heartlandRequest(`/items/${lines.results[0].item_id}`);
-            if (item.primary_vendor_id) {
-              vendorName = await getVendorName(item.primary_vendor_id);
-            }
-            if (gridIds.size === 0 && item.grid_id) gridIds.add(item.grid_id);
-          } catch (e) {}
-        }
-        
-        const gridCount = gridIds.size || 1;
-        
-        await pool.query(`
-          INSERT INTO receipt_cache (heartland_id, receipt_date, vendor, receipt_number, item_count, grid_count, cached_at)
-          VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
-          ON CONFLICT (heartland_id)
-          DO UPDATE SET 
-            receipt_date = EXCLUDED.receipt_date,
-            vendor = EXCLUDED.vendor,
-            receipt_number = EXCLUDED.receipt_number,
-            item_count = EXCLUDED.item_count,
-            grid_count = EXCLUDED.grid_count,
-            cached_at = CURRENT_TIMESTAMP
-        `, [receipt.id.toString(), receiptDate, vendorName, receipt.public_id || receipt.id.toString(), itemCount, gridCount]);
+        const lines = await fetchReceiptLines(receipt.id);
+        await upsertReceiptCache(receipt, lines);
         
         cachedCount++;
       } catch (e) {
         console.error(`Error caching receipt ${receipt.id}:`, e.message);
       }
-    }
+    });
     
     res.json({ success: true, message: `Cached ${cachedCount} receipts` });
   } catch (error) {
@@ -656,119 +1978,349 @@ app.post('/api/receipts/refresh-cache', async (req, res) => {
   }
 });
 
-// Get single receipt with items grouped by grid
-app.get('/api/receipts/:id', async (req, res) => {
-  try {
-    // Extract Heartland ID from our ID format (REC-123 -> 123)
-    const heartlandId = req.params.id.replace('REC-', '');
-    
-    const receipt = await heartlandRequest(`/purchasing/receipts/${heartlandId}`);
-    const linesData = await heartlandRequest(`/purchasing/receipts/${heartlandId}/lines?per_page=100`);
+const RECEIPT_LINES_MAX_PAGES = 100;
+
+// Helper: All lines of a receipt (market-week receipts run well past one page of 100)
+async function fetchReceiptLines(receiptId, options = {}) {
+  return fetchAllPages(`/purchasing/receipts/${receiptId}/lines`, RECEIPT_LINES_MAX_PAGES, options);
+}
+
+// Helper: Upsert a receipt's summary row (vendor, item and grid counts) into receipt_cache
+async function upsertReceiptCache(receipt, lines, itemCount = lines.length) {
+  const receiptDate = receipt.updated_at || receipt.created_at;
+  
+  // Count unique grids
+  const gridIds = new Set();
+  let vendorName = 'Unknown Vendor';
+  
+  for (const line of lines) {
+    if (line.grid_id) gridIds.add(line.grid_id);
+  }
+  
+  // Get vendor from first item
+  if (lines.length > 0 && lines[0].item_id) {
+    try {
+      const item = await getHeartlandItem(lines[0].item_id);
+      if (item.primary_vendor_id) {
+        vendorName = await getVendorName(item.primary_vendor_id);
+      }
+      if (gridIds.size === 0 && item.grid_id) gridIds.add(item.grid_id);
+    } catch (e) {}
+  }
+  
+  await pool.query(`
+    INSERT INTO receipt_cache (heartland_id, receipt_date, vendor, receipt_number, item_count, grid_count, cached_at)
+    VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+    ON CONFLICT (heartland_id)
+    DO UPDATE SET 
+      receipt_date = EXCLUDED.receipt_date,
+      vendor = EXCLUDED.vendor,
+      receipt_number = EXCLUDED.receipt_number,
+      item_count = EXCLUDED.item_count,
+      grid_count = EXCLUDED.grid_count,
+      cached_at = CURRENT_TIMESTAMP
+  `, [
+    receipt.id.toString(),
+    receiptDate,
+    vendorName,
+    receipt.public_id || receipt.id.toString(),
+    itemCount,
+    gridIds.size || 1
+  ]);
+}
+
+// Helper: Upsert a receipt's lines into item_receipts (for InventoryIQ and FirstDibsAI); returns lines stored
+async function upsertItemReceipts(receipt, lines) {
+  const receiveDate = receipt.completed_at || receipt.created_at;
+  const itemsById = await getHeartlandItems(lines.map(line => line.item_id));
+  let stored = 0;
+  
+  for (const line of lines) {
+    if (!line.item_id) continue;
+    
+    // Get item details (defaults if the item is gone)
+    let itemName = 'Unknown Item';
+    let itemColor = '';
+    let itemSize = '';
+    let category = 'Uncategorized';
+    let vendor = 'Unknown';
+    
+    const item = itemsById.get(String(line.item_id));
+    if (item) {
+      // Use description which already has "Style - Color - Size" format
+      itemName = item.description || item.custom?.style_name || 'Unknown Item';
+      itemColor = item.custom?.color_name || item.custom?.Color_Name || '';
+      itemSize = item.custom?.size || item.custom?.Size || '';
+      category = item.custom?.category || item.custom?.Category || 'Uncategorized';
+      if (item.primary_vendor_id) {
+        vendor = await getVendorName(item.primary_vendor_id);
+      }
+    }
     
-    let vendorName = 'Unknown Vendor';
+    await pool.query(`
+      INSERT INTO item_receipts (item_id, receipt_id, received_date, qty_received, unit_cost, item_name, item_color, item_size, category, vendor)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+      ON CONFLICT (item_id, receipt_id)
+      DO UPDATE SET 
+        received_date = EXCLUDED.received_date,
+        qty_received = EXCLUDED.qty_received,
+        unit_cost = EXCLUDED.unit_cost,
+        item_name = EXCLUDED.item_name,
+        item_color = EXCLUDED.item_color,
+        item_size = EXCLUDED.item_size,
+        category = EXCLUDED.category,
+        vendor = EXCLUDED.vendor
+    `, [
+      line.item_id.toString(),
+      receipt.id.toString(),
+      receiveDate,
+      line.qty || 0,
+      line.unit_cost || 0,
+      itemName,
+      itemColor,
+      itemSize,
+      category,
+      vendor
+    ]);
+    
+    stored++;
+  }
+  
+  return stored;
+}
+
+// ==================== RECEIPT INGESTION ====================
+// Completed receipts are stored in receipt_cache and item_receipts within minutes, so ReceiptAI
+// and FirstDibsAI read new arrivals from the database instead of asking Heartland on every load.
+// Two ways in: Heartland event notifications posted to /api/webhooks/heartland, and a poller
+// (scheduled job receipt_ingest) for setups without webhooks - it also catches any event missed.
+
+// Falls back to SYNC_SECRET when no separate webhook secret is configured
+const HEARTLAND_WEBHOOK_SECRET = process.env.HEARTLAND_WEBHOOK_SECRET;
+
+// Helper: Ingest one completed receipt (a receipt object or just its ID); returns lines stored,
+// or null if the receipt isn't complete yet
+async function ingestReceipt(receiptOrId) {
+  const receipt = typeof receiptOrId === 'object'
+    ? receiptOrId
+    : await heartlandRequest(`/purchasing/receipts/${receiptOrId}`);
+  if (receipt.status && receipt.status !== 'complete') return null;
+  
+  const lines = await fetchReceiptLines(receipt.id);
+  const stored = await upsertItemReceipts(receipt, lines);
+  await upsertReceiptCache(receipt, lines);
+  
+  console.log(`Ingested receipt ${receipt.public_id || receipt.id} (${stored} lines)`);
+  return stored;
+}
+
+// Poll Heartland for receipts completed since the receipt_ingest cursor.
+// Receipts already cached since their last update are skipped, so the overlap window is cheap.
+async function pollCompletedReceipts() {
+  const runStartedAt = new Date();
+  const since = await getSyncWatermark('receipt_ingest') || new Date(Date.now() - 24*60*60*1000);
+  const receipts = await fetchAllPages(
+    withSyncFilter('/purchasing/receipts?_filter[status]=complete', 'updated_at', since), 10
+  );
+  
+  const cachedResult = await pool.query(
+    'SELECT heartland_id, cached_at FROM receipt_cache WHERE heartland_id = ANY($1::text[])',
+    [receipts.map(r => r.id.toString())]
+  );
+  const cachedAt = new Map(cachedResult.rows.map(row => [row.heartland_id, row.cached_at]));
+  const changed = receipts.filter(r => {
+    const cached = cachedAt.get(r.id.toString());
+    return !cached || !r.updated_at || cached < new Date(r.updated_at);
+  });
+  
+  let ingested = 0;
+  let errors = 0;
+  await heartland.mapWithConcurrency(changed, async (receipt) => {
+    try {
+      await ingestReceipt(receipt);
+      ingested++;
+    } catch (e) {
+      errors++;
+      console.error(`Error ingesting receipt ${receipt.id}:`, e.message);
+    }
+  });
+  
+  // Failed receipts are picked up again next poll
+  if (errors === 0) {
+    await advanceSyncCursor('receipt_ingest', runStartedAt, ingested);
+  }
+  return { ingested, errors };
+}
+
+// Helper: Pull the receipt ID out of a Heartland event notification, or null if it isn't about a
+// completed receipt. Accepts { event|type|topic, data|resource|payload: { id, status } }.
+function receiptIdFromEvent(event) {
+  const type = String(event.event || event.type || event.topic || '').toLowerCase();
+  if (!type.includes('receipt')) return null;
+  
+  const resource = event.data || event.resource || event.payload || event;
+  if (resource.status && resource.status !== 'complete') return null;
+  
+  return resource.id || resource.receipt_id || null;
+}
+
+// Heartland event notifications (webhook URL: /api/webhooks/heartland?key=<HEARTLAND_WEBHOOK_SECRET>)
+app.post('/api/webhooks/heartland', async (req, res) => {
+  const providedKey = req.query.key || req.get('x-webhook-key');
+  if (providedKey !== (HEARTLAND_WEBHOOK_SECRET || SYNC_SECRET)) {
+    return res.status(401).json({ error: 'Invalid webhook key' });
+  }
+  
+  // Some senders batch events into an array
+  const events = Array.isArray(req.body) ? req.body : [req.body];
+  if (events.some(event => !event || typeof event !== 'object' || Array.isArray(event))) {
+    return res.status(400).json({ error: 'Expected a JSON event object or an array of them' });
+  }
+  const receiptIds = [...new Set(events.map(receiptIdFromEvent).filter(Boolean))];
+  
+  // Acknowledge right away; Heartland shouldn't wait on our API calls
+  res.status(202).json({ received: events.length, receipts: receiptIds });
+  
+  for (const receiptId of receiptIds) {
+    ingestReceipt(receiptId).catch(err => {
+      console.error(`Error ingesting receipt ${receiptId} from webhook:`, err.message);
+    });
+  }
+});
+
+// Helper: Load a receipt from Heartland with its lines grouped into grids and standalone items
+async function loadReceiptProducts(heartlandId) {
+  const receipt = await heartlandRequest(`/purchasing/receipts/${heartlandId}`);
+  const lines = await fetchReceiptLines(heartlandId);
+  
+  let vendorName = 'Unknown Vendor';
+  
+  // Item details come from the mirror; only items it doesn't have are fetched from Heartland
+  const itemsById = await getHeartlandItems(lines.map(line => line.item_id));
+  
+  const rawItems = [];
+  for (const line of lines) {
+    const itemDetails = itemsById.get(String(line.item_id)) || {
+      description: 'Unknown Item',
+      custom: {},
+      grid_id: null
+    };
     
-    // Fetch item details for each line
-    const rawItems = [];
-    for (const line of linesData.results) {
-      let itemDetails = {
-        description: 'Unknown Item',
-        custom: {},
-        grid_id: null
-      };
-      
-      try {
-        itemDetails = await heartlandRequest(`/items/${line.item_id}`);
-        
-        // Get vendor from first item's primary_vendor_id (set once for the receipt)
-        if (vendorName === 'Unknown Vendor' && itemDetails.primary_vendor_id) {
-          vendorName = await getVendorName(itemDetails.primary_vendor_id);
-        }
-      } catch (e) {
-        console.error(`Error fetching item ${line.item_id}:`, e);
-      }
-      
-      rawItems.push({
-        heartlandItemId: line.item_id,
-        heartlandLineId: line.id,
-        name: itemDetails.description || 'Unknown Item',
-        colorName: itemDetails.custom?.color_name || itemDetails.custom?.Color_Name || itemDetails.custom?.color || itemDetails.custom?.Color || '',
-        size: itemDetails.custom?.size || itemDetails.custom?.Size || '',
-        category: itemDetails.custom?.category || itemDetails.custom?.Category || itemDetails.custom?.department || '',
-        styleName: itemDetails.custom?.style_name || itemDetails.custom?.Style_Name || '',
-        gridId: itemDetails.grid_id || null,
-        longDescription: itemDetails.long_description || '',
-        qty: line.qty,
-        unitCost: line.unit_cost,
-      });
+    // Get vendor from first item's primary_vendor_id (set once for the receipt)
+    if (vendorName === 'Unknown Vendor' && itemDetails.primary_vendor_id) {
+      vendorName = await getVendorName(itemDetails.primary_vendor_id);
     }
     
-    // Group items by grid_id (null grid_id = standalone item)
-    const gridGroups = new Map();
-    const standaloneItems = [];
-    
-    for (const item of rawItems) {
-      if (item.gridId) {
-        if (!gridGroups.has(item.gridId)) {
-          gridGroups.set(item.gridId, {
-            gridId: item.gridId,
-            styleName: item.styleName || item.name.split(' - ')[0], // Use style name or first part of description
-            category: item.category,
-            longDescription: item.longDescription,
-            variants: [],
-            colors: new Set(),
-            sizes: new Set(),
-          });
-        }
-        const group = gridGroups.get(item.gridId);
-        group.variants.push(item);
-        if (item.colorName) group.colors.add(item.colorName);
-        if (item.size) group.sizes.add(item.size);
-      } else {
-        standaloneItems.push(item);
+    rawItems.push({
+      heartlandItemId: line.item_id,
+      heartlandLineId: line.id,
+      name: itemDetails.description || 'Unknown Item',
+      colorName: itemDetails.custom?.color_name || itemDetails.custom?.Color_Name || itemDetails.custom?.color || itemDetails.custom?.Color || '',
+      size: itemDetails.custom?.size || itemDetails.custom?.Size || '',
+      category: itemDetails.custom?.category || itemDetails.custom?.Category || itemDetails.custom?.department || '',
+      styleName: itemDetails.custom?.style_name || itemDetails.custom?.Style_Name || '',
+      gridId: itemDetails.grid_id || null,
+      longDescription: itemDetails.long_description || '',
+      qty: Number(line.qty) || 0,
+      unitCost: Number(line.unit_cost) || 0,
+    });
+  }
+  
+  // Group items by grid_id (null grid_id = standalone item)
+  const gridGroups = new Map();
+  const standaloneItems = [];
+  
+  for (const item of rawItems) {
+    if (item.gridId) {
+      if (!gridGroups.has(item.gridId)) {
+        gridGroups.set(item.gridId, {
+          gridId: item.gridId,
+          styleName: item.styleName || item.name.split(' - ')[0], // Use style name or first part of description
+          category: item.category,
+          longDescription: item.longDescription,
+          variants: [],
+          colors: new Set(),
+          sizes: new Set(),
+          qtyReceived: 0,
+          totalCost: 0,
+        });
       }
+      const group = gridGroups.get(item.gridId);
+      group.variants.push(item);
+      group.qtyReceived += item.qty;
+      group.totalCost += item.qty * item.unitCost;
+      if (item.colorName) group.colors.add(item.colorName);
+      if (item.size) group.sizes.add(item.size);
+    } else {
+      standaloneItems.push(item);
     }
+  }
+  
+  // Convert grid groups to array format for frontend
+  const items = [];
+  
+  // Add grid groups
+  for (const [gridId, group] of gridGroups) {
+    // Get status from database
+    const status = await getItemStatus('grid', gridId);
     
-    // Convert grid groups to array format for frontend
-    const items = [];
+    items.push({
+      id: `GRID-${gridId}`,
+      type: 'grid',
+      gridId: gridId,
+      name: group.styleName,
+      category: group.category,
+      colors: Array.from(group.colors).sort(),
+      sizes: sortSizes(Array.from(group.sizes)),
+      variantCount: group.variants.length,
+      variants: group.variants.map(v => ({ color: v.colorName, size: v.size, qty: v.qty, unitCost: v.unitCost })),
+      qtyReceived: group.qtyReceived,
+      totalCost: Math.round(group.totalCost * 100) / 100,
+      longDescription: group.longDescription,
+      status: status,
+      // Include first variant's item ID for fetching additional details if needed
+      heartlandItemId: group.variants[0]?.heartlandItemId,
+    });
+  }
+  
+  // Add standalone items
+  for (const item of standaloneItems) {
+    // Get status from database
+    const status = await getItemStatus('item', item.heartlandItemId);
+    
+    items.push({
+      id: `ITEM-${item.heartlandLineId}`,
+      type: 'item',
+      heartlandItemId: item.heartlandItemId,
+      name: item.name,
+      category: item.category,
+      colors: item.colorName ? [item.colorName] : [],
+      sizes: item.size ? [item.size] : [],
+      variantCount: 1,
+      qtyReceived: item.qty,
+      unitCost: item.unitCost,
+      totalCost: Math.round(item.qty * item.unitCost * 100) / 100,
+      longDescription: item.longDescription,
+      status: status,
+    });
+  }
+  
+  return { receipt, vendorName, rawItems, items };
+}
+
+// Get single receipt with items grouped by grid
+app.get('/api/receipts/:id', async (req, res) => {
+  try {
+    // Extract Heartland ID from our ID format (REC-123 -> 123)
+    const heartlandId = req.params.id.replace('REC-', '');
     
-    // Add grid groups
-    for (const [gridId, group] of gridGroups) {
-      // Get status from database
-      const status = await getItemStatus('grid', gridId);
-      
-      items.push({
-        id: `GRID-${gridId}`,
-        type: 'grid',
-        gridId: gridId,
-        name: group.styleName,
-        category: group.category,
-        colors: Array.from(group.colors).sort(),
-        sizes: Array.from(group.sizes).sort(),
-        variantCount: group.variants.length,
-        longDescription: group.longDescription,
-        status: status,
-        // Include first variant's item ID for fetching additional details if needed
-        heartlandItemId: group.variants[0]?.heartlandItemId,
-      });
-    }
+    const { receipt, vendorName, rawItems, items } = await loadReceiptProducts(heartlandId);
     
-    // Add standalone items
-    for (const item of standaloneItems) {
-      // Get status from database
-      const status = await getItemStatus('item', item.heartlandItemId);
-      
-      items.push({
-        id: `ITEM-${item.heartlandLineId}`,
-        type: 'item',
-        heartlandItemId: item.heartlandItemId,
-        name: item.name,
-        category: item.category,
-        colors: item.colorName ? [item.colorName] : [],
-        sizes: item.size ? [item.size] : [],
-        variantCount: 1,
-        longDescription: item.longDescription,
-        status: status,
-      });
+    // Attach any drafts from bulk generation so the editor can open them for review
+    const drafts = await getReceiptDrafts(heartlandId);
+    for (const item of items) {
+      const key = item.type === 'grid' ? `grid:${item.gridId}` : `item:${item.heartlandItemId}`;
+      item.draft = drafts[key] || null;
     }
     
     res.json({
@@ -777,8 +2329,10 @@ app.get('/api/receipts/:id', async (req, res) => {
       date: receipt.created_at ? receipt.created_at.split('T')[0] : new Date().toISOString().split('T')[0],
       vendor: vendorName,
       receiptNumber: receipt.public_id || `${receipt.id}`,
-      itemCount: rawItems.length,
+      itemCount: rawItems.length, // Receipt lines
       productCount: items.length, // Number of unique products (grids + standalone)
+      unitCount: rawItems.reduce((sum, item) => sum + item.qty, 0),
+      totalCost: Math.round(rawItems.reduce((sum, item) => sum + item.qty * item.unitCost, 0) * 100) / 100,
       status: 'new',
       items: items,
     });
@@ -795,29 +2349,24 @@ app.post('/api/receipts/:id/skip', async (req, res) => {
     const receiptId = req.params.id.replace('REC-', '');
     
     // Get all items in this receipt from Heartland
-    const lines = await heartlandRequest(`/purchasing/receipts/${receiptId}/lines?per_page=100`);
+    const lines = await fetchReceiptLines(receiptId);
     
     // Get grid IDs to skip (for items that are part of grids)
     const gridIds = new Set();
     const itemIds = [];
     
-    // Process items in parallel (batch of 10 at a time to avoid rate limits)
-    const lineItems = (lines.results || []).filter(line => line.item_id);
+    // Look items up in the mirror (items that might be deleted are skipped)
+    const lineItems = lines.filter(line => line.item_id);
+    const itemsById = await getHeartlandItems(lineItems.map(line => line.item_id));
     
-    for (let i = 0; i < lineItems.length; i += 10) {
-      const batch = lineItems.slice(i, i + 10);
-      await Promise.all(batch.map(async (line) => {
-        try {
-          const item = await heartlandRequest(`/items/${line.item_id}`);
-          if (item.grid_id) {
-            gridIds.add(item.grid_id);
-          } else {
-            itemIds.push(line.item_id);
-          }
-        } catch (e) {
-          // Item might be deleted, skip it
-        }
-      }));
+    for (const line of lineItems) {
+      const item = itemsById.get(String(line.item_id));
+      if (!item) continue;
+      if (item.grid_id) {
+        gridIds.add(item.grid_id);
+      } else {
+        itemIds.push(line.item_id);
+      }
     }
     
     // Mark all grids as skipped
@@ -859,7 +2408,7 @@ app.get('/api/items/:id', async (req, res) => {
     const itemId = req.query.itemId;
     
     if (itemId) {
-      const item = await heartlandRequest(`/items/${itemId}`);
+      const item = await getHeartlandItem(itemId);
       
       // Try to get vendor from primary_vendor_id
       let vendorName = 'Unknown Vendor';
@@ -908,18 +2457,20 @@ app.get('/api/grids/:id', async (req, res) => {
     }
     
     // Get items in this grid to show color/size info and get style_name/category
-    const itemsData = await heartlandRequest(`/items?_filter[grid_id]=${gridId}&per_page=50`);
+    const gridItems = await getHeartlandGridItems(gridId);
     
     const colors = new Set();
     const sizes = new Set();
+    const variants = [];
     let styleName = '';
     let category = '';
     
-    for (const item of itemsData.results || []) {
+    for (const item of gridItems) {
       const colorName = item.custom?.color_name || item.custom?.Color_Name || item.custom?.color || item.custom?.Color || '';
       const size = item.custom?.size || item.custom?.Size || '';
       if (colorName) colors.add(colorName);
       if (size) sizes.add(size);
+      variants.push({ itemId: item.id, color: colorName, size });
       
       // Get style_name and category from first item that has them
       if (!styleName) {
@@ -942,8 +2493,10 @@ app.get('/api/grids/:id', async (req, res) => {
       gridId: gridId,
       name: gridName,
       colors: Array.from(colors).sort(),
-      sizes: Array.from(sizes).sort(),
-      variantCount: itemsData.total || 0,
+      sizes: sortSizes(Array.from(sizes)),
+      variants,
+      sizeRange: formatSizeRange(Array.from(sizes)),
+      variantCount: gridItems.length,
       category: grid.custom?.category || grid.custom?.Category || category || '',
       vendor: vendorName,
       status: status,
@@ -957,22 +2510,63 @@ app.get('/api/grids/:id', async (req, res) => {
   }
 });
 
+// Helper: Heartland endpoint holding the long description for a grid or item
+function heartlandDescriptionEndpoint(itemType, heartlandId) {
+  return itemType === 'grid' ? `/item_grids/${heartlandId}` : `/items/${heartlandId}`;
+}
+
+// Helper: Push a long description to Heartland, recording the value it replaces
+// so the change can be rolled back
+async function pushLongDescription(itemType, heartlandId, longDescription, { username = null, source = 'save', draftId = null, restoredFrom = null } = {}) {
+  const endpoint = heartlandDescriptionEndpoint(itemType, heartlandId);
+  
+  // Snapshot what's in Heartland right now (grids expose it as item_long_description too)
+  const current = await heartlandRequest(endpoint);
+  const previousDescription = current.long_description || current.item_long_description || '';
+  
+  await heartlandRequest(endpoint, {
+    method: 'PUT',
+    body: JSON.stringify({
+      long_description: longDescription,
+    }),
+  });
+  await invalidateMirroredItems(itemType, heartlandId);
+  
+  // Only record history once Heartland has accepted the change
+  const result = await pool.query(`
+    INSERT INTO description_history
+      (item_type, heartland_id, previous_description, new_description, source, draft_id, restored_from, changed_by)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING id
+  `, [itemType, heartlandId.toString(), previousDescription, longDescription, source, draftId, restoredFrom, username]);
+  
+  return result.rows[0].id;
+}
+
 // Update item description in Heartland and mark as completed
 app.put('/api/items/:id', async (req, res) => {
   try {
     const itemId = req.query.itemId || req.params.id.replace('ITEM-', '');
-    const { longDescription, status, receiptId } = req.body;
-    
-    // If there's a description, update Heartland
-    if (longDescription !== undefined) {
-      await heartlandRequest(`/items/${itemId}`, {
-        method: 'PUT',
-        body: JSON.stringify({
-          long_description: longDescription,
-        }),
+    const { longDescription, status, receiptId, draftId } = req.body;
+    
+    // Approved drafts are pushed as-is; raw descriptions only when approval isn't required
+    const draftCheck = await checkDraftForPublish('item', itemId, draftId, longDescription);
+    if (draftCheck.error) {
+      return res.status(draftCheck.status).json({ error: draftCheck.error });
+    }
+    
+    // If there's a description, update Heartland (previous value is kept in description_history)
+    if (draftCheck.description !== undefined) {
+      await pushLongDescription('item', itemId, draftCheck.description, {
+        username: req.username,
+        draftId: draftCheck.draft?.id || null,
       });
     }
     
+    if (draftCheck.draft) {
+      await markDraftPublished(draftCheck.draft.id, req.username);
+    }
+    
     // Update status in database (include receiptId for status tracking)
     const newStatus = status || 'completed';
     const cleanReceiptId = receiptId ? receiptId.replace('REC-', '') : null;
@@ -989,18 +2583,26 @@ app.put('/api/items/:id', async (req, res) => {
 app.put('/api/grids/:id', async (req, res) => {
   try {
     const gridId = req.params.id.replace('GRID-', '');
-    const { longDescription, status, receiptId } = req.body;
-    
-    // If there's a description, update Heartland
-    if (longDescription !== undefined) {
-      await heartlandRequest(`/item_grids/${gridId}`, {
-        method: 'PUT',
-        body: JSON.stringify({
-          long_description: longDescription,
-        }),
+    const { longDescription, status, receiptId, draftId } = req.body;
+    
+    // Approved drafts are pushed as-is; raw descriptions only when approval isn't required
+    const draftCheck = await checkDraftForPublish('grid', gridId, draftId, longDescription);
+    if (draftCheck.error) {
+      return res.status(draftCheck.status).json({ error: draftCheck.error });
+    }
+    
+    // If there's a description, update Heartland (previous value is kept in description_history)
+    if (draftCheck.description !== undefined) {
+      await pushLongDescription('grid', gridId, draftCheck.description, {
+        username: req.username,
+        draftId: draftCheck.draft?.id || null,
       });
     }
     
+    if (draftCheck.draft) {
+      await markDraftPublished(draftCheck.draft.id, req.username);
+    }
+    
     // Update status in database (include receiptId for status tracking)
     const newStatus = status || 'completed';
     const cleanReceiptId = receiptId ? receiptId.replace('REC-', '') : null;
@@ -1037,1344 +2639,3651 @@ app.post('/api/grids/:id/skip', async (req, res) => {
   }
 });
 
-// ==================== INVENTORY IQ ENDPOINTS ====================
+// Helper: Grid description with a colorway snippet added after the opening paragraph
+function insertColorSnippet(html, snippet) {
+  const snippetHtml = `<p>${snippet}</p>`;
+  const openingEnd = html.indexOf('</p>');
+  if (openingEnd === -1) return `${snippetHtml}\n${html}`;
+  const insertAt = openingEnd + '</p>'.length;
+  return `${html.slice(0, insertAt)}\n${snippetHtml}${html.slice(insertAt)}`;
+}
 
-// Get cached inventory data (fast read)
-app.get('/api/inventory/data', async (req, res) => {
+// Push the grid description to each item in the grid with its colorway's snippet added.
+// Body: { description, snippets: [{ color, snippet }] } or { draftId } for an approved draft.
+app.post('/api/grids/:id/color-snippets', async (req, res) => {
   try {
-    const result = await pool.query(
-      `SELECT data, synced_at FROM inventory_cache WHERE cache_key = 'inventory_analysis'`
-    );
+    const gridId = req.params.id.replace('GRID-', '');
+    const { description, draftId } = req.body;
     
-    if (result.rows.length === 0) {
-      return res.json({ 
-        error: 'No data yet', 
-        message: 'Run a sync first',
-        syncedAt: null 
+    const draftCheck = await checkDraftForPublish('grid', gridId, draftId, draftId ? undefined : description, { allowPublished: true });
+    if (draftCheck.error) {
+      return res.status(draftCheck.status).json({ error: draftCheck.error });
+    }
+    const gridDescription = draftCheck.description;
+    const snippets = draftCheck.draft ? (draftCheck.draft.copy?.colorSnippets || []) : (req.body.snippets || []);
+    
+    if (!gridDescription || !gridDescription.trim()) {
+      return res.status(400).json({ error: 'description is required' });
+    }
+    if (snippets.length === 0) {
+      return res.status(400).json({ error: 'No color snippets to push' });
+    }
+    
+    const snippetByColor = new Map(
+      snippets.filter(s => s.color && s.snippet && s.snippet.trim()).map(s => [s.color.toLowerCase(), s.snippet.trim()])
+    );
+    const items = await getHeartlandGridItems(gridId);
+    
+    let updated = 0;
+    const skippedColors = new Set();
+    for (const item of items) {
+      const color = item.custom?.color_name || item.custom?.Color_Name || item.custom?.color || item.custom?.Color || '';
+      const snippet = snippetByColor.get(color.toLowerCase());
+      if (!snippet) {
+        if (color) skippedColors.add(color);
+        continue;
+      }
+      
+      await pushLongDescription('item', item.id, insertColorSnippet(gridDescription, snippet), {
+        username: req.username,
+        source: 'color-snippet',
+        draftId: draftCheck.draft?.id || null,
       });
+      updated++;
     }
     
-    const { data, synced_at } = result.rows[0];
-    res.json({
-      ...data,
-      syncedAt: synced_at
-    });
+    res.json({ success: true, updated, skippedColors: Array.from(skippedColors) });
   } catch (error) {
-    console.error('Error reading inventory cache:', error);
+    console.error('Error pushing color snippets:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// Sync inventory data - uses item_receipts table for days since received
-app.post('/api/inventory/sync', async (req, res) => {
-  req.setTimeout(300000); // 5 minutes
-  
+// ==================== DESCRIPTION HISTORY & ROLLBACK ====================
+
+// Helper: Shape a description_history row for the frontend
+function formatHistoryEntry(row) {
+  return {
+    id: row.id,
+    itemType: row.item_type,
+    heartlandId: row.heartland_id,
+    previousDescription: row.previous_description || '',
+    newDescription: row.new_description || '',
+    source: row.source,
+    draftId: row.draft_id,
+    restoredFrom: row.restored_from,
+    changedBy: row.changed_by,
+    changedAt: row.changed_at,
+  };
+}
+
+// List every push for a grid/item, newest first
+async function getDescriptionHistory(req, res, itemType, heartlandId) {
   try {
-    console.log('Starting inventory sync (receipt-based)...');
-    const startTime = Date.now();
-    const now = new Date();
-    
-    // ========== STEP 1: Calculate velocity from sales_transactions ==========
-    console.log('Calculating velocity from database...');
-    
-    const categoryVelocityResult = await pool.query(`
-      WITH category_sales AS (
-        SELECT 
-          category,
-          item_id,
-          MIN(transaction_date) as first_sale,
-          MAX(transaction_date) as last_sale
-        FROM sales_transactions
-        WHERE category IS NOT NULL 
-          AND category != 'Uncategorized'
-          AND transaction_date > NOW() - INTERVAL '180 days'
-        GROUP BY category, item_id
-        HAVING COUNT(*) >= 1
-      )
-      SELECT 
-        category as name,
-        COUNT(DISTINCT item_id) as items_sold,
-        ROUND(AVG(EXTRACT(EPOCH FROM (last_sale - first_sale)) / 86400))::int as avg_days_to_sell
-      FROM category_sales
-      WHERE first_sale != last_sale
-      GROUP BY category
-      HAVING COUNT(DISTINCT item_id) >= 3
-      ORDER BY avg_days_to_sell ASC
-    `);
-    
-    const vendorVelocityResult = await pool.query(`
-      WITH vendor_sales AS (
-        SELECT 
-          vendor,
-          item_id,
-          MIN(transaction_date) as first_sale,
-          MAX(transaction_date) as last_sale
-        FROM sales_transactions
-        WHERE vendor IS NOT NULL 
-          AND vendor != 'Unknown'
-          AND transaction_date > NOW() - INTERVAL '180 days'
-        GROUP BY vendor, item_id
-        HAVING COUNT(*) >= 1
-      )
-      SELECT 
-        vendor as name,
-        COUNT(DISTINCT item_id) as items_sold,
-        ROUND(AVG(EXTRACT(EPOCH FROM (last_sale - first_sale)) / 86400))::int as avg_days_to_sell
-      FROM vendor_sales
-      WHERE first_sale != last_sale
-      GROUP BY vendor
-      HAVING COUNT(DISTINCT item_id) >= 3
-      ORDER BY avg_days_to_sell ASC
-    `);
+    const result = await pool.query(`
+      SELECT * FROM description_history
+      WHERE item_type = $1 AND heartland_id = $2
+      ORDER BY changed_at DESC, id DESC
+      LIMIT 100
+    `, [itemType, heartlandId.toString()]);
     
-    const categoryVelocity = categoryVelocityResult.rows
-      .map(r => ({
-        name: r.name,
-        avgDaysToSell: parseInt(r.avg_days_to_sell) || 0,
-        itemsSold: parseInt(r.items_sold)
-      }))
-      .filter(v => v.avgDaysToSell > 0);
-    
-    const vendorVelocity = vendorVelocityResult.rows
-      .map(r => ({
-        name: r.name,
-        avgDaysToSell: parseInt(r.avg_days_to_sell) || 0,
-        itemsSold: parseInt(r.items_sold)
-      }))
-      .filter(v => v.avgDaysToSell > 0);
-    
-    console.log(`Found velocity for ${categoryVelocity.length} categories, ${vendorVelocity.length} vendors`);
-    
-    // ========== STEP 2: Get receive dates from item_receipts ==========
-    // Use MOST RECENT receipt date (if item was reordered, old stock likely sold)
-    console.log('Getting receive dates from database...');
-    const receiveDataResult = await pool.query(`
-      SELECT 
-        item_id,
-        MAX(received_date) as last_received,
-        SUM(qty_received) as total_received,
-        MAX(item_name) as item_name,
-        MAX(item_color) as item_color,
-        MAX(item_size) as item_size,
-        MAX(category) as category,
-        MAX(vendor) as vendor,
-        MAX(unit_cost) as unit_cost
-      FROM item_receipts
-      GROUP BY item_id
-    `);
+    res.json({ history: result.rows.map(formatHistoryEntry) });
+  } catch (error) {
+    console.error(`Error fetching ${itemType} history:`, error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Put back the description that a history entry replaced
+async function restoreDescription(req, res, itemType, heartlandId) {
+  try {
+    const historyId = parseInt(req.params.historyId);
+    const result = await pool.query(
+      'SELECT * FROM description_history WHERE id = $1 AND item_type = $2 AND heartland_id = $3',
+      [historyId, itemType, heartlandId.toString()]
+    );
+    const entry = result.rows[0];
     
-    const itemReceiveData = {};
-    for (const row of receiveDataResult.rows) {
-      itemReceiveData[row.item_id] = {
-        receivedDate: row.last_received,
-        qtyReceived: parseInt(row.total_received) || 0,
-        name: row.item_name, // Already in "Style - Color - Size" format from Heartland description
-        category: row.category,
-        vendor: row.vendor,
-        cost: parseFloat(row.unit_cost) || 0
-      };
+    if (!entry) {
+      return res.status(404).json({ error: 'History entry not found' });
     }
-    console.log(`Found receive data for ${Object.keys(itemReceiveData).length} items`);
     
-    // ========== STEP 3: Get sold quantities from sales_transactions ==========
-    const soldDataResult = await pool.query(`
-      SELECT 
-        item_id,
-        SUM(quantity) as total_sold,
-        MAX(unit_price) as price
-      FROM sales_transactions
-      WHERE item_id IS NOT NULL
-      GROUP BY item_id
-    `);
+    const restoredDescription = entry.previous_description || '';
+    const newHistoryId = await pushLongDescription(itemType, heartlandId, restoredDescription, {
+      username: req.username,
+      source: 'restore',
+      restoredFrom: entry.id,
+    });
     
-    const itemSoldData = {};
-    for (const row of soldDataResult.rows) {
-      itemSoldData[row.item_id] = {
-        qtySold: parseInt(row.total_sold) || 0,
-        price: parseFloat(row.price) || 0
-      };
+    res.json({ success: true, historyId: newHistoryId, longDescription: restoredDescription });
+  } catch (error) {
+    console.error(`Error restoring ${itemType} description:`, error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.get('/api/grids/:id/history', (req, res) => {
+  getDescriptionHistory(req, res, 'grid', req.params.id.replace('GRID-', ''));
+});
+
+app.get('/api/items/:id/history', (req, res) => {
+  getDescriptionHistory(req, res, 'item', req.query.itemId || req.params.id.replace('ITEM-', ''));
+});
+
+app.post('/api/grids/:id/history/:historyId/restore', (req, res) => {
+  restoreDescription(req, res, 'grid', req.params.id.replace('GRID-', ''));
+});
+
+app.post('/api/items/:id/history/:historyId/restore', (req, res) => {
+  restoreDescription(req, res, 'item', req.query.itemId || req.params.id.replace('ITEM-', ''));
+});
+
+// ==================== PRODUCT IMAGE LIBRARY ====================
+
+const IMAGE_STORAGE_DIR = process.env.IMAGE_STORAGE_DIR || path.join(__dirname, 'uploads');
+const THUMBNAIL_SIZE = 300;
+
+function imageFilePath(storageKey, variant) {
+  return path.join(IMAGE_STORAGE_DIR, variant, variant === 'thumbnails' ? `${storageKey}.jpg` : storageKey);
+}
+
+function formatProductImage(row) {
+  return {
+    id: row.id,
+    itemType: row.item_type,
+    heartlandId: row.heartland_id,
+    originalName: row.original_name,
+    mimeType: row.mime_type,
+    sizeBytes: row.size_bytes,
+    width: row.width,
+    height: row.height,
+    altText: row.alt_text || '',
+    url: `/api/images/${row.id}/original`,
+    thumbnailUrl: `/api/images/${row.id}/thumbnail`,
+    uploadedBy: row.uploaded_by,
+    createdAt: row.created_at,
+  };
+}
+
+// Helper: Write uploaded files (multer memory buffers) to disk with thumbnails and record them.
+// A photo already in the grid/item's library (same content hash) isn't stored twice - the saved
+// row is returned in its place.
+async function saveProductImages(itemType, heartlandId, files, username = null) {
+  await fs.mkdir(path.join(IMAGE_STORAGE_DIR, 'originals'), { recursive: true });
+  await fs.mkdir(path.join(IMAGE_STORAGE_DIR, 'thumbnails'), { recursive: true });
+  
+  const orderResult = await pool.query(
+    'SELECT COALESCE(MAX(sort_order), -1) AS max_order FROM product_images WHERE item_type = $1 AND heartland_id = $2',
+    [itemType, heartlandId.toString()]
+  );
+  let sortOrder = orderResult.rows[0].max_order + 1;
+  
+  const findByHash = async (contentHash) => {
+    const existing = await pool.query(
+      'SELECT * FROM product_images WHERE item_type = $1 AND heartland_id = $2 AND content_hash = $3',
+      [itemType, heartlandId.toString(), contentHash]
+    );
+    return existing.rows[0];
+  };
+  
+  const saved = [];
+  for (const file of files) {
+    const contentHash = crypto.createHash('sha256').update(file.buffer).digest('hex');
+    const duplicate = await findByHash(contentHash);
+    if (duplicate) {
+      saved.push(duplicate);
+      continue;
     }
     
-    // ========== STEP 4: Get current inventory from Heartland ==========
-    console.log('Fetching current inventory from Heartland...');
-    let allInventory = [];
-    let page = 1;
-    let hasMore = true;
+    const extension = path.extname(file.originalname || '').toLowerCase() || '.jpg';
+    const storageKey = `${crypto.randomUUID()}${extension}`;
     
-    while (hasMore && page <= 100) { // Increased from 20 to 100 (up to 10,000 items)
-      try {
-        const inventoryData = await heartlandRequest(`/inventory/values?group[]=item_id&per_page=100&page=${page}`);
-        const results = inventoryData.results || [];
-        allInventory = allInventory.concat(results);
-        hasMore = results.length === 100;
-        page++;
-      } catch (e) {
-        console.error(`Error fetching inventory page ${page}:`, e.message);
-        hasMore = false;
-      }
-    }
-    console.log(`Found ${allInventory.length} inventory items from Heartland`);
+    const metadata = await sharp(file.buffer).metadata();
+    await fs.writeFile(imageFilePath(storageKey, 'originals'), file.buffer);
+    await sharp(file.buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toFile(imageFilePath(storageKey, 'thumbnails'));
     
-    // Build inventory lookup
-    const inventoryLookup = {};
-    for (const inv of allInventory) {
-      if (inv.item_id) {
-        inventoryLookup[inv.item_id] = inv.qty_on_hand || 0;
-      }
+    const result = await pool.query(`
+      INSERT INTO product_images
+        (item_type, heartland_id, storage_key, original_name, mime_type, size_bytes, width, height, sort_order, uploaded_by, content_hash)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      ON CONFLICT (item_type, heartland_id, content_hash) WHERE content_hash IS NOT NULL DO NOTHING
+      RETURNING *
+    `, [itemType, heartlandId.toString(), storageKey, file.originalname || null, file.mimetype, file.size || file.buffer.length, metadata.width || null, metadata.height || null, sortOrder++, username, contentHash]);
+    
+    if (result.rows[0]) {
+      saved.push(result.rows[0]);
+    } else {
+      // Saved by a concurrent upload in the meantime - keep theirs
+      await fs.rm(imageFilePath(storageKey, 'originals'), { force: true });
+      await fs.rm(imageFilePath(storageKey, 'thumbnails'), { force: true });
+      saved.push(await findByHash(contentHash));
     }
-    
-    // ========== STEP 5: Calculate store health metrics (ALL items received) ==========
-    // Uses COST values (your actual money tied up)
-    console.log('Calculating store health metrics...');
-    let totalReceivedCost30 = 0, totalReceivedCost45 = 0, totalReceivedCost60 = 0, totalReceivedCost90 = 0;
-    let stillOnHandCost30 = 0, stillOnHandCost45 = 0, stillOnHandCost60 = 0, stillOnHandCost90 = 0;
-    
-    for (const itemId of Object.keys(itemReceiveData)) {
-      const receiveInfo = itemReceiveData[itemId];
-      if (!receiveInfo.receivedDate) continue;
-      
-      const receivedDate = new Date(receiveInfo.receivedDate);
-      const daysSinceReceived = Math.floor((now - receivedDate) / (1000 * 60 * 60 * 24));
-      
-      const qtyOnHand = inventoryLookup[itemId] || 0;
-      
-      // Use COST for store health metrics
-      const cost = receiveInfo.cost || 0;
-      const totalReceivedCostValue = receiveInfo.qtyReceived * cost;
-      const costOnHand = qtyOnHand * cost;
-      
-      if (daysSinceReceived <= 30) {
-        totalReceivedCost30 += totalReceivedCostValue;
-        stillOnHandCost30 += costOnHand;
-      }
-      if (daysSinceReceived <= 45) {
-        totalReceivedCost45 += totalReceivedCostValue;
-        stillOnHandCost45 += costOnHand;
-      }
-      if (daysSinceReceived <= 60) {
-        totalReceivedCost60 += totalReceivedCostValue;
-        stillOnHandCost60 += costOnHand;
-      }
-      if (daysSinceReceived <= 90) {
-        totalReceivedCost90 += totalReceivedCostValue;
-        stillOnHandCost90 += costOnHand;
-      }
+  }
+  
+  return saved;
+}
+
+// Helper: Saved photos for a grid/item in display order
+async function getProductImages(itemType, heartlandId) {
+  const result = await pool.query(
+    'SELECT * FROM product_images WHERE item_type = $1 AND heartland_id = $2 ORDER BY sort_order, id',
+    [itemType, heartlandId.toString()]
+  );
+  return result.rows;
+}
+
+// Helper: Load saved photos back into the { buffer, mimetype, originalname } shape multer gives us
+async function readProductImageFiles(rows) {
+  const files = [];
+  for (const row of rows) {
+    try {
+      const buffer = await fs.readFile(imageFilePath(row.storage_key, 'originals'));
+      files.push({ buffer, mimetype: row.mime_type, originalname: row.original_name || row.storage_key, size: buffer.length });
+    } catch (e) {
+      console.error(`Missing image file for product image ${row.id}:`, e.message);
     }
-    
-    // ========== STEP 6: Calculate dead stock (only items with inventory) ==========
-    console.log('Calculating dead stock (days since received)...');
-    const deadStockItems = [];
-    let totalFresh = 0, totalWatch = 0, total60Days = 0, total90Days = 0, total120Days = 0;
-    let valueFresh = 0, valueWatch = 0, value60Days = 0, value90Days = 0, value120Days = 0;
-    
-    // Track inventory value by category
-    const categoryInventory = {};
-    let totalInventoryValue = 0;
-    
-    for (const inv of allInventory) {
-      if (!inv.item_id) continue;
-      const qtyOnHand = inv.qty_on_hand || 0;
-      if (qtyOnHand <= 0) continue;
-      
-      const receiveInfo = itemReceiveData[inv.item_id];
-      if (!receiveInfo || !receiveInfo.receivedDate) continue;
-      
-      const soldInfo = itemSoldData[inv.item_id] || { qtySold: 0, price: 0 };
-      const receivedDate = new Date(receiveInfo.receivedDate);
-      const daysSinceReceived = Math.floor((now - receivedDate) / (1000 * 60 * 60 * 24));
-      
-      const price = soldInfo.price || receiveInfo.cost * 2.5 || 0;
-      const cost = receiveInfo.cost || price * 0.4 || 0;
-      const valueOnHand = qtyOnHand * cost;
-      const retailValueOnHand = qtyOnHand * price;
-      
-      // Aggregate inventory value by category
-      const category = receiveInfo.category || 'Uncategorized';
-      if (!categoryInventory[category]) {
-        categoryInventory[category] = { value: 0, items: 0, qty: 0 };
-      }
-      categoryInventory[category].value += valueOnHand;
-      categoryInventory[category].items += 1;
-      categoryInventory[category].qty += qtyOnHand;
-      totalInventoryValue += valueOnHand;
-      
-      // Categorize by days since received
-      let bucket = 'fresh';
-      let suggestedMarkdown = null;
-      
-      if (daysSinceReceived >= 120) {
-        bucket = 'emergency';
-        suggestedMarkdown = '60%+ off or bundle/donate';
-        total120Days++;
-        value120Days += valueOnHand;
-      } else if (daysSinceReceived >= 90) {
-        bucket = 'dead';
-        suggestedMarkdown = '40-50% off';
-        total90Days++;
-        value90Days += valueOnHand;
-      } else if (daysSinceReceived >= 60) {
-        bucket = 'slow';
-        suggestedMarkdown = '20-30% off';
-        total60Days++;
-        value60Days += valueOnHand;
-      } else if (daysSinceReceived >= 45) {
-        bucket = 'watch';
-        suggestedMarkdown = 'Watch closely';
-        totalWatch++;
-        valueWatch += valueOnHand;
-      } else {
-        bucket = 'fresh';
-        totalFresh++;
-        valueFresh += valueOnHand;
-      }
-      
-      // Only include 45+ day items in the list
-      if (daysSinceReceived >= 45) {
-        deadStockItems.push({
-          id: inv.item_id,
-          name: receiveInfo.name || 'Unknown Item',
-          category: receiveInfo.category || 'Uncategorized',
-          vendor: receiveInfo.vendor || 'Unknown',
-          qtyReceived: receiveInfo.qtyReceived,
-          qtySold: soldInfo.qtySold,
-          qtyRemaining: qtyOnHand,
-          price: Math.round(price * 100) / 100,
-          retailValue: Math.round(retailValueOnHand * 100) / 100,
-          costValue: Math.round(valueOnHand * 100) / 100,
-          receivedDate: receivedDate.toISOString().split('T')[0],
-          daysSinceReceived: daysSinceReceived,
-          bucket: bucket,
-          suggestedMarkdown: suggestedMarkdown
-        });
-      }
+  }
+  return files;
+}
+
+async function saveImageAltText(rows, altTexts = []) {
+  for (let i = 0; i < rows.length; i++) {
+    if (!altTexts[i]) continue;
+    await pool.query('UPDATE product_images SET alt_text = $1 WHERE id = $2', [altTexts[i], rows[i].id]);
+  }
+}
+
+// Helper: Thumbnail URL of the first saved photo (grid photos first, then the item's own)
+async function getPrimaryImageUrl(gridId, itemId) {
+  const result = await pool.query(`
+    SELECT id FROM product_images
+    WHERE (item_type = 'grid' AND heartland_id = $1) OR (item_type = 'item' AND heartland_id = $2)
+    ORDER BY CASE WHEN item_type = 'grid' THEN 0 ELSE 1 END, sort_order, id
+    LIMIT 1
+  `, [gridId ? gridId.toString() : null, itemId ? itemId.toString() : null]);
+  return result.rows[0] ? `/api/images/${result.rows[0].id}/thumbnail` : null;
+}
+
+// Helper: Public URL of a grid's main photo for messages sent outside the app (library URLs need
+// a login). Comes from Shopify's CDN, so it's null until the grid has been published there.
+async function getPublicImageUrl(gridId) {
+  if (!gridId) return null;
+  const result = await pool.query('SELECT image_url FROM shopify_products WHERE grid_id = $1', [gridId.toString()]);
+  return result.rows[0]?.image_url || null;
+}
+
+// List saved photos for a grid/item
+app.get('/api/images', async (req, res) => {
+  try {
+    const { itemType, heartlandId } = req.query;
+    if (!['grid', 'item'].includes(itemType) || !heartlandId) {
+      return res.status(400).json({ error: 'itemType (grid or item) and heartlandId are required' });
     }
     
-    deadStockItems.sort((a, b) => b.daysSinceReceived - a.daysSinceReceived);
-    console.log(`Found ${deadStockItems.length} items 45+ days old`);
-    
-    // ========== STEP 7: Calculate category balance (inventory % vs sales %) ==========
-    console.log('Calculating category balance...');
-    
-    // Get sales by category (last 90 days for relevance)
-    const categorySalesResult = await pool.query(`
-      SELECT 
-        category,
-        SUM(total_amount) as total_sales,
-        COUNT(*) as transaction_count
-      FROM sales_transactions
-      WHERE category IS NOT NULL 
-        AND category != 'Uncategorized'
-        AND transaction_date > NOW() - INTERVAL '90 days'
-      GROUP BY category
-      ORDER BY total_sales DESC
-    `);
-    
-    const categorySales = {};
-    let totalSalesValue = 0;
-    for (const row of categorySalesResult.rows) {
-      categorySales[row.category] = parseFloat(row.total_sales) || 0;
-      totalSalesValue += categorySales[row.category];
+    const rows = await getProductImages(itemType, heartlandId);
+    res.json({ images: rows.map(formatProductImage) });
+  } catch (error) {
+    console.error('Error fetching product images:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Add photos to a grid/item without generating
+app.post('/api/images', upload.array('images', 10), async (req, res) => {
+  try {
+    const { itemType, heartlandId } = req.body;
+    if (!['grid', 'item'].includes(itemType) || !heartlandId) {
+      return res.status(400).json({ error: 'itemType (grid or item) and heartlandId are required' });
+    }
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'At least one image is required' });
     }
     
-    // Build category balance array
-    const allCategories = new Set([...Object.keys(categoryInventory), ...Object.keys(categorySales)]);
-    const categoryBalance = [];
-    
-    for (const category of allCategories) {
-      const invValue = categoryInventory[category]?.value || 0;
-      const salesValue = categorySales[category] || 0;
-      const invPct = totalInventoryValue > 0 ? Math.round((invValue / totalInventoryValue) * 100) : 0;
-      const salesPct = totalSalesValue > 0 ? Math.round((salesValue / totalSalesValue) * 100) : 0;
-      const gap = salesPct - invPct; // Positive = undersupplied (selling well), Negative = oversupplied
-      
-      categoryBalance.push({
-        category,
-        inventoryValue: Math.round(invValue),
-        inventoryPct: invPct,
-        salesValue: Math.round(salesValue),
-        salesPct: salesPct,
-        gap: gap,
-        status: gap >= 5 ? 'undersupplied' : gap <= -5 ? 'oversupplied' : 'balanced'
-      });
+    const rows = await saveProductImages(itemType, heartlandId, req.files, req.username);
+    res.json({ success: true, images: rows.map(formatProductImage) });
+  } catch (error) {
+    console.error('Error saving product images:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Serve a saved photo (original upload or thumbnail)
+app.get('/api/images/:id/:variant(original|thumbnail)', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM product_images WHERE id = $1', [req.params.id]);
+    const row = result.rows[0];
+    if (!row) {
+      return res.status(404).json({ error: 'Image not found' });
     }
     
-    // Sort by sales % descending
-    categoryBalance.sort((a, b) => b.salesPct - a.salesPct);
-    console.log(`Calculated balance for ${categoryBalance.length} categories`);
-    
-    // ========== STEP 8: Save to cache ==========
-    const analysisData = {
-      deadStock: {
-        summary: {
-          itemsFresh: totalFresh,
-          itemsWatch: totalWatch,
-          items60Days: total60Days,
-          items90Days: total90Days,
-          items120Days: total120Days,
-          valueFresh: Math.round(valueFresh * 100) / 100,
-          valueWatch: Math.round(valueWatch * 100) / 100,
-          value60Days: Math.round(value60Days * 100) / 100,
-          value90Days: Math.round(value90Days * 100) / 100,
-          value120Days: Math.round(value120Days * 100) / 100,
-          totalItems: totalWatch + total60Days + total90Days + total120Days,
-          totalValue: Math.round((valueWatch + value60Days + value90Days + value120Days) * 100) / 100,
-        },
-        storeMetrics: {
-          received30Days: Math.round(totalReceivedCost30),
-          stillOnHand30Days: Math.round(stillOnHandCost30),
-          pctOnHand30Days: totalReceivedCost30 > 0 ? Math.round((stillOnHandCost30 / totalReceivedCost30) * 100) : 0,
-          received45Days: Math.round(totalReceivedCost45),
-          stillOnHand45Days: Math.round(stillOnHandCost45),
-          pctOnHand45Days: totalReceivedCost45 > 0 ? Math.round((stillOnHandCost45 / totalReceivedCost45) * 100) : 0,
-          received60Days: Math.round(totalReceivedCost60),
-          stillOnHand60Days: Math.round(stillOnHandCost60),
-          pctOnHand60Days: totalReceivedCost60 > 0 ? Math.round((stillOnHandCost60 / totalReceivedCost60) * 100) : 0,
-          received90Days: Math.round(totalReceivedCost90),
-          stillOnHand90Days: Math.round(stillOnHandCost90),
-          pctOnHand90Days: totalReceivedCost90 > 0 ? Math.round((stillOnHandCost90 / totalReceivedCost90) * 100) : 0,
-        },
-        items: deadStockItems // Store all aging items
-      },
-      velocity: {
-        byCategory: categoryVelocity,
-        byVendor: vendorVelocity
-      },
-      categoryBalance: categoryBalance,
-      stats: {
-        totalItemsAnalyzed: allInventory.length,
-        totalItemsWithReceiveData: Object.keys(itemReceiveData).length,
-        totalDeadStockItems: deadStockItems.length
+    const isThumbnail = req.params.variant === 'thumbnail';
+    res.type(isThumbnail ? 'image/jpeg' : row.mime_type);
+    res.set('Cache-Control', 'private, max-age=86400');
+    res.sendFile(imageFilePath(row.storage_key, isThumbnail ? 'thumbnails' : 'originals'), (err) => {
+      if (err && !res.headersSent) {
+        res.status(404).json({ error: 'Image file not found' });
       }
-    };
-    
-    await pool.query(
-      `INSERT INTO inventory_cache (cache_key, data, synced_at)
-       VALUES ('inventory_analysis', $1, CURRENT_TIMESTAMP)
-       ON CONFLICT (cache_key)
-       DO UPDATE SET data = $1, synced_at = CURRENT_TIMESTAMP`,
-      [JSON.stringify(analysisData)]
-    );
-    
-    const duration = Math.round((Date.now() - startTime) / 1000);
-    console.log(`Inventory sync complete in ${duration}s`);
-    
-    res.json({
-      success: true,
-      duration: `${duration}s`,
-      stats: analysisData.stats
     });
   } catch (error) {
-    console.error('Error syncing inventory:', error);
+    console.error('Error serving product image:', error);
     res.status(500).json({ error: error.message });
   }
 });
 
-// ============================================================
-// NIGHTLY SYNC SYSTEM - Sales, Customers, and Analytics
-// ============================================================
-
-// Sync secret key for cron job authentication
-const SYNC_SECRET = process.env.SYNC_SECRET || 'boutiqueflow-sync-2024';
+// Remove a saved photo
+app.delete('/api/images/:id', async (req, res) => {
+  try {
+    const result = await pool.query('DELETE FROM product_images WHERE id = $1 RETURNING *', [req.params.id]);
+    const row = result.rows[0];
+    if (!row) {
+      return res.status(404).json({ error: 'Image not found' });
+    }
+    
+    await fs.rm(imageFilePath(row.storage_key, 'originals'), { force: true });
+    await fs.rm(imageFilePath(row.storage_key, 'thumbnails'), { force: true });
+    res.json({ success: true });
+  } catch (error) {
+    console.error('Error deleting product image:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
 
-// Helper: Create sync log entry
-async function createSyncLog(syncType) {
-  const result = await pool.query(
-    `INSERT INTO sync_log (sync_type, status) VALUES ($1, 'running') RETURNING id`,
-    [syncType]
-  );
-  return result.rows[0].id;
-}
+// ==================== SHOPIFY PUBLISHING ====================
 
-// Helper: Update sync log
-async function updateSyncLog(logId, status, recordsProcessed, errorMessage = null) {
-  await pool.query(
-    `UPDATE sync_log 
-     SET status = $1, records_processed = $2, error_message = $3, 
-         completed_at = CURRENT_TIMESTAMP,
-         duration_seconds = EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at))::INTEGER
-     WHERE id = $4`,
-    [status, recordsProcessed, errorMessage, logId]
-  );
+// Helper: Heartland grid + its items in the shape we publish to Shopify
+async function loadGridForShopify(gridId) {
+  const grid = await heartlandRequest(`/item_grids/${gridId}`);
+  const items = await getHeartlandGridItems(gridId);
+  
+  let vendorName = '';
+  if (grid.item_primary_vendor_id) {
+    vendorName = await getVendorName(grid.item_primary_vendor_id);
+  }
+  
+  const variants = items.map(item => ({
+    heartlandItemId: item.id,
+    sku: item.public_id || String(item.id),
+    color: item.custom?.color_name || item.custom?.Color_Name || item.custom?.color || item.custom?.Color || '',
+    size: item.custom?.size || item.custom?.Size || '',
+    price: item.price ?? grid.item_price,
+  }));
+  const firstCustom = items[0]?.custom || {};
+  
+  return {
+    title: grid.item_description || firstCustom.style_name || firstCustom.Style_Name || `Grid ${gridId}`,
+    category: grid.custom?.category || grid.custom?.Category || firstCustom.category || firstCustom.Category || '',
+    vendor: vendorName,
+    variants,
+  };
 }
 
-// Helper: Fetch all pages from Heartland API
-async function fetchAllPages(endpoint, maxPages = 50) {
-  const allResults = [];
-  let page = 1;
-  let hasMore = true;
-  
-  while (hasMore && page <= maxPages) {
-    const separator = endpoint.includes('?') ? '&' : '?';
-    const data = await heartlandRequest(`${endpoint}${separator}page=${page}&per_page=100`);
-    
-    if (data.results && data.results.length > 0) {
-      allResults.push(...data.results);
-      hasMore = data.results.length === 100; // If we got 100, there might be more
-      page++;
-    } else {
-      hasMore = false;
+// Helper: Copy to publish - an approved (or already published) draft, or the submitted fields
+async function getShopifyCopy(gridId, body) {
+  if (!body.draftId) {
+    if (REQUIRE_DESCRIPTION_APPROVAL) {
+      return { status: 409, error: 'Descriptions must be approved before they are published to Shopify' };
     }
+    let imageAltText = [];
+    try {
+      imageAltText = body.imageAltText ? JSON.parse(body.imageAltText) : [];
+    } catch (e) {
+      return { status: 400, error: 'imageAltText must be a JSON array' };
+    }
+    return {
+      description: body.description,
+      metaDescription: body.metaDescription || '',
+      copy: {
+        seoTitle: body.seoTitle || '',
+        urlHandle: body.urlHandle || '',
+        tags: String(body.tags || '').split(',').map(t => t.trim()).filter(Boolean),
+        imageAltText,
+      },
+      draft: null,
+    };
+  }
+  
+  const result = await pool.query(
+    'SELECT * FROM description_drafts WHERE id = $1 AND item_type = $2 AND heartland_id = $3',
+    [body.draftId, 'grid', gridId]
+  );
+  const draft = result.rows[0];
+  if (!draft) {
+    return { status: 404, error: 'Draft not found for this product' };
+  }
+  if (draft.locale !== DEFAULT_LOCALE) {
+    return { status: 409, error: `Draft v${draft.version} is ${DESCRIPTION_LOCALES[draft.locale] || draft.locale} - only English copy is published to Shopify` };
+  }
+  if (!['approved', 'published'].includes(draft.status)) {
+    return { status: 409, error: `Draft v${draft.version} is ${draft.status}, not approved` };
   }
   
-  return allResults;
+  return {
+    description: draft.description,
+    metaDescription: draft.meta_description || '',
+    copy: draft.copy || {},
+    draft,
+  };
 }
 
-// MAIN NIGHTLY SYNC - Fetches sales transactions and builds customer profiles
-app.post('/api/sync/nightly', async (req, res) => {
-  // Verify sync secret (for cron job security)
-  const providedKey = req.query.key || req.body.key;
-  if (providedKey !== SYNC_SECRET) {
-    return res.status(401).json({ error: 'Invalid sync key' });
+// Helper: The grid's photo library as files to upload, with their alt text
+async function loadShopifyImages(gridId) {
+  const rows = await getProductImages('grid', gridId);
+  const images = [];
+  for (const row of rows) {
+    const [file] = await readProductImageFiles([row]);
+    if (file) images.push({ ...file, altText: row.alt_text });
   }
-  
-  // Don't wait for sync to complete - return immediately
-  res.json({ message: 'Nightly sync started', status: 'running' });
-  
-  // Run sync in background
-  runNightlySync().catch(err => {
-    console.error('Nightly sync failed:', err);
-  });
+  return images;
+}
+
+const shopifyPublisher = createShopifyPublisher({
+  shopify,
+  db: pool,
+  loadGrid: loadGridForShopify,
+  loadImages: loadShopifyImages,
+  slugify,
 });
 
-// The actual sync logic (can be called from endpoint or worker)
-async function runNightlySync() {
-  const logId = await createSyncLog('nightly_full');
-  const startTime = Date.now();
-  let totalRecords = 0;
-  
+// Shopify link for a grid (null if it hasn't been published)
+app.get('/api/grids/:id/shopify', async (req, res) => {
   try {
-    console.log('========== NIGHTLY SYNC STARTED ==========');
-    
-    // ========== STEP 1: Fetch Sales from Reporting API ==========
-    console.log('Step 1: Fetching sales data from reporting API...');
-    const oneYearAgo = new Date(Date.now() - 365*24*60*60*1000).toISOString().split('T')[0];
-    
-    // Get all sales from the past year using reporting/sales (has all the data we need)
-    const sales = await fetchAllPages(`/reporting/sales?_filter[date][$gte]=${oneYearAgo}`);
-    console.log(`Found ${sales.length} sales records`);
+    const gridId = req.params.id.replace('GRID-', '');
+    const result = await pool.query('SELECT * FROM shopify_products WHERE grid_id = $1', [gridId]);
+    const row = result.rows[0];
     
-    // ========== STEP 2: Fetch Ticket Updated Times ==========
-    // The reporting API datetime is ticket creation time, but we need completion time (updated_at)
-    console.log('Step 2: Fetching ticket completion times...');
-    const uniqueTicketIds = [...new Set(sales.map(s => s.transaction_id).filter(Boolean))];
-    console.log(`Fetching updated_at for ${uniqueTicketIds.length} unique tickets...`);
+    res.json({
+      product: row ? {
+        shopifyProductId: row.shopify_product_id,
+        handle: row.shopify_handle,
+        publishedBy: row.published_by,
+        publishedAt: row.published_at,
+      } : null,
+    });
+  } catch (error) {
+    console.error('Error fetching Shopify link:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create or update the Shopify product for a grid (multipart - images are optional)
+app.post('/api/grids/:id/shopify', upload.array('images', 10), async (req, res) => {
+  try {
+    const gridId = req.params.id.replace('GRID-', '');
     
-    const ticketTimestamps = {};
-    let ticketsFetched = 0;
-    for (const ticketId of uniqueTicketIds) {
-      try {
-        const ticket = await heartlandRequest(`/sales/tickets/${ticketId}`);
-        // Use updated_at (completion time) for accurate hour tracking
-        ticketTimestamps[ticketId] = {
-          updatedAt: ticket.updated_at || ticket.created_at,
-          locationName: ticket.location_name || 'Unknown'
-        };
-        ticketsFetched++;
-        if (ticketsFetched % 200 === 0) {
-          console.log(`Fetched ${ticketsFetched}/${uniqueTicketIds.length} ticket times...`);
-        }
-      } catch (e) {
-        // Ticket might be deleted, skip
-        ticketTimestamps[ticketId] = null;
-      }
+    const copyCheck = await getShopifyCopy(gridId, req.body);
+    if (copyCheck.error) {
+      return res.status(copyCheck.status).json({ error: copyCheck.error });
+    }
+    if (!copyCheck.description || !copyCheck.description.trim()) {
+      return res.status(400).json({ error: 'description is required' });
     }
-    console.log(`Fetched timestamps for ${ticketsFetched} tickets`);
-    
-    // ========== STEP 3: Process Sales Records ==========
-    console.log('Step 3: Processing sales records...');
-    let transactionCount = 0;
-    
-    // Get item details for category/brand info (batch by unique item IDs)
-    const uniqueItemIds = [...new Set(sales.map(s => s.item_id).filter(Boolean))];
-    console.log(`Fetching details for ${uniqueItemIds.length} unique items...`);
     
-    const itemDetailsCache = {};
-    let itemsFetched = 0;
-    for (const itemId of uniqueItemIds) {
-      try {
-        const item = await heartlandRequest(`/items/${itemId}`);
-        let vendorName = 'Unknown';
-        if (item.primary_vendor_id) {
-          vendorName = await getVendorName(item.primary_vendor_id);
-        }
-        itemDetailsCache[itemId] = {
-          category: item.custom?.category || item.custom?.Category || 'Uncategorized',
-          brand: item.custom?.brand || item.custom?.Brand || vendorName,
-          vendor: vendorName,
-          name: item.description || 'Unknown Item',
-          size: item.custom?.size || item.custom?.Size || '',
-          color: item.custom?.color_name || item.custom?.Color_Name || ''
-        };
-        itemsFetched++;
-        if (itemsFetched % 100 === 0) {
-          console.log(`Fetched ${itemsFetched}/${uniqueItemIds.length} item details...`);
-        }
-      } catch (e) {
-        // Item might be deleted, use defaults
-        itemDetailsCache[itemId] = {
-          category: 'Uncategorized',
-          brand: 'Unknown',
-          vendor: 'Unknown',
-          name: 'Unknown Item',
-          size: '',
-          color: ''
-        };
-      }
+    // Fresh uploads join the grid's photo library, which is what gets sent to Shopify
+    if (req.files && req.files.length > 0) {
+      await saveProductImages('grid', gridId, req.files, req.username);
     }
-    console.log(`Fetched details for ${itemsFetched} items`);
     
-    // Now insert all sales records
-    console.log('Inserting sales transactions...');
-    for (const sale of sales) {
-      if (!sale.item_id) continue;
-      
-      const itemDetails = itemDetailsCache[sale.item_id] || {};
-      const ticketInfo = ticketTimestamps[sale.transaction_id];
-      
-      // Use ticket updated_at for accurate transaction time, fall back to sale.datetime
-      const transactionDate = ticketInfo?.updatedAt 
-        ? new Date(ticketInfo.updatedAt) 
-        : new Date(sale.datetime);
-      const locationName = ticketInfo?.locationName || sale.location_name || 'Unknown';
-      
-      try {
-        // Upsert transaction using reporting sales data
-        await pool.query(`
-          INSERT INTO sales_transactions 
-            (heartland_ticket_id, heartland_line_id, customer_id, item_id, 
-             transaction_date, day_of_week, hour_of_day, quantity, unit_price, 
-             total_amount, category, vendor, brand, item_name, item_size, item_color, location_name)
-          VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
-          ON CONFLICT (heartland_ticket_id, heartland_line_id)
-          DO UPDATE SET
-            customer_id = EXCLUDED.customer_id,
-            quantity = EXCLUDED.quantity,
-            unit_price = EXCLUDED.unit_price,
-            total_amount = EXCLUDED.total_amount,
-            location_name = EXCLUDED.location_name
-        `, [
-          sale.transaction_id.toString(),
-          sale.transaction_line_id?.toString() || '0',
-          sale.customer_id?.toString() || null,
-          sale.item_id?.toString(),
-          transactionDate,
-          transactionDate.getDay(), // 0=Sunday
-          transactionDate.getHours(), // Use actual completion hour from updated_at
-          sale.net_qty_sold || 1,
-          sale.unit_price || 0,
-          sale.net_sales || 0,
-          itemDetails.category || 'Uncategorized',
-          itemDetails.vendor || 'Unknown',
-          itemDetails.brand || 'Unknown',
-          itemDetails.name || 'Unknown Item',
-          itemDetails.size || '',
-          itemDetails.color || '',
-          locationName
-        ]);
-        
-        transactionCount++;
-        if (transactionCount % 500 === 0) {
-          console.log(`Inserted ${transactionCount}/${sales.length} transactions...`);
-        }
+    const result = await shopifyPublisher.publishGridToShopify(gridId, {
+      description: copyCheck.description,
+      metaDescription: copyCheck.metaDescription,
+      copy: copyCheck.copy,
+      draftId: copyCheck.draft?.id || null,
+      username: req.username,
+    });
+    
+    res.json({ success: true, ...result });
+  } catch (error) {
+    console.error('Error publishing grid to Shopify:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== RUN LEASES ====================
+// Long-running background work is resumed after a restart, and with several app instances any
+// of them could pick it up. A run is only worked by the instance holding its lease (locked_by /
+// locked_until on the run's row): the claim is a conditional UPDATE, the holder renews it while
+// it works, and the lease of a crashed instance expires so another instance can resume the run.
+
+const INSTANCE_ID = `${os.hostname()}-${process.pid}`;
+const RUN_LEASE_SECONDS = 120;
+const RUN_LEASE_RENEW_MS = 30 * 1000;
+const LEASED_TABLES = new Set(['sync_log', 'generation_jobs', 'markdowns']);
+
+// SQL condition for runs nobody holds a live lease on
+const RUN_LEASE_EXPIRED = '(locked_until IS NULL OR locked_until < NOW())';
+
+// Helper: Claim a run's lease (false if another instance holds a live one)
+async function claimRunLease(table, id) {
+  if (!LEASED_TABLES.has(table)) throw new Error(`${table} has no run lease`);
+  const result = await pool.query(`
+    UPDATE ${table}
+    SET locked_by = $2, locked_until = NOW() + make_interval(secs => $3)
+    WHERE id = $1 AND (${RUN_LEASE_EXPIRED} OR locked_by = $2)
+    RETURNING id
+  `, [id, INSTANCE_ID, RUN_LEASE_SECONDS]);
+  return result.rows.length > 0;
+}
+
+// Helper: Extend a lease this instance holds (false once it has been lost)
+async function renewRunLease(table, id) {
+  const result = await pool.query(`
+    UPDATE ${table}
+    SET locked_until = NOW() + make_interval(secs => $3)
+    WHERE id = $1 AND locked_by = $2
+    RETURNING id
+  `, [id, INSTANCE_ID, RUN_LEASE_SECONDS]);
+  return result.rows.length > 0;
+}
+
+// Helper: Claim a run's lease and renew it in the background until release().
+// Returns null if another instance has the run; onLost is called if a renewal finds it taken over.
+async function holdRunLease(table, id, onLost = () => {}) {
+  if (!await claimRunLease(table, id)) return null;
+  
+  const timer = setInterval(() => {
+    renewRunLease(table, id)
+      .then(held => {
+        if (held) return;
+        clearInterval(timer);
+        onLost();
+      })
+      .catch(err => console.error(`Error renewing lease on ${table} ${id}:`, err.message));
+  }, RUN_LEASE_RENEW_MS);
+  
+  return {
+    renew: () => renewRunLease(table, id),
+    release: async () => {
+      clearInterval(timer);
+      await pool.query(
+        `UPDATE ${table} SET locked_by = NULL, locked_until = NULL WHERE id = $1 AND locked_by = $2`,
+        [id, INSTANCE_ID]
+      ).catch(err => console.error(`Error releasing lease on ${table} ${id}:`, err.message));
+    },
+  };
+}
+
+// ==================== BULK GENERATION (GENERATE ALL) ====================
+
+// Jobs being worked in this process (the run lease keeps other instances off them)
+const activeGenerationJobs = new Set();
+
+// Helper: Latest open draft per grid/item for a receipt, keyed "grid:123" / "item:456"
+async function getReceiptDrafts(receiptId) {
+  const drafts = {};
+  try {
+    const result = await pool.query(`
+      SELECT *
+      FROM description_drafts
+      WHERE receipt_id = $1 AND locale = $2 AND status IN ('drafted', 'approved')
+      ORDER BY version DESC
+    `, [receiptId.toString(), DEFAULT_LOCALE]);
+    
+    for (const row of result.rows) {
+      const key = `${row.item_type}:${row.heartland_id}`;
+      if (!drafts[key]) drafts[key] = formatDraft(row);
+    }
+  } catch (error) {
+    console.error('Error getting receipt drafts:', error);
+  }
+  return drafts;
+}
+
+// Helper: Job progress summary for the UI ("12 of 40 drafted")
+async function getGenerationJobSummary(jobId) {
+  const jobResult = await pool.query('SELECT * FROM generation_jobs WHERE id = $1', [jobId]);
+  if (jobResult.rows.length === 0) return null;
+  
+  const job = jobResult.rows[0];
+  const itemsResult = await pool.query(`
+    SELECT id, item_type, heartland_id, name, status, error_message
+    FROM generation_job_items
+    WHERE job_id = $1
+    ORDER BY id
+  `, [jobId]);
+  
+  const counts = { pending: 0, drafted: 0, failed: 0 };
+  for (const row of itemsResult.rows) {
+    if (counts[row.status] !== undefined) counts[row.status]++;
+  }
+  
+  return {
+    id: job.id,
+    receiptId: `REC-${job.receipt_id}`,
+    locale: job.locale,
+    status: job.status,
+    total: job.total_items,
+    drafted: counts.drafted,
+    failed: counts.failed,
+    pending: counts.pending,
+    createdBy: job.created_by,
+    createdAt: job.created_at,
+    completedAt: job.completed_at,
+    error: job.error_message,
+    items: itemsResult.rows.map(r => ({
+      type: r.item_type,
+      heartlandId: r.heartland_id,
+      name: r.name,
+      status: r.status,
+      error: r.error_message,
+    })),
+  };
+}
+
+// Work through every pending item in a job. Progress is written per item, so a job
+// interrupted by a restart carries on from where it stopped. Items queued again (retry) while
+// the job runs are picked up before it finishes.
+async function runGenerationJob(jobId) {
+  if (activeGenerationJobs.has(jobId)) return;
+  activeGenerationJobs.add(jobId);
+  let lease = null;
+  
+  try {
+    lease = await holdRunLease('generation_jobs', jobId);
+    if (!lease) {
+      console.log(`Generation job ${jobId} is being worked by another instance`);
+      return;
+    }
+    
+    await pool.query(
+      `UPDATE generation_jobs SET status = 'running', updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [jobId]
+    );
+    
+    const jobResult = await pool.query('SELECT receipt_id, created_by, locale FROM generation_jobs WHERE id = $1', [jobId]);
+    const job = jobResult.rows[0];
+    
+    for (;;) {
+      const pendingResult = await pool.query(
+        `SELECT id, item_type, heartland_id, name, prompt_inputs FROM generation_job_items WHERE job_id = $1 AND status = 'pending' ORDER BY id LIMIT 1`,
+        [jobId]
+      );
+      const jobItem = pendingResult.rows[0];
+      if (!jobItem) break;
+      
+      // Stop if another instance has taken the job over
+      if (!await lease.renew()) {
+        lease = null;
+        throw Object.assign(new Error(`Lost the lease on generation job ${jobId}`), { leaseLost: true });
+      }
+      
+      try {
+        // Use any photos already in the library for this product
+        const savedImages = await getProductImages(jobItem.item_type, jobItem.heartland_id);
+        const images = await readProductImageFiles(savedImages.slice(0, 10));
+        const result = await generateProductDescription({ ...(jobItem.prompt_inputs || {}), images, locale: job.locale });
+        if (job.locale === DEFAULT_LOCALE) {
+          await saveImageAltText(savedImages.slice(0, images.length), result.copy.imageAltText);
+        }
+        
+        // Queue the copy for review (authored by whoever started the job)
+        const draft = await createDescriptionDraft({
+          itemType: jobItem.item_type,
+          heartlandId: jobItem.heartland_id,
+          receiptId: job.receipt_id,
+          locale: job.locale,
+          description: result.description,
+          metaDescription: result.metaDescription,
+          copy: result.copy,
+          promptInputs: jobItem.prompt_inputs,
+          source: 'bulk',
+          username: job.created_by,
+        });
+        
+        await pool.query(`
+          UPDATE generation_job_items
+          SET status = 'drafted', draft_id = $1, error_message = NULL, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $2
+        `, [draft.id, jobItem.id]);
+      } catch (e) {
+        console.error(`Error generating draft for ${jobItem.name}:`, e.message);
+        await pool.query(`
+          UPDATE generation_job_items
+          SET status = 'failed', error_message = $1, updated_at = CURRENT_TIMESTAMP
+          WHERE id = $2
+        `, [e.message, jobItem.id]);
+      }
+      
+      await pool.query(`UPDATE generation_jobs SET updated_at = CURRENT_TIMESTAMP WHERE id = $1`, [jobId]);
+    }
+    
+    await pool.query(`
+      UPDATE generation_jobs
+      SET status = 'completed', completed_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `, [jobId]);
+    console.log(`Generation job ${jobId} complete`);
+  } catch (error) {
+    console.error(`Generation job ${jobId} failed:`, error);
+    // A job another instance took over is theirs to finish
+    if (!error.leaseLost) {
+      await pool.query(`
+        UPDATE generation_jobs
+        SET status = 'failed', error_message = $1, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $2
+      `, [error.message, jobId]).catch(() => {});
+    }
+  } finally {
+    activeGenerationJobs.delete(jobId);
+    if (lease) await lease.release();
+  }
+}
+
+// Restart jobs left pending/running by a restart or a crashed instance (their lease has
+// expired). Runs at startup and from the job_resume scheduled job.
+async function resumeGenerationJobs() {
+  try {
+    const result = await pool.query(
+      `SELECT id FROM generation_jobs WHERE status IN ('pending', 'running') AND ${RUN_LEASE_EXPIRED} ORDER BY id`
+    );
+    for (const row of result.rows) {
+      console.log(`Resuming generation job ${row.id}...`);
+      runGenerationJob(row.id).catch(err => {
+        console.error(`Resumed generation job ${row.id} failed:`, err);
+      });
+    }
+  } catch (error) {
+    console.error('Error resuming generation jobs:', error);
+  }
+}
+
+// Start a "generate all" job for every grid and standalone item on a receipt
+app.post('/api/receipts/:id/generate-all', async (req, res) => {
+  try {
+    const receiptId = req.params.id.replace('REC-', '');
+    const locale = parseLocale(req.body.locale);
+    if (!locale) {
+      return res.status(400).json({ error: `locale must be one of: ${Object.keys(DESCRIPTION_LOCALES).join(', ')}` });
+    }
+    
+    // Only one active job per receipt
+    const activeResult = await pool.query(
+      `SELECT id FROM generation_jobs WHERE receipt_id = $1 AND status IN ('pending', 'running') ORDER BY id DESC LIMIT 1`,
+      [receiptId]
+    );
+    if (activeResult.rows.length > 0) {
+      return res.json(await getGenerationJobSummary(activeResult.rows[0].id));
+    }
+    
+    const { vendorName, items } = await loadReceiptProducts(receiptId);
+    
+    // Skipped products don't need copy. Completed products already have English copy in
+    // Heartland, but still need a translation when another locale is requested.
+    const toGenerate = items.filter(item =>
+      item.status !== 'skipped' && (locale !== DEFAULT_LOCALE || item.status !== 'completed')
+    );
+    if (toGenerate.length === 0) {
+      return res.status(400).json({ error: 'No products on this receipt need descriptions' });
+    }
+    
+    const jobResult = await pool.query(
+      `INSERT INTO generation_jobs (receipt_id, status, total_items, created_by, locale) VALUES ($1, 'pending', $2, $3, $4) RETURNING id`,
+      [receiptId, toGenerate.length, req.username, locale]
+    );
+    const jobId = jobResult.rows[0].id;
+    
+    for (const item of toGenerate) {
+      const isGrid = item.type === 'grid';
+      await pool.query(`
+        INSERT INTO generation_job_items (job_id, item_type, heartland_id, name, prompt_inputs)
+        VALUES ($1, $2, $3, $4, $5)
+        ON CONFLICT (job_id, item_type, heartland_id) DO NOTHING
+      `, [
+        jobId,
+        item.type,
+        (isGrid ? item.gridId : item.heartlandItemId).toString(),
+        item.name,
+        JSON.stringify({
+          productName: item.name,
+          vendor: vendorName,
+          color: item.colors.join(', '),
+          category: item.category,
+          variants: isGrid ? item.variants : [],
+          // No photos at receipt level - Heartland's long description is the best source text
+          vendorDescription: item.longDescription || '',
+        }),
+      ]);
+    }
+    
+    const summary = await getGenerationJobSummary(jobId);
+    res.json(summary);
+    
+    // Run job in background
+    runGenerationJob(jobId).catch(err => {
+      console.error(`Generation job ${jobId} failed:`, err);
+    });
+  } catch (error) {
+    console.error('Error starting generation job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Latest generation job for a receipt (used to show progress when the receipt is opened)
+app.get('/api/receipts/:id/generate-all', async (req, res) => {
+  try {
+    const receiptId = req.params.id.replace('REC-', '');
+    const result = await pool.query(
+      `SELECT id FROM generation_jobs WHERE receipt_id = $1 ORDER BY id DESC LIMIT 1`,
+      [receiptId]
+    );
+    
+    if (result.rows.length === 0) {
+      return res.json({ job: null });
+    }
+    
+    res.json({ job: await getGenerationJobSummary(result.rows[0].id) });
+  } catch (error) {
+    console.error('Error fetching generation job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Get generation job progress
+app.get('/api/generation-jobs/:id', async (req, res) => {
+  try {
+    const jobId = parseIdParam(req.params.id);
+    if (!jobId) {
+      return res.status(400).json({ error: 'Invalid generation job ID' });
+    }
+    
+    const summary = await getGenerationJobSummary(jobId);
+    if (!summary) {
+      return res.status(404).json({ error: 'Generation job not found' });
+    }
+    res.json(summary);
+  } catch (error) {
+    console.error('Error fetching generation job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry the failed items in a job
+app.post('/api/generation-jobs/:id/retry', async (req, res) => {
+  try {
+    const jobId = parseIdParam(req.params.id);
+    if (!jobId) {
+      return res.status(400).json({ error: 'Invalid generation job ID' });
+    }
+    
+    const jobResult = await pool.query('SELECT id FROM generation_jobs WHERE id = $1', [jobId]);
+    if (jobResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Generation job not found' });
+    }
+    
+    const result = await pool.query(`
+      UPDATE generation_job_items SET status = 'pending', error_message = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE job_id = $1 AND status = 'failed'
+    `, [jobId]);
+    
+    if (result.rowCount > 0) {
+      await pool.query(
+        `UPDATE generation_jobs SET status = 'pending', completed_at = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1`,
+        [jobId]
+      );
+      runGenerationJob(jobId).catch(err => {
+        console.error(`Generation job ${jobId} retry failed:`, err);
+      });
+    }
+    
+    res.json(await getGenerationJobSummary(jobId));
+  } catch (error) {
+    console.error('Error retrying generation job:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== DESCRIPTION DRAFTS (REVIEW WORKFLOW) ====================
+
+// Heartland descriptions can only be pushed from an approved draft unless
+// REQUIRE_DESCRIPTION_APPROVAL=false. Drafts are approved by someone other than their author,
+// except while USERS has a single login - then that user approves their own drafts.
+const REQUIRE_DESCRIPTION_APPROVAL = process.env.REQUIRE_DESCRIPTION_APPROVAL !== 'false';
+
+// Helper: Shape a description_drafts row for the frontend
+function formatDraft(row) {
+  return {
+    id: row.id,
+    itemType: row.item_type,
+    heartlandId: row.heartland_id,
+    receiptId: row.receipt_id ? `REC-${row.receipt_id}` : null,
+    version: row.version,
+    locale: row.locale || DEFAULT_LOCALE,
+    status: row.status,
+    description: row.description,
+    metaDescription: row.meta_description || '',
+    copy: row.copy || null,
+    promptInputs: row.prompt_inputs,
+    source: row.source,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at,
+    reviewNote: row.review_note,
+    publishedBy: row.published_by,
+    publishedAt: row.published_at,
+  };
+}
+
+// Helper: Save a new draft version. Older open versions of the same grid/item are superseded.
+// Runs in a transaction holding a lock on the grid/item, so two saves at once (a bulk job and
+// someone editing) can't both leave an open draft or pick the same version number.
+async function createDescriptionDraft({ itemType, heartlandId, receiptId = null, locale = DEFAULT_LOCALE, description, metaDescription = '', copy = null, promptInputs = null, source = 'manual', username = null }) {
+  const id = heartlandId.toString();
+  
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    // Transaction-scoped lock per grid/item (there may be no draft row yet to lock FOR UPDATE)
+    await client.query(`SELECT pg_advisory_xact_lock(hashtext('description_drafts:' || $1 || ':' || $2))`, [itemType, id]);
+    
+    // Only drafts in the same language are replaced - an English draft doesn't supersede the Spanish one
+    await client.query(`
+      UPDATE description_drafts
+      SET status = 'superseded', updated_at = CURRENT_TIMESTAMP
+      WHERE item_type = $1 AND heartland_id = $2 AND locale = $3 AND status IN ('drafted', 'approved')
+    `, [itemType, id, locale]);
+    
+    const result = await client.query(`
+      INSERT INTO description_drafts
+        (item_type, heartland_id, receipt_id, locale, version, description, meta_description, copy, prompt_inputs, source, created_by)
+      VALUES ($1, $2, $3, $10,
+        (SELECT COALESCE(MAX(version), 0) + 1 FROM description_drafts WHERE item_type = $1 AND heartland_id = $2),
+        $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `, [
+      itemType,
+      id,
+      receiptId ? receiptId.toString().replace('REC-', '') : null,
+      description,
+      metaDescription,
+      copy ? JSON.stringify(copy) : null,
+      promptInputs ? JSON.stringify(promptInputs) : null,
+      source,
+      username,
+      locale,
+    ]);
+    
+    await client.query('COMMIT');
+    return formatDraft(result.rows[0]);
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Helper: Work out what to push to Heartland for a PUT. With a draftId the draft must be
+// approved and unedited; without one, a raw description is only allowed if approval isn't required.
+// allowPublished lets a draft that already went to Heartland be pushed again (e.g. to the grid's items).
+async function checkDraftForPublish(itemType, heartlandId, draftId, longDescription, { allowPublished = false } = {}) {
+  if (!draftId) {
+    if (REQUIRE_DESCRIPTION_APPROVAL && longDescription !== undefined) {
+      return { status: 409, error: 'Descriptions must be approved before they are saved to Heartland' };
+    }
+    return { description: longDescription, draft: null };
+  }
+  
+  const result = await pool.query(
+    'SELECT * FROM description_drafts WHERE id = $1 AND item_type = $2 AND heartland_id = $3',
+    [draftId, itemType, heartlandId.toString()]
+  );
+  const draft = result.rows[0];
+  
+  if (!draft) {
+    return { status: 404, error: 'Draft not found for this product' };
+  }
+  if (draft.locale !== DEFAULT_LOCALE) {
+    return { status: 409, error: `Draft v${draft.version} is ${DESCRIPTION_LOCALES[draft.locale] || draft.locale} - only English copy is saved to Heartland` };
+  }
+  if (draft.status !== 'approved' && !(allowPublished && draft.status === 'published')) {
+    return { status: 409, error: `Draft v${draft.version} is ${draft.status}, not approved` };
+  }
+  if (longDescription !== undefined && longDescription !== draft.description) {
+    return { status: 409, error: 'Description was edited after approval - submit it for review again' };
+  }
+  
+  return { description: draft.description, draft };
+}
+
+// Helper: Mark a draft as published once Heartland has been updated
+async function markDraftPublished(draftId, username) {
+  await pool.query(`
+    UPDATE description_drafts
+    SET status = 'published', published_by = $1, published_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $2
+  `, [username, draftId]);
+}
+
+// Submit a description for review
+app.post('/api/drafts', async (req, res) => {
+  try {
+    const { itemType, heartlandId, receiptId, description, metaDescription, copy, promptInputs } = req.body;
+    const locale = parseLocale(req.body.locale);
+    
+    if (!['grid', 'item'].includes(itemType) || !heartlandId) {
+      return res.status(400).json({ error: 'itemType (grid or item) and heartlandId are required' });
+    }
+    if (!locale) {
+      return res.status(400).json({ error: `locale must be one of: ${Object.keys(DESCRIPTION_LOCALES).join(', ')}` });
+    }
+    if (!description || !description.trim()) {
+      return res.status(400).json({ error: 'description is required' });
+    }
+    
+    const draft = await createDescriptionDraft({
+      itemType,
+      heartlandId,
+      receiptId,
+      locale,
+      description,
+      metaDescription,
+      // Hand-edited handles still have to be valid Shopify handles
+      copy: copy && copy.urlHandle ? { ...copy, urlHandle: slugify(copy.urlHandle) } : copy,
+      promptInputs,
+      source: 'manual',
+      username: req.username,
+    });
+    
+    res.json({ success: true, draft });
+  } catch (error) {
+    console.error('Error creating draft:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Reviewer queue - drafts waiting for approval (oldest first)
+app.get('/api/drafts/queue', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT * FROM description_drafts
+      WHERE status = 'drafted'
+      ORDER BY created_at ASC
+      LIMIT 200
+    `);
+    
+    res.json({
+      drafts: result.rows.map(row => ({
+        ...formatDraft(row),
+        // Authors can't approve their own copy
+        canReview: row.created_by !== req.username,
+      })),
+      requireApproval: REQUIRE_DESCRIPTION_APPROVAL,
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// All draft versions for a grid or item (newest first)
+app.get('/api/drafts', async (req, res) => {
+  try {
+    const { itemType, heartlandId, locale } = req.query;
+    if (!itemType || !heartlandId) {
+      return res.status(400).json({ error: 'itemType and heartlandId query parameters required' });
+    }
+    
+    // Optional locale filter (all languages by default)
+    const result = await pool.query(`
+      SELECT * FROM description_drafts
+      WHERE item_type = $1 AND heartland_id = $2 AND ($3::text IS NULL OR locale = $3)
+      ORDER BY version DESC
+    `, [itemType, heartlandId.toString().replace(/^(GRID|ITEM)-/, ''), locale || null]);
+    
+    res.json({ drafts: result.rows.map(formatDraft) });
+  } catch (error) {
+    console.error('Error fetching drafts:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve or reject a draft (a different person from the author when there's more than one user)
+async function reviewDraft(req, res, newStatus) {
+  try {
+    const draftId = parseIdParam(req.params.id);
+    if (!draftId) {
+      return res.status(400).json({ error: 'Invalid draft ID' });
+    }
+    const { note } = req.body || {};
+    
+    const result = await pool.query('SELECT * FROM description_drafts WHERE id = $1', [draftId]);
+    const draft = result.rows[0];
+    
+    if (!draft) {
+      return res.status(404).json({ error: 'Draft not found' });
+    }
+    if (draft.status !== 'drafted') {
+      return res.status(409).json({ error: `Draft is already ${draft.status}` });
+    }
+    if (draft.created_by && draft.created_by === req.username && Object.keys(USERS).length > 1) {
+      return res.status(403).json({ error: 'Drafts must be reviewed by someone other than the author' });
+    }
+    
+    // Only a still-open draft: another review or a newer version may have got there first
+    const updated = await pool.query(`
+      UPDATE description_drafts
+      SET status = $1, reviewed_by = $2, reviewed_at = CURRENT_TIMESTAMP, review_note = $3, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4 AND status = 'drafted'
+      RETURNING *
+    `, [newStatus, req.username, note || null, draftId]);
+    if (updated.rowCount === 0) {
+      return res.status(409).json({ error: 'Draft was reviewed or replaced by a newer version in the meantime' });
+    }
+    
+    res.json({ success: true, draft: formatDraft(updated.rows[0]) });
+  } catch (error) {
+    console.error(`Error marking draft ${newStatus}:`, error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+app.post('/api/drafts/:id/approve', (req, res) => reviewDraft(req, res, 'approved'));
+app.post('/api/drafts/:id/reject', (req, res) => reviewDraft(req, res, 'rejected'));
+
+// ==================== INVENTORY IQ ENDPOINTS ====================
+
+// Get cached inventory data (fast read)
+app.get('/api/inventory/data', async (req, res) => {
+  try {
+    const result = await pool.query(
+      `SELECT data, synced_at FROM inventory_cache WHERE cache_key = 'inventory_analysis'`
+    );
+    
+    if (result.rows.length === 0) {
+      return res.json({ 
+        error: 'No data yet', 
+        message: 'Run a sync first',
+        syncedAt: null 
+      });
+    }
+    
+    // The cached analysis records the rules it ran under; activeRules may be newer
+    const { data, synced_at } = result.rows[0];
+    res.json({
+      ...data,
+      activeRules: inventoryAnalysis.describeInventoryRules(await getActiveInventoryRuleSet()),
+      syncedAt: synced_at
+    });
+  } catch (error) {
+    console.error('Error reading inventory cache:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper: The active InventoryIQ rule set ({ id, name, rules })
+async function getActiveInventoryRuleSet() {
+  const result = await pool.query(
+    'SELECT id, name, rules, updated_by, updated_at FROM inventory_rule_sets WHERE active'
+  );
+  return result.rows[0] || { id: null, name: 'Default', rules: inventoryAnalysis.DEFAULT_INVENTORY_RULES };
+}
+
+// Load everything the aging analysis needs, run it under the active rule set and cache the result.
+// Shared by /api/inventory/sync and the nightly sync.
+async function runInventoryAnalysis() {
+  const ruleSet = await getActiveInventoryRuleSet();
+  
+  // Velocity from sales_transactions
+  const categoryVelocityResult = await pool.query(`
+    WITH category_sales AS (
+      SELECT 
+        category,
+        item_id,
+        MIN(transaction_date) as first_sale,
+        MAX(transaction_date) as last_sale
+      FROM sales_transactions
+      WHERE category IS NOT NULL 
+        AND category != 'Uncategorized'
+        AND transaction_date > NOW() - INTERVAL '180 days'
+      GROUP BY category, item_id
+      HAVING COUNT(*) >= 1
+    )
+    SELECT 
+      category as name,
+      COUNT(DISTINCT item_id) as items_sold,
+      ROUND(AVG(EXTRACT(EPOCH FROM (last_sale - first_sale)) / 86400))::int as avg_days_to_sell
+    FROM category_sales
+    WHERE first_sale != last_sale
+    GROUP BY category
+    HAVING COUNT(DISTINCT item_id) >= 3
+    ORDER BY avg_days_to_sell ASC
+  `);
+  
+  const vendorVelocityResult = await pool.query(`
+    WITH vendor_sales AS (
+      SELECT 
+        vendor,
+        item_id,
+        MIN(transaction_date) as first_sale,
+        MAX(transaction_date) as last_sale
+      FROM sales_transactions
+      WHERE vendor IS NOT NULL 
+        AND vendor != 'Unknown'
+        AND transaction_date > NOW() - INTERVAL '180 days'
+      GROUP BY vendor, item_id
+      HAVING COUNT(*) >= 1
+    )
+    SELECT 
+      vendor as name,
+      COUNT(DISTINCT item_id) as items_sold,
+      ROUND(AVG(EXTRACT(EPOCH FROM (last_sale - first_sale)) / 86400))::int as avg_days_to_sell
+    FROM vendor_sales
+    WHERE first_sale != last_sale
+    GROUP BY vendor
+    HAVING COUNT(DISTINCT item_id) >= 3
+    ORDER BY avg_days_to_sell ASC
+  `);
+  
+  const toVelocity = (rows) => rows
+    .map(r => ({
+      name: r.name,
+      avgDaysToSell: parseInt(r.avg_days_to_sell) || 0,
+      itemsSold: parseInt(r.items_sold)
+    }))
+    .filter(v => v.avgDaysToSell > 0);
+  const velocity = {
+    byCategory: toVelocity(categoryVelocityResult.rows),
+    byVendor: toVelocity(vendorVelocityResult.rows),
+  };
+  console.log(`Found velocity for ${velocity.byCategory.length} categories, ${velocity.byVendor.length} vendors`);
+  
+  // MOST RECENT receive date per item (if item was reordered, old stock likely sold)
+  const receiveDataResult = await pool.query(`
+    SELECT 
+      item_id,
+      MAX(received_date) as last_received,
+      SUM(qty_received) as total_received,
+      MAX(item_name) as item_name,
+      MAX(category) as category,
+      MAX(vendor) as vendor,
+      MAX(unit_cost) as unit_cost
+    FROM item_receipts
+    GROUP BY item_id
+  `);
+  
+  const receiveData = {};
+  for (const row of receiveDataResult.rows) {
+    receiveData[row.item_id] = {
+      receivedDate: row.last_received,
+      qtyReceived: parseInt(row.total_received) || 0,
+      name: row.item_name, // Already in "Style - Color - Size" format from Heartland description
+      category: row.category,
+      vendor: row.vendor,
+      cost: parseFloat(row.unit_cost) || 0
+    };
+  }
+  console.log(`Found receive data for ${Object.keys(receiveData).length} items`);
+  
+  // Sold quantities from sales_transactions
+  const soldDataResult = await pool.query(`
+    SELECT 
+      item_id,
+      SUM(quantity) as total_sold,
+      MAX(unit_price) as price
+    FROM sales_transactions
+    WHERE item_id IS NOT NULL
+    GROUP BY item_id
+  `);
+  
+  const soldData = {};
+  for (const row of soldDataResult.rows) {
+    soldData[row.item_id] = {
+      qtySold: parseInt(row.total_sold) || 0,
+      price: parseFloat(row.price) || 0
+    };
+  }
+  
+  // Current inventory from Heartland (up to 10,000 items)
+  const inventory = await fetchAllPages('/inventory/values?group[]=item_id', 100);
+  console.log(`Found ${inventory.length} inventory items from Heartland`);
+  
+  // Custom fields of on-hand items from the mirror, for the exclusion flags (basics etc.)
+  const itemCustom = {};
+  const flags = inventoryAnalysis.normalizeInventoryRules(ruleSet.rules).exclusions.flags;
+  if (flags.length > 0) {
+    const onHandIds = inventory.filter(inv => inv.item_id && inv.qty_on_hand > 0).map(inv => String(inv.item_id));
+    const customResult = await pool.query(
+      `SELECT heartland_id, data->'custom' AS custom FROM items WHERE heartland_id = ANY($1::text[])`,
+      [onHandIds]
+    );
+    for (const row of customResult.rows) itemCustom[row.heartland_id] = row.custom || {};
+  }
+  
+  // Sales by category (last 90 days for relevance)
+  const categorySalesResult = await pool.query(`
+    SELECT 
+      category,
+      SUM(total_amount) as total_sales
+    FROM sales_transactions
+    WHERE category IS NOT NULL 
+      AND category != 'Uncategorized'
+      AND transaction_date > NOW() - INTERVAL '90 days'
+    GROUP BY category
+  `);
+  const categorySales = Object.fromEntries(
+    categorySalesResult.rows.map(row => [row.category, parseFloat(row.total_sales) || 0])
+  );
+  
+  const analysis = inventoryAnalysis.analyzeInventory({
+    ruleSet, receiveData, soldData, inventory, itemCustom, categorySales, velocity,
+  });
+  console.log(`Found ${analysis.deadStock.items.length} aging items (rule set "${ruleSet.name}")`);
+  
+  await pool.query(
+    `INSERT INTO inventory_cache (cache_key, data, synced_at)
+     VALUES ('inventory_analysis', $1, CURRENT_TIMESTAMP)
+     ON CONFLICT (cache_key)
+     DO UPDATE SET data = $1, synced_at = CURRENT_TIMESTAMP`,
+    [JSON.stringify(analysis)]
+  );
+  
+  return analysis;
+}
+
+// Helper: Format an inventory_rule_sets row for the API
+function formatInventoryRuleSet(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    active: row.active,
+    rules: inventoryAnalysis.normalizeInventoryRules(row.rules),
+    summary: inventoryAnalysis.describeInventoryRules(row),
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at,
+  };
+}
+
+// List InventoryIQ rule sets (active one first)
+app.get('/api/inventory/rules', async (req, res) => {
+  try {
+    const result = await pool.query('SELECT * FROM inventory_rule_sets ORDER BY active DESC, name ASC');
+    res.json({
+      ruleSets: result.rows.map(formatInventoryRuleSet),
+      defaults: inventoryAnalysis.DEFAULT_INVENTORY_RULES,
+      buckets: inventoryAnalysis.AGING_BUCKETS,
+    });
+  } catch (error) {
+    console.error('Error fetching inventory rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Create a rule set (activate: true makes it the one InventoryIQ uses)
+app.post('/api/inventory/rules', async (req, res) => {
+  try {
+    const { name, rules = {}, activate = false } = req.body;
+    if (!name || !name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    const errors = inventoryAnalysis.validateInventoryRules(rules);
+    if (errors.length > 0) {
+      return res.status(400).json({ error: errors.join('; '), errors });
+    }
+    
+    const result = await pool.query(`
+      INSERT INTO inventory_rule_sets (name, rules, updated_by)
+      VALUES ($1, $2, $3)
+      RETURNING *
+    `, [name.trim(), JSON.stringify(inventoryAnalysis.normalizeInventoryRules(rules)), req.username]);
+    
+    const ruleSet = activate ? await activateInventoryRuleSet(result.rows[0].id) : result.rows[0];
+    res.json({ success: true, ruleSet: formatInventoryRuleSet(ruleSet) });
+  } catch (error) {
+    console.error('Error creating inventory rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Update a rule set's name and/or rules
+app.put('/api/inventory/rules/:id', async (req, res) => {
+  try {
+    const { name, rules } = req.body;
+    if (rules) {
+      const errors = inventoryAnalysis.validateInventoryRules(rules);
+      if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; '), errors });
+      }
+    }
+    
+    const result = await pool.query(`
+      UPDATE inventory_rule_sets
+      SET name = COALESCE($1, name),
+          rules = COALESCE($2, rules),
+          updated_by = $3,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $4
+      RETURNING *
+    `, [name?.trim() || null, rules ? JSON.stringify(inventoryAnalysis.normalizeInventoryRules(rules)) : null, req.username, req.params.id]);
+    
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+    res.json({ success: true, ruleSet: formatInventoryRuleSet(result.rows[0]) });
+  } catch (error) {
+    console.error('Error updating inventory rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper: Make a rule set the active one (returns its row, or null if it doesn't exist)
+async function activateInventoryRuleSet(id) {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('UPDATE inventory_rule_sets SET active = false WHERE active AND id <> $1', [id]);
+    const result = await client.query(
+      'UPDATE inventory_rule_sets SET active = true, updated_at = CURRENT_TIMESTAMP WHERE id = $1 RETURNING *',
+      [id]
+    );
+    await client.query(result.rows.length > 0 ? 'COMMIT' : 'ROLLBACK');
+    return result.rows[0] || null;
+  } catch (error) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Switch InventoryIQ to another rule set (takes effect at the next analysis)
+app.post('/api/inventory/rules/:id/activate', async (req, res) => {
+  try {
+    const ruleSet = await activateInventoryRuleSet(parseInt(req.params.id));
+    if (!ruleSet) {
+      return res.status(404).json({ error: 'Rule set not found' });
+    }
+    res.json({ success: true, ruleSet: formatInventoryRuleSet(ruleSet) });
+  } catch (error) {
+    console.error('Error activating inventory rules:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sync inventory data - uses item_receipts table for days since received
+app.post('/api/inventory/sync', async (req, res) => {
+  req.setTimeout(300000); // 5 minutes
+  
+  try {
+    console.log('Starting inventory sync (receipt-based)...');
+    const startTime = Date.now();
+    
+    const analysis = await runInventoryAnalysis();
+    
+    const duration = Math.round((Date.now() - startTime) / 1000);
+    console.log(`Inventory sync complete in ${duration}s`);
+    
+    res.json({
+      success: true,
+      duration: `${duration}s`,
+      rules: analysis.rules.name,
+      stats: analysis.stats
+    });
+  } catch (error) {
+    console.error('Error syncing inventory:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== INVENTORY HISTORY ====================
+// Reads the daily inventory_snapshots written by the sync: on-hand over time, and what was on
+// hand (with weeks of supply) on any past day.
+
+const INVENTORY_HISTORY_MAX_DAYS = 730;
+const WEEKS_OF_SUPPLY_SALES_DAYS = 28;
+const SNAPSHOT_GROUP_COLUMNS = {
+  category: 'snap.category',
+  vendor: 'snap.vendor',
+  item: `COALESCE(i.data->>'description', snap.item_id)`,
+};
+
+// On-hand units, cost and retail per day (filter by item, category, vendor or location)
+app.get('/api/inventory/history', async (req, res) => {
+  try {
+    const days = Math.min(parseInt(req.query.days) || 90, INVENTORY_HISTORY_MAX_DAYS);
+    const { itemId, category, vendor, locationId } = req.query;
+    
+    const result = await pool.query(`
+      SELECT snapshot_date,
+             SUM(qty_on_hand) AS qty_on_hand,
+             SUM(cost_value) AS cost_value,
+             SUM(retail_value) AS retail_value,
+             COUNT(DISTINCT item_id) AS items
+      FROM inventory_snapshots
+      WHERE snapshot_date > CURRENT_DATE - $1::int
+        AND ($2::text IS NULL OR item_id = $2)
+        AND ($3::text IS NULL OR category = $3)
+        AND ($4::text IS NULL OR vendor = $4)
+        AND ($5::text IS NULL OR location_id = $5)
+      GROUP BY snapshot_date
+      ORDER BY snapshot_date
+    `, [days, itemId || null, category || null, vendor || null, locationId || null]);
+    
+    res.json({
+      days,
+      history: result.rows.map(row => ({
+        date: row.snapshot_date,
+        qtyOnHand: parseInt(row.qty_on_hand),
+        costValue: parseFloat(row.cost_value) || 0,
+        retailValue: parseFloat(row.retail_value) || 0,
+        items: parseInt(row.items),
+      })),
+    });
+  } catch (error) {
+    console.error('Error fetching inventory history:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// What was on hand on a date (the latest snapshot on or before it), grouped by category, vendor
+// or item. Weeks of supply uses the units sold in the 4 weeks up to that date; sales only carry a
+// location name, so it's left out when filtering to one location.
+app.get('/api/inventory/snapshot', async (req, res) => {
+  try {
+    const groupBy = req.query.groupBy || 'category';
+    if (!SNAPSHOT_GROUP_COLUMNS[groupBy]) {
+      return res.status(400).json({ error: `groupBy must be one of: ${Object.keys(SNAPSHOT_GROUP_COLUMNS).join(', ')}` });
+    }
+    const requested = req.query.date ? new Date(req.query.date) : new Date();
+    if (Number.isNaN(requested.getTime())) {
+      return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+    const locationId = req.query.locationId || null;
+    
+    const dateResult = await pool.query(
+      `SELECT MAX(snapshot_date) AS snapshot_date FROM inventory_snapshots WHERE snapshot_date <= $1::date`,
+      [requested.toISOString().split('T')[0]]
+    );
+    const snapshotDate = dateResult.rows[0].snapshot_date;
+    if (!snapshotDate) {
+      return res.status(404).json({ error: 'No inventory snapshot on or before that date' });
+    }
+    
+    const result = await pool.query(`
+      WITH snap AS (
+        SELECT item_id, SUM(qty_on_hand) AS qty_on_hand, SUM(cost_value) AS cost_value,
+               SUM(retail_value) AS retail_value, MAX(category) AS category, MAX(vendor) AS vendor
+        FROM inventory_snapshots
+        WHERE snapshot_date = $1 AND ($2::text IS NULL OR location_id = $2)
+        GROUP BY item_id
+      ),
+      sold AS (
+        SELECT item_id, SUM(quantity) AS units_sold
+        FROM sales_transactions
+        WHERE transaction_date >= $1::date - $3::int
+          AND transaction_date < $1::date + 1
+          AND item_id IN (SELECT item_id FROM snap)
+        GROUP BY item_id
+      )
+      SELECT ${SNAPSHOT_GROUP_COLUMNS[groupBy]} AS name,
+             COUNT(*) AS items,
+             SUM(snap.qty_on_hand) AS qty_on_hand,
+             SUM(snap.cost_value) AS cost_value,
+             SUM(snap.retail_value) AS retail_value,
+             COALESCE(SUM(sold.units_sold), 0) AS units_sold
+      FROM snap
+      LEFT JOIN sold ON sold.item_id = snap.item_id
+      LEFT JOIN items i ON i.heartland_id = snap.item_id
+      GROUP BY 1
+      ORDER BY SUM(snap.cost_value) DESC NULLS LAST
+      LIMIT 500
+    `, [snapshotDate, locationId, WEEKS_OF_SUPPLY_SALES_DAYS]);
+    
+    const groups = result.rows.map(row => {
+      const qtyOnHand = parseInt(row.qty_on_hand);
+      const unitsSold = parseInt(row.units_sold);
+      const weeklyUnits = unitsSold / (WEEKS_OF_SUPPLY_SALES_DAYS / 7);
+      return {
+        name: row.name,
+        items: parseInt(row.items),
+        qtyOnHand,
+        costValue: parseFloat(row.cost_value) || 0,
+        retailValue: parseFloat(row.retail_value) || 0,
+        unitsSold,
+        weeksOfSupply: !locationId && weeklyUnits > 0 ? Math.round((qtyOnHand / weeklyUnits) * 10) / 10 : null,
+      };
+    });
+    
+    res.json({ requestedDate: req.query.date || null, snapshotDate, groupBy, groups });
+  } catch (error) {
+    console.error('Error fetching inventory snapshot:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== REORDER ====================
+// Reorder suggestions per grid color and size from sales velocity (reorderAnalysis.js), with
+// draft purchase orders per vendor as JSON or CSV.
+
+// Only items received within this many days are considered for reordering
+const REORDER_RECEIVED_DAYS = 365;
+
+// Helper: On-hand quantity per item ID - the latest inventory snapshot if it's from the last
+// couple of days, otherwise live from Heartland
+async function getOnHandByItem() {
+  const snapshotResult = await pool.query(`
+    SELECT item_id, SUM(qty_on_hand) AS qty_on_hand
+    FROM inventory_snapshots
+    WHERE snapshot_date = (SELECT MAX(snapshot_date) FROM inventory_snapshots)
+      AND snapshot_date >= CURRENT_DATE - 2
+    GROUP BY item_id
+  `);
+  if (snapshotResult.rows.length > 0) {
+    return new Map(snapshotResult.rows.map(row => [row.item_id, parseInt(row.qty_on_hand)]));
+  }
+  
+  const inventory = await fetchAllPages('/inventory/values?group[]=item_id', 100);
+  return new Map(inventory.filter(inv => inv.item_id).map(inv => [String(inv.item_id), inv.qty_on_hand || 0]));
+}
+
+// Load receipts, sales and on-hand per item and run the reorder analysis
+async function buildReorderRecommendations(options) {
+  const { salesDays } = { ...reorderAnalysis.DEFAULT_REORDER_OPTIONS, ...options };
+  
+  // Received items with their latest cost and the grid they belong to
+  const receivedResult = await pool.query(`
+    SELECT ir.item_id,
+           MAX(ir.item_name) AS item_name,
+           MAX(ir.item_color) AS item_color,
+           MAX(ir.item_size) AS item_size,
+           MAX(ir.category) AS category,
+           MAX(ir.vendor) AS vendor,
+           MIN(ir.received_date) AS first_received,
+           MAX(ir.received_date) AS last_received,
+           (ARRAY_AGG(ir.unit_cost ORDER BY ir.received_date DESC))[1] AS unit_cost,
+           MAX(i.grid_id) AS grid_id,
+           MAX(i.data->'custom'->>'style_name') AS style_name
+    FROM item_receipts ir
+    LEFT JOIN items i ON i.heartland_id = ir.item_id
+    WHERE ir.received_date > NOW() - make_interval(days => $1)
+    GROUP BY ir.item_id
+  `, [REORDER_RECEIVED_DAYS]);
+  
+  const itemIds = receivedResult.rows.map(row => row.item_id);
+  const salesResult = await pool.query(`
+    SELECT item_id, SUM(quantity) AS units_sold, MAX(transaction_date) AS last_sale
+    FROM sales_transactions
+    WHERE transaction_date > NOW() - make_interval(days => $1)
+      AND item_id = ANY($2::text[])
+    GROUP BY item_id
+  `, [salesDays, itemIds]);
+  const salesById = new Map(salesResult.rows.map(row => [row.item_id, row]));
+  const onHandById = await getOnHandByItem();
+  
+  const items = receivedResult.rows.map(row => ({
+    itemId: row.item_id,
+    gridId: row.grid_id,
+    // Item descriptions are "Style - Color - Size"
+    style: row.style_name || (row.item_name || '').split(' - ')[0],
+    name: row.item_name,
+    color: row.item_color,
+    size: row.item_size,
+    category: row.category,
+    vendor: row.vendor,
+    firstReceived: row.first_received,
+    lastReceived: row.last_received,
+    unitCost: parseFloat(row.unit_cost) || 0,
+    unitsSold: parseInt(salesById.get(row.item_id)?.units_sold) || 0,
+    lastSale: salesById.get(row.item_id)?.last_sale || null,
+    onHand: onHandById.get(row.item_id) || 0,
+  }));
+  
+  return reorderAnalysis.recommendReorders({ items, options });
+}
+
+// Helper: Reorder options from query params (returns { options } or { error })
+function reorderOptionsFromQuery(query) {
+  const options = {};
+  if (query.weeks !== undefined) {
+    options.weeksOfCover = Number(query.weeks);
+    if (!(options.weeksOfCover >= 1 && options.weeksOfCover <= 52)) return { error: 'weeks must be between 1 and 52' };
+  }
+  if (query.days !== undefined) {
+    options.salesDays = Number(query.days);
+    if (!(options.salesDays >= 14 && options.salesDays <= 365)) return { error: 'days must be between 14 and 365' };
+  }
+  return { options };
+}
+
+// Reorder suggestions per grid color and size (optionally for one vendor)
+app.get('/api/inventory/reorder', async (req, res) => {
+  try {
+    const { options, error } = reorderOptionsFromQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const result = await buildReorderRecommendations(options);
+    if (req.query.vendor) {
+      result.grids = result.grids.filter(grid => grid.vendor === req.query.vendor);
+      result.purchaseOrders = result.purchaseOrders.filter(order => order.vendor === req.query.vendor);
+    }
+    res.json(result);
+  } catch (error) {
+    console.error('Error building reorder suggestions:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Draft purchase orders per vendor (?format=csv for a spreadsheet)
+app.get('/api/inventory/reorder/purchase-orders', async (req, res) => {
+  try {
+    const { options, error } = reorderOptionsFromQuery(req.query);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+    
+    const { purchaseOrders } = await buildReorderRecommendations(options);
+    const orders = req.query.vendor
+      ? purchaseOrders.filter(order => order.vendor === req.query.vendor)
+      : purchaseOrders;
+    
+    if (req.query.format === 'csv') {
+      const fileName = `draft-po-${(req.query.vendor || 'all-vendors').replace(/[^a-z0-9]+/gi, '-').toLowerCase()}-${new Date().toISOString().split('T')[0]}.csv`;
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+      return res.send(reorderAnalysis.purchaseOrdersCsv(orders));
+    }
+    res.json(orders);
+  } catch (error) {
+    console.error('Error building purchase orders:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ==================== MARKDOWNS ====================
+// InventoryIQ's suggested markdowns can be pushed to Heartland: pick dead-stock items and a
+// percentage, preview the new prices and margin, approve. Every price change is written to the
+// markdown ledger (markdowns / markdown_items) with the price before and after, so the sale can be
+// reverted by hand or automatically at ends_at. Applying and reverting run in the background one
+// item at a time and pick up where they stopped after a restart.
+
+const MARKDOWN_MAX_PCT = 90;
+
+// Markdowns applying/reverting in this process (the run lease keeps other instances off them)
+const activeMarkdownJobs = new Set();
+
+// Helper: Price after a percentage markdown, to the cent
+function markdownPrice(price, pct) {
+  return Math.round(price * (1 - pct / 100) * 100) / 100;
+}
+
+// Helper: Margin % at a price (null when there's no price)
+function marginPct(price, cost) {
+  return price > 0 ? Math.round(((price - cost) / price) * 1000) / 10 : null;
+}
+
+// Helper: Items currently marked down (applied and not reverted), keyed by item id.
+// db is a transaction's client when the check has to hold until the new markdown is saved.
+async function getActiveMarkdownLines(itemIds, db = pool) {
+  const result = await db.query(`
+    SELECT mi.item_id, mi.markdown_id, m.name
+    FROM markdown_items mi
+    JOIN markdowns m ON m.id = mi.markdown_id
+    WHERE mi.item_id = ANY($1::text[])
+      AND (mi.status IN ('applied', 'applying') OR (mi.status = 'pending' AND m.status = 'applying'))
+  `, [itemIds]);
+  return new Map(result.rows.map(row => [row.item_id, { markdownId: row.markdown_id, name: row.name }]));
+}
+
+// Helper: New prices and margin impact for marking items down by pct.
+// Prices and costs come from the item mirror, on-hand quantities from the last InventoryIQ analysis.
+async function buildMarkdownPreview(itemIds, pct) {
+  const ids = [...new Set(itemIds.map(String))];
+  const itemsById = await getHeartlandItems(ids);
+  const activeLines = await getActiveMarkdownLines(ids);
+  
+  const cacheResult = await pool.query(
+    `SELECT data FROM inventory_cache WHERE cache_key = 'inventory_analysis'`
+  );
+  const agingById = new Map((cacheResult.rows[0]?.data?.deadStock?.items || []).map(item => [String(item.id), item]));
+  
+  const items = [];
+  const totals = { qty: 0, retailBefore: 0, retailAfter: 0, cost: 0 };
+  
+  for (const itemId of ids) {
+    const item = itemsById.get(itemId);
+    const aging = agingById.get(itemId);
+    const price = Number(item?.price) || 0;
+    const qty = aging?.qtyRemaining || 0;
+    const cost = Number(item?.cost) || (aging && aging.qtyRemaining ? aging.costValue / aging.qtyRemaining : 0);
+    const newPrice = markdownPrice(price, pct);
+    const activeMarkdown = activeLines.get(itemId) || null;
+    
+    const problem = !item ? 'Item not found in Heartland'
+      : price <= 0 ? 'Item has no price'
+      : activeMarkdown ? `Already marked down (${activeMarkdown.name || `markdown ${activeMarkdown.markdownId}`})`
+      : null;
+    
+    items.push({
+      itemId,
+      name: item?.description || aging?.name || 'Unknown Item',
+      category: aging?.category || item?.custom?.category || item?.custom?.Category || 'Uncategorized',
+      vendor: aging?.vendor || 'Unknown',
+      daysSinceReceived: aging?.daysSinceReceived ?? null,
+      qtyOnHand: qty,
+      unitCost: Math.round(cost * 100) / 100,
+      currentPrice: price,
+      newPrice,
+      marginBefore: marginPct(price, cost),
+      marginAfter: marginPct(newPrice, cost),
+      belowCost: newPrice < cost,
+      problem,
+    });
+    
+    if (!problem) {
+      totals.qty += qty;
+      totals.retailBefore += qty * price;
+      totals.retailAfter += qty * newPrice;
+      totals.cost += qty * cost;
+    }
+  }
+  
+  return {
+    pct,
+    items,
+    totals: {
+      items: items.filter(item => !item.problem).length,
+      units: totals.qty,
+      retailBefore: Math.round(totals.retailBefore * 100) / 100,
+      retailAfter: Math.round(totals.retailAfter * 100) / 100,
+      markdownDollars: Math.round((totals.retailBefore - totals.retailAfter) * 100) / 100,
+      marginBefore: marginPct(totals.retailBefore, totals.cost),
+      marginAfter: marginPct(totals.retailAfter, totals.cost),
+    },
+  };
+}
+
+// Helper: Markdown with its ledger lines for the UI
+async function getMarkdownSummary(markdownId) {
+  const markdownResult = await pool.query('SELECT * FROM markdowns WHERE id = $1', [markdownId]);
+  if (markdownResult.rows.length === 0) return null;
+  
+  const markdown = markdownResult.rows[0];
+  const itemsResult = await pool.query(
+    'SELECT * FROM markdown_items WHERE markdown_id = $1 ORDER BY id',
+    [markdownId]
+  );
+  
+  const counts = {};
+  for (const row of itemsResult.rows) {
+    counts[row.status] = (counts[row.status] || 0) + 1;
+  }
+  
+  return {
+    id: markdown.id,
+    name: markdown.name,
+    pct: parseFloat(markdown.markdown_pct),
+    status: markdown.status,
+    endsAt: markdown.ends_at,
+    createdBy: markdown.created_by,
+    createdAt: markdown.created_at,
+    appliedAt: markdown.applied_at,
+    revertedBy: markdown.reverted_by,
+    revertedAt: markdown.reverted_at,
+    error: markdown.error_message,
+    counts,
+    items: itemsResult.rows.map(r => ({
+      itemId: r.item_id,
+      name: r.item_name,
+      category: r.category,
+      vendor: r.vendor,
+      qtyOnHand: r.qty_on_hand,
+      unitCost: r.unit_cost !== null ? parseFloat(r.unit_cost) : null,
+      originalPrice: r.original_price !== null ? parseFloat(r.original_price) : null,
+      newPrice: r.new_price !== null ? parseFloat(r.new_price) : null,
+      status: r.status,
+      error: r.error_message,
+      appliedAt: r.applied_at,
+      revertedAt: r.reverted_at,
+    })),
+  };
+}
+
+// Helper: Mark one item down in Heartland. The price is re-read from Heartland at apply time, and
+// the ledger records exactly what was there before - ahead of the PUT (line status 'applying'), so
+// a line interrupted after Heartland took the new price still knows the price to revert to.
+async function applyMarkdownItem(line, pct) {
+  const current = await heartlandRequest(`/items/${line.item_id}`);
+  const currentPrice = Number(current.price) || 0;
+  
+  // Resumed line whose PUT already went through: keep the original price recorded before it
+  if (line.status === 'applying' && Math.abs(currentPrice - parseFloat(line.new_price)) < 0.005) {
+    await pool.query(`
+      UPDATE markdown_items SET status = 'applied', error_message = NULL, applied_at = CURRENT_TIMESTAMP WHERE id = $1
+    `, [line.id]);
+    return;
+  }
+  
+  if (currentPrice <= 0) {
+    throw new Error('Item has no price in Heartland');
+  }
+  const newPrice = markdownPrice(currentPrice, pct);
+  
+  await pool.query(`
+    UPDATE markdown_items SET status = 'applying', original_price = $1, new_price = $2 WHERE id = $3
+  `, [currentPrice, newPrice, line.id]);
+  
+  await heartlandRequest(`/items/${line.item_id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ price: newPrice }),
+  });
+  await invalidateMirroredItems('item', line.item_id);
+  
+  await pool.query(`
+    UPDATE markdown_items SET status = 'applied', error_message = NULL, applied_at = CURRENT_TIMESTAMP WHERE id = $1
+  `, [line.id]);
+}
+
+// Helper: Put one item back to its pre-markdown price. Items someone repriced since are left alone.
+async function revertMarkdownItem(line) {
+  const current = await heartlandRequest(`/items/${line.item_id}`);
+  const currentPrice = Number(current.price) || 0;
+  
+  if (Math.abs(currentPrice - parseFloat(line.new_price)) >= 0.005) {
+    await pool.query(`
+      UPDATE markdown_items SET status = 'revert_skipped', error_message = $1 WHERE id = $2
+    `, [`Price changed in Heartland since the markdown (now $${currentPrice.toFixed(2)})`, line.id]);
+    return;
+  }
+  
+  await heartlandRequest(`/items/${line.item_id}`, {
+    method: 'PUT',
+    body: JSON.stringify({ price: parseFloat(line.original_price) }),
+  });
+  await invalidateMirroredItems('item', line.item_id);
+  
+  await pool.query(`
+    UPDATE markdown_items SET status = 'reverted', error_message = NULL, reverted_at = CURRENT_TIMESTAMP WHERE id = $1
+  `, [line.id]);
+}
+
+// Apply (status 'applying') or revert (status 'reverting') a markdown, one ledger line at a time
+async function runMarkdownJob(markdownId) {
+  if (activeMarkdownJobs.has(markdownId)) return;
+  activeMarkdownJobs.add(markdownId);
+  let lease = null;
+  let leaseLost = false;
+  
+  try {
+    lease = await holdRunLease('markdowns', markdownId, () => {
+      console.error(`Lost the lease on markdown ${markdownId}, stopping`);
+      leaseLost = true;
+    });
+    if (!lease) {
+      console.log(`Markdown ${markdownId} is being worked by another instance`);
+      return;
+    }
+    
+    const markdownResult = await pool.query('SELECT status, markdown_pct FROM markdowns WHERE id = $1', [markdownId]);
+    const markdown = markdownResult.rows[0];
+    if (!markdown || !['applying', 'reverting'].includes(markdown.status)) return;
+    const reverting = markdown.status === 'reverting';
+    
+    const linesResult = await pool.query(
+      `SELECT * FROM markdown_items WHERE markdown_id = $1 AND status = ANY($2::text[]) ORDER BY id`,
+      [markdownId, reverting ? ['applied'] : ['pending', 'applying']]
+    );
+    
+    await heartland.mapWithConcurrency(linesResult.rows, async (line) => {
+      // Throwing stops the remaining lines from starting
+      if (leaseLost) throw Object.assign(new Error(`Lost the lease on markdown ${markdownId}`), { leaseLost: true });
+      try {
+        if (reverting) {
+          await revertMarkdownItem(line);
+        } else {
+          await applyMarkdownItem(line, parseFloat(markdown.markdown_pct));
+        }
       } catch (e) {
-        // Skip duplicates or errors
-        if (!e.message.includes('duplicate')) {
-          console.error(`Error inserting sale ${sale.id}:`, e.message);
+        console.error(`Error ${reverting ? 'reverting' : 'applying'} markdown for item ${line.item_id}:`, e.message);
+        await pool.query(
+          `UPDATE markdown_items SET status = $1, error_message = $2 WHERE id = $3`,
+          [reverting ? 'revert_failed' : 'failed', e.message, line.id]
+        );
+      }
+    });
+    
+    // A markdown where no price could be changed is failed rather than active
+    const appliedResult = await pool.query(
+      `SELECT COUNT(*) AS count FROM markdown_items WHERE markdown_id = $1 AND status = 'applied'`,
+      [markdownId]
+    );
+    if (!reverting && parseInt(appliedResult.rows[0].count) === 0) {
+      throw new Error('No item prices could be updated in Heartland');
+    }
+    
+    await pool.query(
+      reverting
+        ? `UPDATE markdowns SET status = 'reverted', reverted_at = CURRENT_TIMESTAMP WHERE id = $1`
+        : `UPDATE markdowns SET status = 'active', applied_at = CURRENT_TIMESTAMP WHERE id = $1`,
+      [markdownId]
+    );
+    console.log(`Markdown ${markdownId} ${reverting ? 'reverted' : 'applied'}`);
+  } catch (error) {
+    console.error(`Markdown job ${markdownId} failed:`, error);
+    // A markdown another instance took over is theirs to finish
+    if (!error.leaseLost) {
+      await pool.query(
+        `UPDATE markdowns SET status = 'failed', error_message = $1 WHERE id = $2`,
+        [error.message, markdownId]
+      ).catch(() => {});
+    }
+  } finally {
+    activeMarkdownJobs.delete(markdownId);
+    if (lease) await lease.release();
+  }
+}
+
+// Restart markdowns left applying/reverting by a restart or a crashed instance (their lease has
+// expired). Runs at startup and from the job_resume scheduled job.
+async function resumeMarkdownJobs() {
+  try {
+    const result = await pool.query(
+      `SELECT id FROM markdowns WHERE status IN ('applying', 'reverting') AND ${RUN_LEASE_EXPIRED} ORDER BY id`
+    );
+    for (const row of result.rows) {
+      console.log(`Resuming markdown ${row.id}...`);
+      runMarkdownJob(row.id).catch(err => {
+        console.error(`Resumed markdown ${row.id} failed:`, err);
+      });
+    }
+  } catch (error) {
+    console.error('Error resuming markdowns:', error);
+  }
+}
+
+// Helper: Start reverting a markdown (returns false unless it's active or failed)
+async function startMarkdownRevert(markdownId, username) {
+  const result = await pool.query(`
+    UPDATE markdowns SET status = 'reverting', reverted_by = $2
+    WHERE id = $1 AND status IN ('active', 'failed')
+    RETURNING id
+  `, [markdownId, username]);
+  if (result.rows.length === 0) return false;
+  
+  runMarkdownJob(markdownId).catch(err => {
+    console.error(`Reverting markdown ${markdownId} failed:`, err);
+  });
+  return true;
+}
+
+// Revert markdowns whose sale has ended (scheduled job markdown_revert). A markdown that failed
+// part way through applying or reverting still has marked-down prices in Heartland, so any with
+// lines left applied is picked up whatever its status.
+async function revertEndedMarkdowns() {
+  const result = await pool.query(`
+    SELECT m.id FROM markdowns m
+    WHERE m.status IN ('active', 'failed') AND m.ends_at IS NOT NULL AND m.ends_at <= NOW()
+      AND EXISTS (SELECT 1 FROM markdown_items mi WHERE mi.markdown_id = m.id AND mi.status = 'applied')
+    ORDER BY m.id
+  `);
+  let reverted = 0;
+  for (const row of result.rows) {
+    console.log(`Markdown ${row.id} has ended, reverting...`);
+    if (await startMarkdownRevert(row.id, 'scheduler')) reverted++;
+  }
+  return { reverted };
+}
+
+// Helper: Sell-through for every applied markdown line. "Before" is a window of the same length
+// as the markdown has run (applied -> reverted, or now) ending when it was applied, so before and
+// after unit counts compare directly.
+async function getMarkdownSellThroughLines(markdownId = null) {
+  const result = await pool.query(`
+    WITH lines AS (
+      SELECT mi.id, mi.markdown_id, mi.item_id, mi.item_name, mi.category, mi.vendor,
+             mi.qty_on_hand, mi.unit_cost, mi.original_price, mi.new_price, mi.applied_at,
+             COALESCE(mi.reverted_at, m.reverted_at, NOW()) AS ended_at
+      FROM markdown_items mi
+      JOIN markdowns m ON m.id = mi.markdown_id
+      WHERE mi.applied_at IS NOT NULL
+        AND ($1::int IS NULL OR mi.markdown_id = $1)
+    ),
+    sales AS (
+      SELECT l.id AS line_id, st.transaction_date, st.quantity, st.total_amount,
+             st.transaction_date >= l.applied_at AS after_markdown
+      FROM lines l
+      JOIN sales_transactions st ON st.item_id = l.item_id
+       AND st.transaction_date >= l.applied_at - (l.ended_at - l.applied_at)
+       AND st.transaction_date < l.ended_at
+    ),
+    running AS (
+      SELECT line_id, transaction_date,
+             SUM(quantity) OVER (PARTITION BY line_id ORDER BY transaction_date ROWS UNBOUNDED PRECEDING) AS units_to_date
+      FROM sales
+      WHERE after_markdown
+    ),
+    totals AS (
+      SELECT line_id,
+             SUM(quantity) FILTER (WHERE NOT after_markdown) AS units_before,
+             SUM(quantity) FILTER (WHERE after_markdown) AS units_after,
+             SUM(total_amount) FILTER (WHERE after_markdown) AS revenue_after
+      FROM sales
+      GROUP BY line_id
+    )
+    SELECT l.*,
+           COALESCE(t.units_before, 0) AS units_before,
+           COALESCE(t.units_after, 0) AS units_after,
+           COALESCE(t.revenue_after, 0) AS revenue_after,
+           (SELECT MIN(r.transaction_date) FROM running r
+             WHERE r.line_id = l.id AND l.qty_on_hand > 0 AND r.units_to_date >= l.qty_on_hand) AS cleared_at
+    FROM lines l
+    LEFT JOIN totals t ON t.line_id = l.id
+    ORDER BY l.markdown_id, l.id
+  `, [markdownId]);
+  
+  return result.rows.map(row => {
+    const unitsAfter = parseInt(row.units_after);
+    const originalPrice = parseFloat(row.original_price) || 0;
+    const newPrice = parseFloat(row.new_price) || 0;
+    return {
+      markdownId: row.markdown_id,
+      itemId: row.item_id,
+      name: row.item_name,
+      category: row.category || 'Uncategorized',
+      vendor: row.vendor || 'Unknown',
+      qtyAtMarkdown: row.qty_on_hand || 0,
+      originalPrice,
+      newPrice,
+      appliedAt: row.applied_at,
+      endedAt: row.ended_at,
+      unitsBefore: parseInt(row.units_before),
+      unitsAfter,
+      daysToClear: row.cleared_at
+        ? Math.max(0, Math.ceil((new Date(row.cleared_at) - new Date(row.applied_at)) / 86400000))
+        : null,
+      marginGivenUp: Math.round(unitsAfter * (originalPrice - newPrice) * 100) / 100,
+      recoveredCash: Math.round(parseFloat(row.revenue_after) * 100) / 100,
+    };
+  });
+}
+
+// Helper: Add up sell-through lines (a markdown, a vendor, a category...)
+function summarizeSellThrough(lines) {
+  const totals = lines.reduce((sum, line) => ({
+    items: sum.items + 1,
+    qtyAtMarkdown: sum.qtyAtMarkdown + line.qtyAtMarkdown,
+    unitsBefore: sum.unitsBefore + line.unitsBefore,
+    unitsAfter: sum.unitsAfter + line.unitsAfter,
+    marginGivenUp: sum.marginGivenUp + line.marginGivenUp,
+    recoveredCash: sum.recoveredCash + line.recoveredCash,
+  }), { items: 0, qtyAtMarkdown: 0, unitsBefore: 0, unitsAfter: 0, marginGivenUp: 0, recoveredCash: 0 });
+  
+  const cleared = lines.filter(line => line.daysToClear !== null);
+  return {
+    ...totals,
+    marginGivenUp: Math.round(totals.marginGivenUp * 100) / 100,
+    recoveredCash: Math.round(totals.recoveredCash * 100) / 100,
+    sellThroughPct: totals.qtyAtMarkdown > 0
+      ? Math.round(Math.min(totals.unitsAfter / totals.qtyAtMarkdown, 1) * 1000) / 10
+      : null,
+    itemsCleared: cleared.length,
+    avgDaysToClear: cleared.length > 0
+      ? Math.round(cleared.reduce((sum, line) => sum + line.daysToClear, 0) / cleared.length)
+      : null,
+  };
+}
+
+// Helper: Group lines by key and summarize each group, split by markdown % so the first cut
+// that works for a vendor/category is visible
+function rollupSellThrough(lines, keyOf, pctByMarkdown) {
+  const groups = new Map();
+  for (const line of lines) {
+    const key = keyOf(line);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(line);
+  }
+  
+  return [...groups.entries()].map(([name, groupLines]) => {
+    const byPct = new Map();
+    for (const line of groupLines) {
+      const pct = pctByMarkdown.get(line.markdownId);
+      if (!byPct.has(pct)) byPct.set(pct, []);
+      byPct.get(pct).push(line);
+    }
+    return {
+      name,
+      ...summarizeSellThrough(groupLines),
+      byPct: [...byPct.entries()]
+        .sort((a, b) => a[0] - b[0])
+        .map(([pct, pctLines]) => ({ pct, ...summarizeSellThrough(pctLines) })),
+    };
+  }).sort((a, b) => b.recoveredCash - a.recoveredCash);
+}
+
+// Sell-through report: per markdown event, rolled up by vendor and category
+async function buildSellThroughReport() {
+  const markdownsResult = await pool.query(`
+    SELECT id, name, markdown_pct, status, applied_at, reverted_at
+    FROM markdowns
+    WHERE applied_at IS NOT NULL
+    ORDER BY applied_at DESC
+  `);
+  const lines = await getMarkdownSellThroughLines();
+  const pctByMarkdown = new Map(markdownsResult.rows.map(row => [row.id, parseFloat(row.markdown_pct)]));
+  
+  return {
+    markdowns: markdownsResult.rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      pct: parseFloat(row.markdown_pct),
+      status: row.status,
+      appliedAt: row.applied_at,
+      revertedAt: row.reverted_at,
+      ...summarizeSellThrough(lines.filter(line => line.markdownId === row.id)),
+    })),
+    byVendor: rollupSellThrough(lines, line => line.vendor, pctByMarkdown),
+    byCategory: rollupSellThrough(lines, line => line.category, pctByMarkdown),
+    totals: summarizeSellThrough(lines),
+  };
+}
+
+// Helper: Validate { itemIds, pct } from a request (returns an error message or null)
+function markdownRequestError({ itemIds, pct }) {
+  if (!Array.isArray(itemIds) || itemIds.length === 0) return 'itemIds must be a non-empty array';
+  if (!(Number(pct) > 0 && Number(pct) <= MARKDOWN_MAX_PCT)) return `pct must be between 1 and ${MARKDOWN_MAX_PCT}`;
+  return null;
+}
+
+// Preview new prices and margin impact (nothing is changed)
+app.post('/api/markdowns/preview', async (req, res) => {
+  try {
+    const validationError = markdownRequestError(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    res.json(await buildMarkdownPreview(req.body.itemIds, Number(req.body.pct)));
+  } catch (error) {
+    console.error('Error previewing markdown:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Approve a markdown: record it in the ledger and push the new prices to Heartland in the background
+app.post('/api/markdowns', async (req, res) => {
+  try {
+    const validationError = markdownRequestError(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    const pct = Number(req.body.pct);
+    const endsAt = req.body.endsAt ? new Date(req.body.endsAt) : null;
+    if (endsAt && (Number.isNaN(endsAt.getTime()) || endsAt <= new Date())) {
+      return res.status(400).json({ error: 'endsAt must be a date in the future' });
+    }
+    
+    const preview = await buildMarkdownPreview(req.body.itemIds, pct);
+    const conflicts = preview.items.filter(item => item.problem);
+    if (conflicts.length > 0) {
+      return res.status(409).json({
+        error: `${conflicts.length} items can't be marked down`,
+        items: conflicts.map(item => ({ itemId: item.itemId, name: item.name, problem: item.problem })),
+      });
+    }
+    
+    // Save the markdown holding a lock per item, re-checking for active markdowns under the locks,
+    // so two markdowns approved at once can't both mark the same item down
+    const itemIds = preview.items.map(item => item.itemId).sort();
+    let markdownId;
+    let alreadyMarkedDown = [];
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      for (const itemId of itemIds) {
+        await client.query(`SELECT pg_advisory_xact_lock(hashtext('markdown_items:' || $1))`, [itemId]);
+      }
+      
+      const activeLines = await getActiveMarkdownLines(itemIds, client);
+      alreadyMarkedDown = preview.items.filter(item => activeLines.has(item.itemId));
+      if (alreadyMarkedDown.length === 0) {
+        const markdownResult = await client.query(`
+          INSERT INTO markdowns (name, markdown_pct, status, ends_at, created_by)
+          VALUES ($1, $2, 'applying', $3, $4)
+          RETURNING id
+        `, [req.body.name?.trim() || `${pct}% off`, pct, endsAt, req.username]);
+        markdownId = markdownResult.rows[0].id;
+        
+        for (const item of preview.items) {
+          await client.query(`
+            INSERT INTO markdown_items (markdown_id, item_id, item_name, category, vendor, qty_on_hand, unit_cost, original_price, new_price)
+            VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+          `, [markdownId, item.itemId, item.name, item.category, item.vendor, item.qtyOnHand, item.unitCost, item.currentPrice, item.newPrice]);
         }
       }
+      
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK').catch(() => {});
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    if (alreadyMarkedDown.length > 0) {
+      return res.status(409).json({
+        error: `${alreadyMarkedDown.length} items can't be marked down`,
+        items: alreadyMarkedDown.map(item => ({ itemId: item.itemId, name: item.name, problem: 'Already marked down' })),
+      });
+    }
+    
+    runMarkdownJob(markdownId).catch(err => {
+      console.error(`Markdown ${markdownId} failed:`, err);
+    });
+    
+    res.json(await getMarkdownSummary(markdownId));
+  } catch (error) {
+    console.error('Error creating markdown:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Markdown ledger, newest first
+app.get('/api/markdowns', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      SELECT m.*,
+             COUNT(mi.id) AS item_count,
+             COUNT(mi.id) FILTER (WHERE mi.status = 'applied') AS applied_count,
+             COALESCE(SUM(mi.qty_on_hand * (mi.original_price - mi.new_price)) FILTER (WHERE mi.status = 'applied'), 0) AS markdown_dollars
+      FROM markdowns m
+      LEFT JOIN markdown_items mi ON mi.markdown_id = m.id
+      GROUP BY m.id
+      ORDER BY m.created_at DESC
+      LIMIT 50
+    `);
+    
+    res.json(result.rows.map(row => ({
+      id: row.id,
+      name: row.name,
+      pct: parseFloat(row.markdown_pct),
+      status: row.status,
+      endsAt: row.ends_at,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      revertedAt: row.reverted_at,
+      itemCount: parseInt(row.item_count),
+      appliedCount: parseInt(row.applied_count),
+      markdownDollars: Math.round(parseFloat(row.markdown_dollars) * 100) / 100,
+    })));
+  } catch (error) {
+    console.error('Error fetching markdowns:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sell-through after markdowns: units before/after, days to clear, margin given up, recovered cash
+app.get('/api/markdowns/sell-through', async (req, res) => {
+  try {
+    res.json(await buildSellThroughReport());
+  } catch (error) {
+    console.error('Error building sell-through report:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Sell-through for one markdown, item by item
+app.get('/api/markdowns/:id/sell-through', async (req, res) => {
+  try {
+    const markdownId = parseIdParam(req.params.id);
+    if (!markdownId) {
+      return res.status(400).json({ error: 'Invalid markdown ID' });
+    }
+    
+    const summary = await getMarkdownSummary(markdownId);
+    if (!summary) {
+      return res.status(404).json({ error: 'Markdown not found' });
+    }
+    
+    const lines = await getMarkdownSellThroughLines(markdownId);
+    res.json({
+      id: summary.id,
+      name: summary.name,
+      pct: summary.pct,
+      status: summary.status,
+      appliedAt: summary.appliedAt,
+      revertedAt: summary.revertedAt,
+      ...summarizeSellThrough(lines),
+      items: lines,
+    });
+  } catch (error) {
+    console.error('Error fetching markdown sell-through:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// One markdown with every ledger line
+app.get('/api/markdowns/:id', async (req, res) => {
+  try {
+    const markdownId = parseIdParam(req.params.id);
+    if (!markdownId) {
+      return res.status(400).json({ error: 'Invalid markdown ID' });
+    }
+    
+    const summary = await getMarkdownSummary(markdownId);
+    if (!summary) {
+      return res.status(404).json({ error: 'Markdown not found' });
+    }
+    res.json(summary);
+  } catch (error) {
+    console.error('Error fetching markdown:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// End a sale: put every applied item back to its original price
+app.post('/api/markdowns/:id/revert', async (req, res) => {
+  try {
+    const markdownId = parseIdParam(req.params.id);
+    if (!markdownId) {
+      return res.status(400).json({ error: 'Invalid markdown ID' });
+    }
+    
+    const started = await startMarkdownRevert(markdownId, req.username);
+    if (!started) {
+      const summary = await getMarkdownSummary(markdownId);
+      if (!summary) {
+        return res.status(404).json({ error: 'Markdown not found' });
+      }
+      return res.status(409).json({ error: `Markdown is ${summary.status} and can't be reverted` });
+    }
+    
+    res.json(await getMarkdownSummary(markdownId));
+  } catch (error) {
+    console.error('Error reverting markdown:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// ============================================================
+// NIGHTLY SYNC SYSTEM - Sales, Customers, and Analytics
+// ============================================================
+
+// Sync secret key for cron job authentication
+const SYNC_SECRET = process.env.SYNC_SECRET || 'boutiqueflow-sync-2024';
+
+// Helper: Create sync log entry
+async function createSyncLog(syncType, options = {}) {
+  const result = await pool.query(
+    `INSERT INTO sync_log (sync_type, status, options) VALUES ($1, 'running', $2) RETURNING id`,
+    [syncType, JSON.stringify(options)]
+  );
+  return result.rows[0].id;
+}
+
+// Helper: Update sync log
+async function updateSyncLog(logId, status, recordsProcessed, errorMessage = null) {
+  await pool.query(
+    `UPDATE sync_log 
+     SET status = $1, records_processed = $2, error_message = $3, 
+         completed_at = CURRENT_TIMESTAMP,
+         duration_seconds = EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at))::INTEGER
+     WHERE id = $4`,
+    [status, recordsProcessed, errorMessage, logId]
+  );
+}
+
+// Sync cursors: each entity's watermark is the start time of its last successful pull.
+// Reads step back SYNC_WATERMARK_OVERLAP_MINUTES so records written while that pull was
+// running are picked up again (every sync write is an upsert, so repeats are harmless).
+const SYNC_WATERMARK_OVERLAP_MINUTES = parseInt(process.env.SYNC_WATERMARK_OVERLAP_MINUTES) || 60;
+
+// Helper: Watermark to pull an entity from, or null to pull everything
+async function getSyncWatermark(entity, fullResync = false) {
+  if (fullResync) return null;
+  
+  const result = await pool.query(`SELECT watermark FROM sync_cursors WHERE entity = $1`, [entity]);
+  if (result.rows.length === 0) return null;
+  
+  return new Date(result.rows[0].watermark.getTime() - SYNC_WATERMARK_OVERLAP_MINUTES * 60 * 1000);
+}
+
+// Helper: Move an entity's watermark forward once its records are safely stored
+async function advanceSyncCursor(entity, runStartedAt, recordsSynced, fullResync = false) {
+  await pool.query(`
+    INSERT INTO sync_cursors (entity, watermark, records_synced, full_resync, updated_at)
+    VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+    ON CONFLICT (entity)
+    DO UPDATE SET
+      watermark = GREATEST(sync_cursors.watermark, EXCLUDED.watermark),
+      records_synced = EXCLUDED.records_synced,
+      full_resync = EXCLUDED.full_resync,
+      updated_at = CURRENT_TIMESTAMP
+  `, [entity, runStartedAt, recordsSynced, fullResync]);
+}
+
+// Helper: Add a Heartland `_filter[field][$gte]` for a watermark (no filter when there isn't one)
+function withSyncFilter(endpoint, field, watermark) {
+  if (!watermark) return endpoint;
+  const separator = endpoint.includes('?') ? '&' : '?';
+  return `${endpoint}${separator}_filter[${field}][$gte]=${encodeURIComponent(watermark.toISOString())}`;
+}
+
+// Helper: Fetch all pages from Heartland API
+async function fetchAllPages(endpoint, maxPages = 50, options = {}) {
+  return heartland.fetchAllPages(endpoint, maxPages, options);
+}
+
+// MAIN NIGHTLY SYNC - Fetches sales transactions and builds customer profiles
+app.post('/api/sync/nightly', async (req, res) => {
+  // Verify sync secret (for cron job security)
+  const providedKey = req.query.key || req.body.key;
+  if (providedKey !== SYNC_SECRET) {
+    return res.status(401).json({ error: 'Invalid sync key' });
+  }
+  
+  // ?full=true re-pulls everything instead of only what changed since the sync cursors
+  const fullResync = req.query.full === 'true' || req.body.full === true;
+  await startSyncInBackground(res, { fullResync, label: 'Nightly' });
+});
+
+// Helper: Start a sync run and return immediately (409 if one is already running)
+async function startSyncInBackground(res, { fullResync, label }) {
+  try {
+    const logId = await createSyncRun({ fullResync });
+    
+    // Don't wait for sync to complete - return immediately
+    res.json({ message: `${label} sync started`, status: 'running', runId: logId, mode: fullResync ? 'full' : 'incremental' });
+    
+    // Run sync in background
+    runSyncPipeline(logId).catch(err => {
+      console.error(`${label} sync failed:`, err);
+    });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ error: error.message, status: 'already_running', runId: error.runId });
+    }
+    console.error(`Error starting ${label.toLowerCase()} sync:`, error);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// ==================== NIGHTLY SYNC PIPELINE ====================
+// A sync run (one sync_log row) is a pipeline of named steps, each with its own sync_steps
+// row holding status, record count and error. A step starts once every step it depends on
+// has completed; when one fails, its dependents are marked blocked and independent steps
+// still run. A failed step can be retried on its own, and runs interrupted by a restart
+// resume from whatever hadn't finished.
+// Only one run can be active at a time (enforced by a unique index on running sync_log rows),
+// and only the instance holding the run's lease works it.
+// A run can be cancelled: the current step is aborted and the rest are marked cancelled.
+// Steps report progress ("Fetched 400/2100 ticket times") into sync_steps.progress, which
+// /api/sync/progress streams to the browser.
+
+const SYNC_STEPS = [
+  { name: 'items', dependsOn: [], run: syncItemsStep },
+  { name: 'sales', dependsOn: ['items'], run: syncSalesStep },
+  { name: 'tickets', dependsOn: ['sales'], run: syncTicketsStep },
+  { name: 'customers', dependsOn: ['sales'], run: syncCustomersStep },
+  { name: 'salesiq', dependsOn: ['tickets'], run: aggregateSalesIQStep },
+  { name: 'receipts', dependsOn: ['items'], run: syncReceiptsStep },
+  { name: 'receipt_cache', dependsOn: ['items'], run: syncReceiptCacheStep },
+  { name: 'inventoryiq', dependsOn: ['sales', 'receipts'], run: calculateInventoryIQStep },
+  { name: 'inventory_history', dependsOn: ['items'], run: snapshotInventoryStep },
+];
+
+// Sync runs executing in this process, by sync_log id, with the controller that cancels them
+const activeSyncRuns = new Map();
+
+// How often a step's progress is written to sync_steps (each write also checks for a cancel)
+const SYNC_PROGRESS_INTERVAL_MS = 2000;
+
+// Helper: Error for a sync that can't start because another run holds the lock
+function syncAlreadyRunningError(runId) {
+  const error = new Error(`A sync is already running (run ${runId})`);
+  error.status = 409;
+  error.runId = runId;
+  return error;
+}
+
+// Helper: Error thrown inside a step once its run has been cancelled
+function syncCancelledError() {
+  const error = new Error('Sync cancelled');
+  error.name = 'AbortError';
+  return error;
+}
+
+// Start a nightly sync (can be called from endpoint or worker).
+// Incremental by default: each entity is pulled from its sync cursor. fullResync ignores the
+// cursors and re-pulls the past year, then resets them.
+async function runNightlySync({ fullResync = false } = {}) {
+  const logId = await createSyncRun({ fullResync });
+  return runSyncPipeline(logId);
+}
+
+// Helper: Create a sync run with a pending row for every pipeline step.
+// startedAt is kept in options so a resumed run advances cursors from the original start.
+async function createSyncRun({ fullResync = false } = {}) {
+  const running = await pool.query(`SELECT id FROM sync_log WHERE status = 'running' LIMIT 1`);
+  if (running.rows.length > 0) {
+    throw syncAlreadyRunningError(running.rows[0].id);
+  }
+  
+  let logId;
+  try {
+    logId = await createSyncLog(fullResync ? 'nightly_full' : 'nightly_incremental', {
+      fullResync,
+      startedAt: new Date().toISOString(),
+    });
+  } catch (error) {
+    // Lost a race with another request; the unique index let only one through
+    if (error.code === '23505') {
+      const winner = await pool.query(`SELECT id FROM sync_log WHERE status = 'running' LIMIT 1`);
+      throw syncAlreadyRunningError(winner.rows[0]?.id ?? null);
+    }
+    throw error;
+  }
+  
+  for (const step of SYNC_STEPS) {
+    await pool.query(
+      `INSERT INTO sync_steps (sync_log_id, step, depends_on) VALUES ($1, $2, $3)`,
+      [logId, step.name, JSON.stringify(step.dependsOn)]
+    );
+  }
+  
+  return logId;
+}
+
+// Run (or resume) a sync run, one ready step at a time
+async function runSyncPipeline(logId) {
+  if (activeSyncRuns.has(logId)) return null;
+  const controller = new AbortController();
+  activeSyncRuns.set(logId, controller);
+  const startTime = Date.now();
+  let lease = null;
+  let leaseLost = false;
+  const loseLease = () => {
+    if (leaseLost) return;
+    console.error(`Lost the lease on sync run ${logId}, stopping`);
+    leaseLost = true;
+    controller.abort();
+  };
+  
+  try {
+    lease = await holdRunLease('sync_log', logId, loseLease);
+    if (!lease) {
+      console.log(`Sync run ${logId} is being worked by another instance`);
+      return null;
     }
     
-    console.log(`Inserted/updated ${transactionCount} transactions`);
-    totalRecords += transactionCount;
+    const logResult = await pool.query('SELECT options FROM sync_log WHERE id = $1', [logId]);
+    const options = logResult.rows[0]?.options || {};
+    const fullResync = options.fullResync === true;
+    const runStartedAt = options.startedAt ? new Date(options.startedAt) : new Date();
     
-    // ========== STEP 4: Build Customer Profiles ==========
-    console.log('Step 4: Building customer profiles...');
+    await pool.query(
+      `UPDATE sync_log SET status = 'running', completed_at = NULL, error_message = NULL WHERE id = $1`,
+      [logId]
+    );
+    // Steps a crash left 'running' start over
+    await pool.query(
+      `UPDATE sync_steps SET status = 'pending' WHERE sync_log_id = $1 AND status = 'running'`,
+      [logId]
+    );
     
-    // Get all customers from Heartland
-    const heartlandCustomers = await fetchAllPages('/customers');
-    console.log(`Found ${heartlandCustomers.length} customers in Heartland`);
+    console.log(`========== NIGHTLY SYNC ${logId} STARTED (${fullResync ? 'full resync' : 'incremental'}) ==========`);
     
-    // Process each customer with aggregated purchase data
-    let customerCount = 0;
-    for (const cust of heartlandCustomers) {
-      if (!cust.id) continue;
-      
-      // Get aggregated stats from our transactions
-      const statsResult = await pool.query(`
-        SELECT 
-          COUNT(DISTINCT DATE(transaction_date)) as total_purchases,
-          SUM(total_amount) as lifetime_value,
-          AVG(total_amount) as avg_purchase,
-          MIN(transaction_date) as first_purchase,
-          MAX(transaction_date) as last_purchase
-        FROM sales_transactions
-        WHERE customer_id = $1
-      `, [cust.id.toString()]);
-      
-      const stats = statsResult.rows[0];
+    for (;;) {
+      // Renew the lease between steps (a timer renews it during long ones)
+      if (!await lease.renew()) loseLease();
       
-      // Get preferred brands (top 5)
-      const brandsResult = await pool.query(`
-        SELECT brand, COUNT(*) as cnt
-        FROM sales_transactions
-        WHERE customer_id = $1 AND brand IS NOT NULL AND brand != ''
-        GROUP BY brand
-        ORDER BY cnt DESC
-        LIMIT 5
-      `, [cust.id.toString()]);
+      // A cancel may have been requested through another instance
+      const cancelResult = await pool.query('SELECT cancel_requested FROM sync_log WHERE id = $1', [logId]);
+      if (cancelResult.rows[0]?.cancel_requested) controller.abort();
+      if (controller.signal.aborted) break;
       
-      // Get sizes purchased
-      const sizesResult = await pool.query(`
-        SELECT DISTINCT item_size
-        FROM sales_transactions
-        WHERE customer_id = $1 AND item_size IS NOT NULL AND item_size != ''
-      `, [cust.id.toString()]);
+      const stepsResult = await pool.query(
+        'SELECT step, status, output FROM sync_steps WHERE sync_log_id = $1',
+        [logId]
+      );
+      const steps = new Map(stepsResult.rows.map(row => [row.step, row]));
       
-      // Get preferred categories (top 5)
-      const categoriesResult = await pool.query(`
-        SELECT category, COUNT(*) as cnt
-        FROM sales_transactions
-        WHERE customer_id = $1 AND category IS NOT NULL AND category != 'Uncategorized'
-        GROUP BY category
-        ORDER BY cnt DESC
-        LIMIT 5
-      `, [cust.id.toString()]);
+      const next = SYNC_STEPS.find(step =>
+        steps.get(step.name)?.status === 'pending' &&
+        step.dependsOn.every(dep => steps.get(dep)?.status === 'completed')
+      );
+      if (!next) break;
       
-      // Upsert customer profile
+      const outputs = Object.fromEntries(next.dependsOn.map(dep => [dep, steps.get(dep).output || {}]));
+      await runSyncStep(logId, next, {
+        fullResync,
+        runStartedAt,
+        outputs,
+        signal: controller.signal,
+        leaseLost: () => leaseLost,
+        progress: createStepProgress(logId, next.name, controller),
+      });
+    }
+    
+    // The run is someone else's now; leave its rows to them
+    if (leaseLost) return null;
+    
+    const cancelled = controller.signal.aborted;
+    if (cancelled) {
       await pool.query(`
-        INSERT INTO customers 
-          (heartland_customer_id, first_name, last_name, email, phone,
-           total_purchases, lifetime_value, first_purchase_date, last_purchase_date,
-           avg_purchase_value, preferred_brands, preferred_sizes, preferred_categories)
-        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
-        ON CONFLICT (heartland_customer_id)
-        DO UPDATE SET
-          first_name = EXCLUDED.first_name,
-          last_name = EXCLUDED.last_name,
-          email = EXCLUDED.email,
-          phone = EXCLUDED.phone,
-          total_purchases = EXCLUDED.total_purchases,
-          lifetime_value = EXCLUDED.lifetime_value,
-          first_purchase_date = EXCLUDED.first_purchase_date,
-          last_purchase_date = EXCLUDED.last_purchase_date,
-          avg_purchase_value = EXCLUDED.avg_purchase_value,
-          preferred_brands = EXCLUDED.preferred_brands,
-          preferred_sizes = EXCLUDED.preferred_sizes,
-          preferred_categories = EXCLUDED.preferred_categories,
-          updated_at = CURRENT_TIMESTAMP
-      `, [
-        cust.id.toString(),
-        cust.first_name || '',
-        cust.last_name || '',
-        cust.email || cust.emails?.[0]?.address || null,
-        cust.phone_number || cust.phone || cust.phones?.[0]?.number || null,
-        parseInt(stats.total_purchases) || 0,
-        parseFloat(stats.lifetime_value) || 0,
-        stats.first_purchase || null,
-        stats.last_purchase || null,
-        parseFloat(stats.avg_purchase) || 0,
-        JSON.stringify(brandsResult.rows.map(r => r.brand)),
-        JSON.stringify(sizesResult.rows.map(r => r.item_size)),
-        JSON.stringify(categoriesResult.rows.map(r => r.category))
-      ]);
-      
-      customerCount++;
-      if (customerCount % 100 === 0) {
-        console.log(`Processed ${customerCount}/${heartlandCustomers.length} customers...`);
-      }
+        UPDATE sync_steps SET status = 'cancelled', completed_at = COALESCE(completed_at, CURRENT_TIMESTAMP)
+        WHERE sync_log_id = $1 AND status IN ('pending', 'running')
+      `, [logId]);
+    } else {
+      // Whatever is still pending is waiting on a step that failed
+      await pool.query(
+        `UPDATE sync_steps SET status = 'blocked' WHERE sync_log_id = $1 AND status = 'pending'`,
+        [logId]
+      );
     }
     
-    console.log(`Updated ${customerCount} customer profiles`);
-    totalRecords += customerCount;
+    const summaryResult = await pool.query(`
+      SELECT
+        COALESCE(SUM(records_processed), 0) AS records,
+        COUNT(*) FILTER (WHERE status != 'completed') AS unfinished,
+        STRING_AGG(step || ': ' || error_message, '; ') FILTER (WHERE status = 'failed') AS errors
+      FROM sync_steps
+      WHERE sync_log_id = $1
+    `, [logId]);
+    const summary = summaryResult.rows[0];
+    const totalRecords = parseInt(summary.records) || 0;
+    const status = cancelled ? 'cancelled' : parseInt(summary.unfinished) > 0 ? 'failed' : 'completed';
+    
+    await updateSyncLog(logId, status, totalRecords, summary.errors);
+    await pool.query('UPDATE sync_log SET cancel_requested = false WHERE id = $1', [logId]);
     
-    // ========== STEP 5: Aggregate SalesIQ Data ==========
-    console.log('Step 4: Aggregating SalesIQ data...');
+    const duration = Math.round((Date.now() - startTime) / 1000);
+    console.log(`========== NIGHTLY SYNC ${logId} ${status.toUpperCase()} in ${duration}s ==========`);
+    console.log(`Total records processed: ${totalRecords}`);
     
-    // Sales by day of week
-    const dayOfWeekResult = await pool.query(`
-      SELECT 
-        day_of_week,
-        COUNT(DISTINCT heartland_ticket_id) as transactions,
-        SUM(total_amount) as revenue
-      FROM sales_transactions
-      WHERE transaction_date >= NOW() - INTERVAL '90 days'
-      GROUP BY day_of_week
-      ORDER BY day_of_week
-    `);
+    return { success: status === 'completed', duration, totalRecords };
+  } catch (error) {
+    console.error('Nightly sync error:', error);
+    if (!leaseLost) {
+      await updateSyncLog(logId, 'failed', 0, error.message).catch(() => {});
+    }
+    throw error;
+  } finally {
+    activeSyncRuns.delete(logId);
+    if (lease) await lease.release();
+  }
+}
+
+// Helper: Progress reporter handed to a step as context.progress(message, done, total).
+// Writes are throttled and not awaited, so steps can call it on every record; once the run is
+// cancelled it throws, which stops the step's loop.
+function createStepProgress(logId, stepName, controller) {
+  let lastWrite = 0;
+  
+  return (message, done = null, total = null) => {
+    if (controller.signal.aborted) throw syncCancelledError();
+    
+    const now = Date.now();
+    if (now - lastWrite < SYNC_PROGRESS_INTERVAL_MS) return;
+    lastWrite = now;
+    
+    pool.query(`
+      UPDATE sync_steps
+      SET progress = $1
+      FROM sync_log
+      WHERE sync_log.id = sync_steps.sync_log_id AND sync_steps.sync_log_id = $2 AND sync_steps.step = $3
+      RETURNING sync_log.cancel_requested
+    `, [JSON.stringify({ message, done, total, at: new Date(now).toISOString() }), logId, stepName])
+      .then(result => {
+        if (result.rows[0]?.cancel_requested) controller.abort();
+      })
+      .catch(err => console.error(`Error saving progress for sync step "${stepName}":`, err.message));
+  };
+}
+
+// Helper: Run one pipeline step and record its outcome. A step returns { records, output, warning };
+// output is handed to the steps that depend on it, warning is kept as a note on a completed step.
+async function runSyncStep(logId, step, context) {
+  console.log(`Sync step "${step.name}" started...`);
+  await pool.query(`
+    UPDATE sync_steps
+    SET status = 'running', attempts = attempts + 1, error_message = NULL, progress = NULL,
+        started_at = CURRENT_TIMESTAMP, completed_at = NULL
+    WHERE sync_log_id = $1 AND step = $2
+  `, [logId, step.name]);
+  
+  try {
+    const { records = 0, output = null, warning = null } = await step.run(context);
+    // Steps that swallow per-record errors can return normally after an abort
+    if (context.signal.aborted) throw syncCancelledError();
     
-    // Sales by hour
-    const hourlyResult = await pool.query(`
-      SELECT 
-        hour_of_day,
-        AVG(total_amount) as avg_sale,
-        COUNT(*) as transaction_count
-      FROM sales_transactions
-      WHERE transaction_date >= NOW() - INTERVAL '90 days'
-      GROUP BY hour_of_day
-      ORDER BY hour_of_day
-    `);
+    await pool.query(`
+      UPDATE sync_steps
+      SET status = 'completed', records_processed = $1, output = $2, error_message = $3,
+          completed_at = CURRENT_TIMESTAMP,
+          duration_seconds = EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at))::INTEGER
+      WHERE sync_log_id = $4 AND step = $5
+    `, [records, output ? JSON.stringify(output) : null, warning, logId, step.name]);
+    
+    console.log(`Sync step "${step.name}" completed (${records} records)`);
+  } catch (error) {
+    // Another instance took the run over and owns this step's row now
+    if (context.leaseLost?.()) return;
     
-    // Day/Hour heatmap
-    const heatmapResult = await pool.query(`
-      SELECT 
-        day_of_week,
-        hour_of_day,
-        SUM(total_amount) as revenue
-      FROM sales_transactions
-      WHERE transaction_date >= NOW() - INTERVAL '90 days'
-      GROUP BY day_of_week, hour_of_day
-      ORDER BY day_of_week, hour_of_day
+    const cancelled = context.signal.aborted;
+    if (cancelled) {
+      console.log(`Sync step "${step.name}" cancelled`);
+    } else {
+      console.error(`Sync step "${step.name}" failed:`, error);
+    }
+    await pool.query(`
+      UPDATE sync_steps
+      SET status = $4, error_message = $1,
+          completed_at = CURRENT_TIMESTAMP,
+          duration_seconds = EXTRACT(EPOCH FROM (CURRENT_TIMESTAMP - started_at))::INTEGER
+      WHERE sync_log_id = $2 AND step = $3
+    `, [cancelled ? 'Cancelled' : error.message, logId, step.name, cancelled ? 'cancelled' : 'failed']);
+  }
+}
+
+// Resume sync runs a restart interrupted (runs from before the pipeline have no steps and are closed out).
+// Runs another instance still holds a lease on are left alone; runSyncPipeline claims the rest.
+async function resumeSyncRuns() {
+  try {
+    await pool.query(`
+      UPDATE sync_log
+      SET status = 'failed', error_message = 'Interrupted by a restart', completed_at = CURRENT_TIMESTAMP
+      WHERE status = 'running' AND ${RUN_LEASE_EXPIRED}
+        AND NOT EXISTS (SELECT 1 FROM sync_steps WHERE sync_steps.sync_log_id = sync_log.id)
     `);
     
-    // Category performance
-    const categoryResult = await pool.query(`
-      SELECT 
-        category,
-        SUM(total_amount) as revenue,
-        COUNT(*) as transactions
-      FROM sales_transactions
-      WHERE transaction_date >= NOW() - INTERVAL '90 days'
-        AND category != 'Uncategorized'
-      GROUP BY category
-      ORDER BY revenue DESC
-      LIMIT 10
-    `);
+    const result = await pool.query(
+      `SELECT id FROM sync_log WHERE status = 'running' AND ${RUN_LEASE_EXPIRED} ORDER BY id`
+    );
+    for (const row of result.rows) {
+      console.log(`Resuming sync run ${row.id}...`);
+      runSyncPipeline(row.id).catch(err => {
+        console.error(`Resumed sync run ${row.id} failed:`, err);
+      });
+    }
+  } catch (error) {
+    console.error('Error resuming sync runs:', error);
+  }
+}
+
+// Helper: Sync runs with their steps, newest first
+async function getSyncRuns({ id = null, limit = 10 } = {}) {
+  const runsResult = id
+    ? await pool.query('SELECT * FROM sync_log WHERE id = $1', [id])
+    : await pool.query('SELECT * FROM sync_log ORDER BY started_at DESC LIMIT $1', [limit]);
+  
+  const stepsResult = await pool.query(`
+    SELECT sync_log_id, step, status, depends_on, records_processed, error_message, attempts,
+           progress, started_at, completed_at, duration_seconds
+    FROM sync_steps
+    WHERE sync_log_id = ANY($1)
+  `, [runsResult.rows.map(run => run.id)]);
+  
+  // Steps listed in pipeline order
+  const stepOrder = SYNC_STEPS.map(step => step.name);
+  return runsResult.rows.map(run => ({
+    ...run,
+    steps: stepsResult.rows
+      .filter(step => step.sync_log_id === run.id)
+      .sort((a, b) => stepOrder.indexOf(a.step) - stepOrder.indexOf(b.step)),
+  }));
+}
+
+// Sync step: Refresh the item/vendor mirror so later steps read item details locally
+async function syncItemsStep({ fullResync, runStartedAt, progress = () => {} }) {
+  progress('Refreshing item and vendor mirror');
+  const mirrored = await syncHeartlandMirror({ fullResync, runStartedAt });
+  console.log(`Mirrored ${mirrored.items} changed items and ${mirrored.vendors} changed vendors`);
+  return { records: mirrored.items + mirrored.vendors };
+}
+
+// Sync step: Pull sales from the reporting API into sales_transactions
+async function syncSalesStep({ fullResync, runStartedAt, signal, progress = () => {} }) {
+  const oneYearAgo = new Date(Date.now() - 365*24*60*60*1000).toISOString().split('T')[0];
+  
+  // Get sales from reporting/sales (has all the data we need): the past year on a full resync,
+  // otherwise from the day before the watermark since the reporting date filter has no time
+  const salesSince = await getSyncWatermark('sales', fullResync);
+  const salesFrom = salesSince
+    ? new Date(salesSince.getTime() - 24*60*60*1000).toISOString().split('T')[0]
+    : oneYearAgo;
+  progress(`Fetching sales since ${salesFrom}`);
+  const sales = await fetchAllPages(`/reporting/sales?_filter[date][$gte]=${salesFrom}`, 50, { signal });
+  console.log(`Found ${sales.length} sales records since ${salesFrom}`);
+  
+  // Item details for category/brand info come from the mirror (refreshed by the items step)
+  const uniqueItemIds = [...new Set(sales.map(s => s.item_id).filter(Boolean))];
+  console.log(`Loading details for ${uniqueItemIds.length} unique items...`);
+  const itemsById = await getHeartlandItems(uniqueItemIds);
+  
+  const itemDetailsCache = {};
+  for (const itemId of uniqueItemIds) {
+    const item = itemsById.get(String(itemId));
+    if (!item) {
+      // Item might be deleted, use defaults
+      itemDetailsCache[itemId] = {
+        category: 'Uncategorized',
+        brand: 'Unknown',
+        vendor: 'Unknown',
+        name: 'Unknown Item',
+        size: '',
+        color: ''
+      };
+      continue;
+    }
     
-    // Build the cache data
-    const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    const salesData = {
-      dailySales: dayNames.map((day, idx) => {
-        const data = dayOfWeekResult.rows.find(r => r.day_of_week === idx);
-        return {
-          day,
-          revenue: Math.round(parseFloat(data?.revenue || 0)),
-          transactions: parseInt(data?.transactions || 0)
-        };
-      }),
-      hourlyAvg: Array.from({length: 24}, (_, hour) => {
-        const data = hourlyResult.rows.find(r => r.hour_of_day === hour);
-        return {
-          hour: `${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}`,
-          avg: Math.round(parseFloat(data?.avg_sale || 0))
-        };
-      }).filter(h => h.avg > 0), // Only include hours with sales
-      heatmap: {
-        days: dayNames,
-        hours: Array.from({length: 12}, (_, i) => `${(i + 10) % 12 || 12}${(i + 10) < 12 ? 'am' : 'pm'}`), // 10am-9pm typical retail
-        values: dayNames.map((_, dayIdx) => {
-          return Array.from({length: 12}, (_, hourOffset) => {
-            const hour = hourOffset + 10; // Start at 10am
-            const data = heatmapResult.rows.find(r => r.day_of_week === dayIdx && r.hour_of_day === hour);
-            return Math.round(parseFloat(data?.revenue || 0));
-          });
-        })
-      },
-      categories: categoryResult.rows.map(r => ({
-        name: r.category,
-        revenue: Math.round(parseFloat(r.revenue)),
-        transactions: parseInt(r.transactions)
-      }))
+    let vendorName = 'Unknown';
+    if (item.primary_vendor_id) {
+      vendorName = await getVendorName(item.primary_vendor_id);
+    }
+    itemDetailsCache[itemId] = {
+      category: item.custom?.category || item.custom?.Category || 'Uncategorized',
+      brand: item.custom?.brand || item.custom?.Brand || vendorName,
+      vendor: vendorName,
+      name: item.description || 'Unknown Item',
+      size: item.custom?.size || item.custom?.Size || '',
+      color: item.custom?.color_name || item.custom?.Color_Name || ''
     };
+  }
+  console.log(`Loaded details for ${itemsById.size} items`);
+  
+  let transactionCount = 0;
+  let saleErrors = 0;
+  
+  // Now insert all sales records
+  console.log('Inserting sales transactions...');
+  for (const sale of sales) {
+    progress(`Inserted ${transactionCount}/${sales.length} transactions`, transactionCount, sales.length);
+    if (!sale.item_id) continue;
     
-    // Save to cache
-    await pool.query(`
-      INSERT INTO sales_cache (cache_key, data, synced_at)
-      VALUES ('sales_analysis', $1, CURRENT_TIMESTAMP)
-      ON CONFLICT (cache_key)
-      DO UPDATE SET data = $1, synced_at = CURRENT_TIMESTAMP
-    `, [JSON.stringify(salesData)]);
-    
-    console.log('SalesIQ data cached');
+    const itemDetails = itemDetailsCache[sale.item_id] || {};
     
-    // ========== STEP 6: Sync Purchasing Receipts (for InventoryIQ) ==========
-    console.log('Step 5: Syncing purchasing receipts...');
+    // Reporting datetime is when the ticket was opened; the tickets step corrects it to completion time
+    const transactionDate = new Date(sale.datetime);
+    const locationName = sale.location_name || 'Unknown';
     
     try {
-      // Fetch all purchasing receipts from the past year
-      const oneYearAgo = new Date(Date.now() - 365*24*60*60*1000).toISOString().split('T')[0];
-      const receipts = await fetchAllPages(`/purchasing/receipts?_filter[created_at][$gte]=${oneYearAgo}&_filter[status]=complete`);
-      console.log(`Found ${receipts.length} purchasing receipts`);
-      
-      // Process each receipt and its line items
-      let receiptItemCount = 0;
-      for (const receipt of receipts) {
-        const receiveDate = receipt.completed_at || receipt.created_at;
-        
-        try {
-          // Get line items for this receipt
-          const lines = await heartlandRequest(`/purchasing/receipts/${receipt.id}/lines?per_page=100`);
-          
-          for (const line of (lines.results || [])) {
-            if (!line.item_id) continue;
-            
-            // Get item details
-            let itemName = 'Unknown Item';
-            let itemColor = '';
-            let itemSize = '';
-            let category = 'Uncategorized';
-            let vendor = 'Unknown';
-            
-            try {
-              const item = await heartlandRequest(`/items/${line.item_id}`);
-              // Use description which already has "Style - Color - Size" format
-              itemName = item.description || item.custom?.style_name || 'Unknown Item';
-              itemColor = item.custom?.color_name || item.custom?.Color_Name || '';
-              itemSize = item.custom?.size || item.custom?.Size || '';
-              category = item.custom?.category || item.custom?.Category || 'Uncategorized';
-              if (item.primary_vendor_id) {
-                vendor = await getVendorName(item.primary_vendor_id);
-              }
-            } catch (e) {
-              // Use defaults
-            }
-            
-            // Upsert into item_receipts
-            await pool.query(`
-              INSERT INTO item_receipts (item_id, receipt_id, received_date, qty_received, unit_cost, item_name, item_color, item_size, category, vendor)
-              VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
-              ON CONFLICT (item_id, receipt_id)
-              DO UPDATE SET 
-                received_date = EXCLUDED.received_date,
-                qty_received = EXCLUDED.qty_received,
-                unit_cost = EXCLUDED.unit_cost,
-                item_name = EXCLUDED.item_name,
-                item_color = EXCLUDED.item_color,
-                item_size = EXCLUDED.item_size,
-                category = EXCLUDED.category,
-                vendor = EXCLUDED.vendor
-            `, [
-              line.item_id.toString(),
-              receipt.id.toString(),
-              receiveDate,
-              line.qty || 0,
-              line.unit_cost || 0,
-              itemName,
-              itemColor,
-              itemSize,
-              category,
-              vendor
-            ]);
-            
-            receiptItemCount++;
-          }
-          
-          if (receipts.indexOf(receipt) % 20 === 0) {
-            console.log(`Processed ${receipts.indexOf(receipt) + 1}/${receipts.length} receipts...`);
-          }
-        } catch (e) {
-          console.error(`Error processing receipt ${receipt.id}:`, e.message);
-        }
-      }
-      console.log(`Synced ${receiptItemCount} item receipts`);
-      totalRecords += receiptItemCount;
-      
-      // ========== STEP 6b: Cache receipt list for fast ReceiptAI loading ==========
-      console.log('Caching receipt list for ReceiptAI...');
-      
-      // Get receipts from last 30 days for the cache
-      const thirtyDaysAgo = new Date(Date.now() - 30*24*60*60*1000).toISOString().split('T')[0];
-      const recentReceipts = await fetchAllPages(`/purchasing/receipts?_filter[created_at][$gte]=${thirtyDaysAgo}&_filter[status]=complete`);
-      
-      let cachedCount = 0;
-      for (const receipt of recentReceipts) {
-        try {
-          const receiptDate = receipt.updated_at || receipt.created_at;
-          
-          // Get line items to count and get vendor
-          const lines = await heartlandRequest(`/purchasing/receipts/${receipt.id}/lines?per_page=100`);
-          const itemCount = lines.total || 0;
-          
-          // Count unique grids
-          const gridIds = new Set();
-          let vendorName = 'Unknown Vendor';
-          
-          for (const line of (lines.results || [])) {
-            if (line.grid_id) gridIds.add(line.grid_id);
-          }
-          
-          // Get vendor from first item
-          if (lines.results && lines.results.length > 0 && lines.results[0].item_id) {
-            try {
-              const item = await heartlandRequest(`/items/${lines.results[0].item_id}`);
-              if (item.primary_vendor_id) {
-                vendorName = await getVendorName(item.primary_vendor_id);
-              }
-              if (gridIds.size === 0 && item.grid_id) gridIds.add(item.grid_id);
-            } catch (e) {}
-          }
-          
-          const gridCount = gridIds.size || 1;
-          
-          // Upsert into receipt_cache
-          await pool.query(`
-            INSERT INTO receipt_cache (heartland_id, receipt_date, vendor, receipt_number, item_count, grid_count, cached_at)
-            VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
-            ON CONFLICT (heartland_id)
-            DO UPDATE SET 
-              receipt_date = EXCLUDED.receipt_date,
-              vendor = EXCLUDED.vendor,
-              receipt_number = EXCLUDED.receipt_number,
-              item_count = EXCLUDED.item_count,
-              grid_count = EXCLUDED.grid_count,
-              cached_at = CURRENT_TIMESTAMP
-          `, [
-            receipt.id.toString(),
-            receiptDate,
-            vendorName,
-            receipt.public_id || receipt.id.toString(),
-            itemCount,
-            gridCount
-          ]);
-          
-          cachedCount++;
-        } catch (e) {
-          console.error(`Error caching receipt ${receipt.id}:`, e.message);
-        }
-      }
-      console.log(`Cached ${cachedCount} receipts for ReceiptAI`);
+      // Upsert transaction using reporting sales data
+      await pool.query(`
+        INSERT INTO sales_transactions 
+          (heartland_ticket_id, heartland_line_id, customer_id, item_id, 
+           transaction_date, day_of_week, hour_of_day, quantity, unit_price, 
+           total_amount, category, vendor, brand, item_name, item_size, item_color, location_name)
+        VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+        ON CONFLICT (heartland_ticket_id, heartland_line_id)
+        DO UPDATE SET
+          customer_id = EXCLUDED.customer_id,
+          quantity = EXCLUDED.quantity,
+          unit_price = EXCLUDED.unit_price,
+          total_amount = EXCLUDED.total_amount
+      `, [
+        sale.transaction_id.toString(),
+        sale.transaction_line_id?.toString() || '0',
+        sale.customer_id?.toString() || null,
+        sale.item_id?.toString(),
+        transactionDate,
+        transactionDate.getDay(), // 0=Sunday
+        transactionDate.getHours(),
+        sale.net_qty_sold || 1,
+        sale.unit_price || 0,
+        sale.net_sales || 0,
+        itemDetails.category || 'Uncategorized',
+        itemDetails.vendor || 'Unknown',
+        itemDetails.brand || 'Unknown',
+        itemDetails.name || 'Unknown Item',
+        itemDetails.size || '',
+        itemDetails.color || '',
+        locationName
+      ]);
       
-    } catch (receiptError) {
-      console.error('Receipt sync error (non-fatal):', receiptError.message);
+      transactionCount++;
+    } catch (e) {
+      saleErrors++;
+      console.error(`Error inserting sale ${sale.id}:`, e.message);
     }
-    
-    // ========== STEP 7: Calculate InventoryIQ Dead Stock (Days Since Received) ==========
-    console.log('Step 6: Calculating InventoryIQ data (days since received)...');
-    
-    try {
-      // Calculate velocity from sales_transactions (keep this - still useful)
-      const categoryVelocityResult = await pool.query(`
-        WITH category_sales AS (
-          SELECT 
-            category,
-            item_id,
-            MIN(transaction_date) as first_sale,
-            MAX(transaction_date) as last_sale,
-            COUNT(*) as sale_count
-          FROM sales_transactions
-          WHERE category IS NOT NULL 
-            AND category != 'Uncategorized'
-            AND transaction_date > NOW() - INTERVAL '180 days'
-          GROUP BY category, item_id
-          HAVING COUNT(*) >= 1
-        )
-        SELECT 
-          category as name,
-          COUNT(DISTINCT item_id) as items_sold,
-          ROUND(AVG(EXTRACT(EPOCH FROM (last_sale - first_sale)) / 86400))::int as avg_days_to_sell
-        FROM category_sales
-        WHERE first_sale != last_sale
-        GROUP BY category
-        HAVING COUNT(DISTINCT item_id) >= 3
-        ORDER BY avg_days_to_sell ASC
-      `);
-      
-      const vendorVelocityResult = await pool.query(`
-        WITH vendor_sales AS (
-          SELECT 
-            vendor,
-            item_id,
-            MIN(transaction_date) as first_sale,
-            MAX(transaction_date) as last_sale
-          FROM sales_transactions
-          WHERE vendor IS NOT NULL 
-            AND vendor != 'Unknown'
-            AND transaction_date > NOW() - INTERVAL '180 days'
-          GROUP BY vendor, item_id
-          HAVING COUNT(*) >= 1
-        )
-        SELECT 
-          vendor as name,
-          COUNT(DISTINCT item_id) as items_sold,
-          ROUND(AVG(EXTRACT(EPOCH FROM (last_sale - first_sale)) / 86400))::int as avg_days_to_sell
-        FROM vendor_sales
-        WHERE first_sale != last_sale
-        GROUP BY vendor
-        HAVING COUNT(DISTINCT item_id) >= 3
-        ORDER BY avg_days_to_sell ASC
-      `);
-      
-      const categoryVelocity = categoryVelocityResult.rows
-        .map(r => ({
-          name: r.name,
-          avgDaysToSell: parseInt(r.avg_days_to_sell) || 0,
-          itemsSold: parseInt(r.items_sold)
-        }))
-        .filter(v => v.avgDaysToSell > 0);
-      
-      const vendorVelocity = vendorVelocityResult.rows
-        .map(r => ({
-          name: r.name,
-          avgDaysToSell: parseInt(r.avg_days_to_sell) || 0,
-          itemsSold: parseInt(r.items_sold)
-        }))
-        .filter(v => v.avgDaysToSell > 0);
-      
-      console.log(`Found velocity for ${categoryVelocity.length} categories, ${vendorVelocity.length} vendors`);
-      
-      // Get MOST RECENT receive date per item from item_receipts
-      // (if item was reordered, old stock likely sold already)
-      const receiveDataResult = await pool.query(`
-        SELECT 
-          item_id,
-          MAX(received_date) as last_received,
-          SUM(qty_received) as total_received,
-          MAX(item_name) as item_name,
-          MAX(item_color) as item_color,
-          MAX(item_size) as item_size,
-          MAX(category) as category,
-          MAX(vendor) as vendor,
-          MAX(unit_cost) as unit_cost
-        FROM item_receipts
-        GROUP BY item_id
-      `);
-      
-      const itemReceiveData = {};
-      for (const row of receiveDataResult.rows) {
-        itemReceiveData[row.item_id] = {
-          receivedDate: row.last_received,
-          qtyReceived: parseInt(row.total_received) || 0,
-          name: row.item_name, // Already in "Style - Color - Size" format from Heartland description
-          category: row.category,
-          vendor: row.vendor,
-          cost: parseFloat(row.unit_cost) || 0
-        };
-      }
-      console.log(`Found receive data for ${Object.keys(itemReceiveData).length} items`);
-      
-      // Get total sold per item from sales_transactions
-      const soldDataResult = await pool.query(`
-        SELECT 
-          item_id,
-          SUM(quantity) as total_sold,
-          MAX(unit_price) as price
-        FROM sales_transactions
-        WHERE item_id IS NOT NULL
-        GROUP BY item_id
-      `);
-      
-      const itemSoldData = {};
-      for (const row of soldDataResult.rows) {
-        itemSoldData[row.item_id] = {
-          qtySold: parseInt(row.total_sold) || 0,
-          price: parseFloat(row.price) || 0
-        };
-      }
-      
-      // Get current inventory from Heartland
-      let allInventory = [];
-      let page = 1;
-      let hasMore = true;
-      
-      while (hasMore && page <= 100) { // Increased to 100 (up to 10,000 items)
-        try {
-          const inventoryData = await heartlandRequest(`/inventory/values?group[]=item_id&per_page=100&page=${page}`);
-          const results = inventoryData.results || [];
-          allInventory = allInventory.concat(results);
-          hasMore = results.length === 100;
-          page++;
-        } catch (e) {
-          console.error(`Error fetching inventory page ${page}:`, e.message);
-          hasMore = false;
-        }
-      }
-      console.log(`Found ${allInventory.length} inventory items from Heartland`);
-      
-      // Build inventory lookup
-      const inventoryLookup = {};
-      for (const inv of allInventory) {
-        if (inv.item_id) {
-          inventoryLookup[inv.item_id] = inv.qty_on_hand || 0;
-        }
-      }
-      
-      // ========== CALCULATE STORE HEALTH METRICS ==========
-      // This looks at ALL items received in each time window, regardless of current inventory
-      // Uses COST values (your actual money tied up)
-      const now = new Date();
-      let totalReceivedCost30 = 0, totalReceivedCost45 = 0, totalReceivedCost60 = 0, totalReceivedCost90 = 0;
-      let stillOnHandCost30 = 0, stillOnHandCost45 = 0, stillOnHandCost60 = 0, stillOnHandCost90 = 0;
-      
-      for (const itemId of Object.keys(itemReceiveData)) {
-        const receiveInfo = itemReceiveData[itemId];
-        if (!receiveInfo.receivedDate) continue;
-        
-        const receivedDate = new Date(receiveInfo.receivedDate);
-        const daysSinceReceived = Math.floor((now - receivedDate) / (1000 * 60 * 60 * 24));
-        
-        const qtyOnHand = inventoryLookup[itemId] || 0;
-        
-        // Use COST for store health metrics
-        const cost = receiveInfo.cost || 0;
-        const totalReceivedCostValue = receiveInfo.qtyReceived * cost;
-        const costOnHand = qtyOnHand * cost;
-        
-        // Add to appropriate time buckets
-        if (daysSinceReceived <= 30) {
-          totalReceivedCost30 += totalReceivedCostValue;
-          stillOnHandCost30 += costOnHand;
-        }
-        if (daysSinceReceived <= 45) {
-          totalReceivedCost45 += totalReceivedCostValue;
-          stillOnHandCost45 += costOnHand;
-        }
-        if (daysSinceReceived <= 60) {
-          totalReceivedCost60 += totalReceivedCostValue;
-          stillOnHandCost60 += costOnHand;
-        }
-        if (daysSinceReceived <= 90) {
-          totalReceivedCost90 += totalReceivedCostValue;
-          stillOnHandCost90 += costOnHand;
-        }
-      }
-      
-      // ========== CALCULATE DEAD STOCK (only items with inventory) ==========
-      const deadStockItems = [];
-      let totalFresh = 0, totalWatch = 0, total60Days = 0, total90Days = 0, total120Days = 0;
-      let valueFresh = 0, valueWatch = 0, value60Days = 0, value90Days = 0, value120Days = 0;
-      
-      for (const inv of allInventory) {
-        if (!inv.item_id) continue;
-        const qtyOnHand = inv.qty_on_hand || 0;
-        if (qtyOnHand <= 0) continue;
-        
-        const receiveInfo = itemReceiveData[inv.item_id];
-        if (!receiveInfo || !receiveInfo.receivedDate) continue;
-        
-        const soldInfo = itemSoldData[inv.item_id] || { qtySold: 0, price: 0 };
-        const receivedDate = new Date(receiveInfo.receivedDate);
-        const daysSinceReceived = Math.floor((now - receivedDate) / (1000 * 60 * 60 * 24));
-        
-        const price = soldInfo.price || receiveInfo.cost * 2.5 || 0;
-        const cost = receiveInfo.cost || price * 0.4 || 0;
-        const valueOnHand = qtyOnHand * cost;
-        const retailValueOnHand = qtyOnHand * price;
-        let bucket = 'fresh';
-        let suggestedMarkdown = null;
-        
-        if (daysSinceReceived >= 120) {
-          bucket = 'emergency';
-          suggestedMarkdown = '60%+ off or bundle/donate';
-          total120Days++;
-          value120Days += valueOnHand;
-        } else if (daysSinceReceived >= 90) {
-          bucket = 'dead';
-          suggestedMarkdown = '40-50% off';
-          total90Days++;
-          value90Days += valueOnHand;
-        } else if (daysSinceReceived >= 60) {
-          bucket = 'slow';
-          suggestedMarkdown = '20-30% off';
-          total60Days++;
-          value60Days += valueOnHand;
-        } else if (daysSinceReceived >= 45) {
-          bucket = 'watch';
-          suggestedMarkdown = 'Watch closely';
-          totalWatch++;
-          valueWatch += valueOnHand;
-        } else {
-          bucket = 'fresh';
-          totalFresh++;
-          valueFresh += valueOnHand;
-        }
-        
-        // Only include 45+ day items in dead stock list
-        if (daysSinceReceived >= 45) {
-          deadStockItems.push({
-            id: inv.item_id,
-            name: receiveInfo.name || 'Unknown Item',
-            category: receiveInfo.category || 'Uncategorized',
-            vendor: receiveInfo.vendor || 'Unknown',
-            qtyReceived: receiveInfo.qtyReceived,
-            qtySold: soldInfo.qtySold,
-            qtyRemaining: qtyOnHand,
-            price: Math.round(price * 100) / 100,
-            retailValue: Math.round(retailValueOnHand * 100) / 100,
-            costValue: Math.round(valueOnHand * 100) / 100,
-            receivedDate: receivedDate.toISOString().split('T')[0],
-            daysSinceReceived: daysSinceReceived,
-            bucket: bucket,
-            suggestedMarkdown: suggestedMarkdown
-          });
-        }
-      }
-      
-      // Sort by days since received (oldest first)
-      deadStockItems.sort((a, b) => b.daysSinceReceived - a.daysSinceReceived);
-      console.log(`Found ${deadStockItems.length} items 45+ days old`);
-      
-      // Save to cache with new structure
-      const inventoryAnalysis = {
-        deadStock: {
-          summary: {
-            // New buckets
-            itemsFresh: totalFresh,
-            itemsWatch: totalWatch,
-            items60Days: total60Days,
-            items90Days: total90Days,
-            items120Days: total120Days,
-            valueFresh: Math.round(valueFresh * 100) / 100,
-            valueWatch: Math.round(valueWatch * 100) / 100,
-            value60Days: Math.round(value60Days * 100) / 100,
-            value90Days: Math.round(value90Days * 100) / 100,
-            value120Days: Math.round(value120Days * 100) / 100,
-            totalItems: totalWatch + total60Days + total90Days + total120Days,
-            totalValue: Math.round((valueWatch + value60Days + value90Days + value120Days) * 100) / 100,
-          },
-          // Store-wide metrics (using COST values)
-          storeMetrics: {
-            received30Days: Math.round(totalReceivedCost30),
-            stillOnHand30Days: Math.round(stillOnHandCost30),
-            pctOnHand30Days: totalReceivedCost30 > 0 ? Math.round((stillOnHandCost30 / totalReceivedCost30) * 100) : 0,
-            received45Days: Math.round(totalReceivedCost45),
-            stillOnHand45Days: Math.round(stillOnHandCost45),
-            pctOnHand45Days: totalReceivedCost45 > 0 ? Math.round((stillOnHandCost45 / totalReceivedCost45) * 100) : 0,
-            received60Days: Math.round(totalReceivedCost60),
-            stillOnHand60Days: Math.round(stillOnHandCost60),
-            pctOnHand60Days: totalReceivedCost60 > 0 ? Math.round((stillOnHandCost60 / totalReceivedCost60) * 100) : 0,
-            received90Days: Math.round(totalReceivedCost90),
-            stillOnHand90Days: Math.round(stillOnHandCost90),
-            pctOnHand90Days: totalReceivedCost90 > 0 ? Math.round((stillOnHandCost90 / totalReceivedCost90) * 100) : 0,
-          },
-          items: deadStockItems // Store all aging items
-        },
-        velocity: {
-          byCategory: categoryVelocity,
-          byVendor: vendorVelocity
-        },
-        stats: {
-          totalItemsAnalyzed: allInventory.length,
-          totalItemsWithReceiveData: Object.keys(itemReceiveData).length,
-          totalDeadStockItems: deadStockItems.length
-        }
-      };
-      
-      await pool.query(
-        `INSERT INTO inventory_cache (cache_key, data, synced_at)
-         VALUES ('inventory_analysis', $1, CURRENT_TIMESTAMP)
-         ON CONFLICT (cache_key)
-         DO UPDATE SET data = $1, synced_at = CURRENT_TIMESTAMP`,
-        [JSON.stringify(inventoryAnalysis)]
-      );
-      
-      console.log('InventoryIQ data cached');
-    } catch (invError) {
-      console.error('InventoryIQ sync error (non-fatal):', invError.message);
+  }
+  
+  console.log(`Inserted/updated ${transactionCount} transactions`);
+  
+  // Leave the watermark where it was if any sale failed to insert, so the next run retries it
+  if (saleErrors === 0) {
+    await advanceSyncCursor('sales', runStartedAt, transactionCount, fullResync);
+  }
+  
+  // The customers step rebuilds profiles for everyone who bought something
+  const customerIds = [...new Set(sales.map(s => s.customer_id).filter(Boolean).map(String))];
+  return {
+    records: transactionCount,
+    output: { customerIds },
+    warning: saleErrors > 0 ? `${saleErrors} sales failed to insert; watermark not advanced` : null,
+  };
+}
+
+// Sync step: Correct transaction times to ticket completion (the reporting API datetime is
+// ticket creation time, but hourly SalesIQ needs updated_at). Works through every ticket not
+// yet corrected, so tickets that failed last time are picked up again.
+async function syncTicketsStep({ signal, progress = () => {} } = {}) {
+  const pendingResult = await pool.query(
+    `SELECT DISTINCT heartland_ticket_id FROM sales_transactions WHERE ticket_synced_at IS NULL`
+  );
+  const ticketIds = pendingResult.rows.map(row => row.heartland_ticket_id);
+  console.log(`Fetching updated_at for ${ticketIds.length} unique tickets...`);
+  
+  let ticketsFetched = 0;
+  let ticketErrors = 0;
+  await heartland.mapWithConcurrency(ticketIds, async (ticketId) => {
+    progress(`Fetched ${ticketsFetched}/${ticketIds.length} ticket times`, ticketsFetched, ticketIds.length);
+    let ticket = {};
+    try {
+      ticket = await heartlandRequest(`/sales/tickets/${ticketId}`, { signal });
+    } catch (e) {
+      // A deleted ticket keeps its reporting datetime; anything else is retried next run
+      if (e.status !== 404) {
+        ticketErrors++;
+        return;
+      }
     }
     
-    // ========== STEP 8: Complete ==========
-    const duration = Math.round((Date.now() - startTime) / 1000);
-    console.log(`========== NIGHTLY SYNC COMPLETE in ${duration}s ==========`);
-    console.log(`Total records processed: ${totalRecords}`);
+    const completedAt = ticket.updated_at || ticket.created_at ? new Date(ticket.updated_at || ticket.created_at) : null;
+    await pool.query(`
+      UPDATE sales_transactions
+      SET transaction_date = COALESCE($1, transaction_date),
+          day_of_week = COALESCE($2, day_of_week),
+          hour_of_day = COALESCE($3, hour_of_day),
+          location_name = COALESCE($4, location_name),
+          ticket_synced_at = CURRENT_TIMESTAMP
+      WHERE heartland_ticket_id = $5
+    `, [completedAt, completedAt?.getDay() ?? null, completedAt?.getHours() ?? null, ticket.location_name || null, ticketId]);
+    
+    ticketsFetched++;
+  });
+  console.log(`Fetched timestamps for ${ticketsFetched} tickets`);
+  
+  return {
+    records: ticketsFetched,
+    warning: ticketErrors > 0 ? `${ticketErrors} tickets could not be fetched and will be retried next run` : null,
+  };
+}
+
+// Sync step: Build customer profiles from Heartland customers and their transactions
+async function syncCustomersStep({ fullResync, runStartedAt, outputs, signal, progress = () => {} }) {
+  // Get customers whose Heartland record changed (all of them on a full resync)
+  const customersSince = await getSyncWatermark('customers', fullResync);
+  progress('Fetching changed customers');
+  const heartlandCustomers = await fetchAllPages(withSyncFilter('/customers', 'updated_at', customersSince), 50, { signal });
+  
+  // Anyone who bought something in this run needs their stats rebuilt even if their record didn't change
+  if (customersSince) {
+    const changedIds = new Set(heartlandCustomers.map(cust => String(cust.id)));
+    const buyerIds = (outputs.sales?.customerIds || [])
+      .filter(customerId => !changedIds.has(customerId));
+    const buyers = await heartland.mapWithConcurrency(buyerIds, (customerId, index) => {
+      progress(`Fetched ${index}/${buyerIds.length} buyers`, index, buyerIds.length);
+      return heartlandRequest(`/customers/${customerId}`, { signal }).catch(e => {
+        console.error(`Error fetching customer ${customerId}:`, e.message);
+        return null;
+      });
+    });
+    heartlandCustomers.push(...buyers.filter(Boolean));
+  }
+  console.log(`Found ${heartlandCustomers.length} customers to update`);
+  
+  // Process each customer with aggregated purchase data
+  let customerCount = 0;
+  for (const cust of heartlandCustomers) {
+    progress(`Processed ${customerCount}/${heartlandCustomers.length} customers`, customerCount, heartlandCustomers.length);
+    if (!cust.id) continue;
+    
+    // Get aggregated stats from our transactions
+    const statsResult = await pool.query(`
+      SELECT 
+        COUNT(DISTINCT DATE(transaction_date)) as total_purchases,
+        SUM(total_amount) as lifetime_value,
+        AVG(total_amount) as avg_purchase,
+        MIN(transaction_date) as first_purchase,
+        MAX(transaction_date) as last_purchase
+      FROM sales_transactions
+      WHERE customer_id = $1
+    `, [cust.id.toString()]);
+    
+    const stats = statsResult.rows[0];
+    
+    // Get preferred brands (top 5)
+    const brandsResult = await pool.query(`
+      SELECT brand, COUNT(*) as cnt
+      FROM sales_transactions
+      WHERE customer_id = $1 AND brand IS NOT NULL AND brand != ''
+      GROUP BY brand
+      ORDER BY cnt DESC
+      LIMIT 5
+    `, [cust.id.toString()]);
+    
+    // Get sizes purchased
+    const sizesResult = await pool.query(`
+      SELECT DISTINCT item_size
+      FROM sales_transactions
+      WHERE customer_id = $1 AND item_size IS NOT NULL AND item_size != ''
+    `, [cust.id.toString()]);
     
-    await updateSyncLog(logId, 'completed', totalRecords);
+    // Get preferred categories (top 5)
+    const categoriesResult = await pool.query(`
+      SELECT category, COUNT(*) as cnt
+      FROM sales_transactions
+      WHERE customer_id = $1 AND category IS NOT NULL AND category != 'Uncategorized'
+      GROUP BY category
+      ORDER BY cnt DESC
+      LIMIT 5
+    `, [cust.id.toString()]);
+    
+    // Upsert customer profile
+    await pool.query(`
+      INSERT INTO customers 
+        (heartland_customer_id, first_name, last_name, email, phone,
+         total_purchases, lifetime_value, first_purchase_date, last_purchase_date,
+         avg_purchase_value, preferred_brands, preferred_sizes, preferred_categories)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+      ON CONFLICT (heartland_customer_id)
+      DO UPDATE SET
+        first_name = EXCLUDED.first_name,
+        last_name = EXCLUDED.last_name,
+        email = EXCLUDED.email,
+        phone = EXCLUDED.phone,
+        total_purchases = EXCLUDED.total_purchases,
+        lifetime_value = EXCLUDED.lifetime_value,
+        first_purchase_date = EXCLUDED.first_purchase_date,
+        last_purchase_date = EXCLUDED.last_purchase_date,
+        avg_purchase_value = EXCLUDED.avg_purchase_value,
+        preferred_brands = EXCLUDED.preferred_brands,
+        preferred_sizes = EXCLUDED.preferred_sizes,
+        preferred_categories = EXCLUDED.preferred_categories,
+        updated_at = CURRENT_TIMESTAMP
+    `, [
+      cust.id.toString(),
+      cust.first_name || '',
+      cust.last_name || '',
+      cust.email || cust.emails?.[0]?.address || null,
+      cust.phone_number || cust.phone || cust.phones?.[0]?.number || null,
+      parseInt(stats.total_purchases) || 0,
+      parseFloat(stats.lifetime_value) || 0,
+      stats.first_purchase || null,
+      stats.last_purchase || null,
+      parseFloat(stats.avg_purchase) || 0,
+      JSON.stringify(brandsResult.rows.map(r => r.brand)),
+      JSON.stringify(sizesResult.rows.map(r => r.item_size)),
+      JSON.stringify(categoriesResult.rows.map(r => r.category))
+    ]);
+    
+    customerCount++;
+  }
+  
+  console.log(`Updated ${customerCount} customer profiles`);
+  await advanceSyncCursor('customers', runStartedAt, customerCount, fullResync);
+  return { records: customerCount };
+}
+
+// Sync step: Aggregate the last 90 days of transactions into the SalesIQ cache
+async function aggregateSalesIQStep() {
+  // Sales by day of week
+  const dayOfWeekResult = await pool.query(`
+    SELECT 
+      day_of_week,
+      COUNT(DISTINCT heartland_ticket_id) as transactions,
+      SUM(total_amount) as revenue
+    FROM sales_transactions
+    WHERE transaction_date >= NOW() - INTERVAL '90 days'
+    GROUP BY day_of_week
+    ORDER BY day_of_week
+  `);
+  
+  // Sales by hour
+  const hourlyResult = await pool.query(`
+    SELECT 
+      hour_of_day,
+      AVG(total_amount) as avg_sale,
+      COUNT(*) as transaction_count
+    FROM sales_transactions
+    WHERE transaction_date >= NOW() - INTERVAL '90 days'
+    GROUP BY hour_of_day
+    ORDER BY hour_of_day
+  `);
+  
+  // Day/Hour heatmap
+  const heatmapResult = await pool.query(`
+    SELECT 
+      day_of_week,
+      hour_of_day,
+      SUM(total_amount) as revenue
+    FROM sales_transactions
+    WHERE transaction_date >= NOW() - INTERVAL '90 days'
+    GROUP BY day_of_week, hour_of_day
+    ORDER BY day_of_week, hour_of_day
+  `);
+  
+  // Category performance
+  const categoryResult = await pool.query(`
+    SELECT 
+      category,
+      SUM(total_amount) as revenue,
+      COUNT(*) as transactions
+    FROM sales_transactions
+    WHERE transaction_date >= NOW() - INTERVAL '90 days'
+      AND category != 'Uncategorized'
+    GROUP BY category
+    ORDER BY revenue DESC
+    LIMIT 10
+  `);
+  
+  // Build the cache data
+  const dayNames = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+  const salesData = {
+    dailySales: dayNames.map((day, idx) => {
+      const data = dayOfWeekResult.rows.find(r => r.day_of_week === idx);
+      return {
+        day,
+        revenue: Math.round(parseFloat(data?.revenue || 0)),
+        transactions: parseInt(data?.transactions || 0)
+      };
+    }),
+    hourlyAvg: Array.from({length: 24}, (_, hour) => {
+      const data = hourlyResult.rows.find(r => r.hour_of_day === hour);
+      return {
+        hour: `${hour % 12 || 12}${hour < 12 ? 'am' : 'pm'}`,
+        avg: Math.round(parseFloat(data?.avg_sale || 0))
+      };
+    }).filter(h => h.avg > 0), // Only include hours with sales
+    heatmap: {
+      days: dayNames,
+      hours: Array.from({length: 12}, (_, i) => `${(i + 10) % 12 || 12}${(i + 10) < 12 ? 'am' : 'pm'}`), // 10am-9pm typical retail
+      values: dayNames.map((_, dayIdx) => {
+        return Array.from({length: 12}, (_, hourOffset) => {
+          const hour = hourOffset + 10; // Start at 10am
+          const data = heatmapResult.rows.find(r => r.day_of_week === dayIdx && r.hour_of_day === hour);
+          return Math.round(parseFloat(data?.revenue || 0));
+        });
+      })
+    },
+    categories: categoryResult.rows.map(r => ({
+      name: r.category,
+      revenue: Math.round(parseFloat(r.revenue)),
+      transactions: parseInt(r.transactions)
+    }))
+  };
+  
+  // Save to cache
+  await pool.query(`
+    INSERT INTO sales_cache (cache_key, data, synced_at)
+    VALUES ('sales_analysis', $1, CURRENT_TIMESTAMP)
+    ON CONFLICT (cache_key)
+    DO UPDATE SET data = $1, synced_at = CURRENT_TIMESTAMP
+  `, [JSON.stringify(salesData)]);
+  
+  console.log('SalesIQ data cached');
+  return {};
+}
+
+// Sync step: Pull purchasing receipt lines into item_receipts (for InventoryIQ)
+async function syncReceiptsStep({ fullResync, runStartedAt, signal, progress = () => {} }) {
+  // Fetch purchasing receipts from the past year that changed since the watermark
+  const oneYearAgo = new Date(Date.now() - 365*24*60*60*1000).toISOString().split('T')[0];
+  const receiptsSince = await getSyncWatermark('receipts', fullResync);
+  progress('Fetching changed receipts');
+  const receipts = await fetchAllPages(withSyncFilter(
+    `/purchasing/receipts?_filter[created_at][$gte]=${oneYearAgo}&_filter[status]=complete`, 'updated_at', receiptsSince
+  ), 50, { signal });
+  console.log(`Found ${receipts.length} purchasing receipts`);
+  
+  // Process each receipt and its line items
+  let receiptItemCount = 0;
+  let receiptsProcessed = 0;
+  let receiptErrors = 0;
+  await heartland.mapWithConcurrency(receipts, async (receipt) => {
+    progress(`Processed ${receiptsProcessed}/${receipts.length} receipts`, receiptsProcessed, receipts.length);
     
-    return { success: true, duration, totalRecords };
+    try {
+      // Get line items for this receipt
+      const lines = await fetchReceiptLines(receipt.id, { signal });
+      receiptItemCount += await upsertItemReceipts(receipt, lines);
+      
+      receiptsProcessed++;
+    } catch (e) {
+      receiptErrors++;
+      console.error(`Error processing receipt ${receipt.id}:`, e.message);
+    }
+  });
+  console.log(`Synced ${receiptItemCount} item receipts`);
+  
+  // Leave the watermark where it was if any receipt failed, so the next run retries it
+  if (receiptErrors === 0) {
+    await advanceSyncCursor('receipts', runStartedAt, receiptItemCount, fullResync);
+  }
+  
+  return {
+    records: receiptItemCount,
+    warning: receiptErrors > 0 ? `${receiptErrors} receipts failed; watermark not advanced` : null,
+  };
+}
+
+// Sync step: Cache the last 30 days of receipts for fast ReceiptAI loading
+async function syncReceiptCacheStep({ fullResync, runStartedAt, signal, progress = () => {} }) {
+  // Get receipts from last 30 days that changed since the watermark for the cache
+  const thirtyDaysAgo = new Date(Date.now() - 30*24*60*60*1000).toISOString().split('T')[0];
+  const receiptCacheSince = await getSyncWatermark('receipt_cache', fullResync);
+  progress('Fetching recent receipts');
+  const recentReceipts = await fetchAllPages(withSyncFilter(
+    `/purchasing/receipts?_filter[created_at][$gte]=${thirtyDaysAgo}&_filter[status]=complete`, 'updated_at', receiptCacheSince
+  ), 50, { signal });
+  
+  let cachedCount = 0;
+  let cacheErrors = 0;
+  await heartland.mapWithConcurrency(recentReceipts, async (receipt) => {
+    progress(`Cached ${cachedCount}/${recentReceipts.length} receipts`, cachedCount, recentReceipts.length);
+    try {
+      // Get line items to count and get vendor
+      const lines = await fetchReceiptLines(receipt.id, { signal });
+      await upsertReceiptCache(receipt, lines);
+      
+      cachedCount++;
+    } catch (e) {
+      cacheErrors++;
+      console.error(`Error caching receipt ${receipt.id}:`, e.message);
+    }
+  });
+  console.log(`Cached ${cachedCount} receipts for ReceiptAI`);
+  
+  if (cacheErrors === 0) {
+    await advanceSyncCursor('receipt_cache', runStartedAt, cachedCount, fullResync);
+  }
+  
+  return {
+    records: cachedCount,
+    warning: cacheErrors > 0 ? `${cacheErrors} receipts failed; watermark not advanced` : null,
+  };
+}
+
+// Sync step: Calculate InventoryIQ dead stock (days since received) and velocity
+async function calculateInventoryIQStep() {
+  const analysis = await runInventoryAnalysis();
+  return { records: analysis.stats.totalItemsAnalyzed };
+}
+
+// Sync step: Record today's on-hand by item and location in inventory_snapshots. The
+// inventory_snapshot job also runs it through the day to keep today's snapshot current.
+// Cost comes from the inventory row when Heartland has one, otherwise (like price, category
+// and vendor) from the item mirror, which the items step has just refreshed.
+const INVENTORY_SNAPSHOT_MAX_PAGES = 500;
+
+async function snapshotInventoryStep({ signal, progress = () => {} }) {
+  progress('Fetching on-hand inventory by location');
+  const inventory = await fetchAllPages(
+    '/inventory/values?group[]=item_id&group[]=location_id', INVENTORY_SNAPSHOT_MAX_PAGES, { signal }
+  );
+  const rows = inventory
+    .filter(inv => inv.item_id && inv.qty_on_hand)
+    .map(inv => ({
+      item_id: String(inv.item_id),
+      location_id: inv.location_id ? String(inv.location_id) : '',
+      qty_on_hand: Math.round(inv.qty_on_hand),
+      unit_cost: inv.unit_cost ?? null,
+    }));
+  
+  // Today's snapshot is replaced as a whole, so a re-run drops items that sold out since
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM inventory_snapshots WHERE snapshot_date = CURRENT_DATE');
+    
+    for (let i = 0; i < rows.length; i += 500) {
+      progress(`Recorded ${i}/${rows.length} item locations`, i, rows.length);
+      await client.query(`
+        INSERT INTO inventory_snapshots
+          (snapshot_date, item_id, location_id, qty_on_hand, unit_cost, unit_price, cost_value, retail_value, category, vendor)
+        SELECT CURRENT_DATE, s.item_id, s.location_id, s.qty_on_hand,
+               p.unit_cost, p.unit_price, s.qty_on_hand * p.unit_cost, s.qty_on_hand * p.unit_price,
+               COALESCE(i.data->'custom'->>'category', i.data->'custom'->>'Category', 'Uncategorized'),
+               COALESCE(v.name, 'Unknown')
+        FROM jsonb_to_recordset($1::jsonb) AS s(item_id text, location_id text, qty_on_hand integer, unit_cost numeric)
+        LEFT JOIN items i ON i.heartland_id = s.item_id
+        LEFT JOIN vendors v ON v.heartland_id = i.primary_vendor_id
+        CROSS JOIN LATERAL (
+          SELECT COALESCE(s.unit_cost, (i.data->>'cost')::numeric) AS unit_cost,
+                 (i.data->>'price')::numeric AS unit_price
+        ) p
+      `, [JSON.stringify(rows.slice(i, i + 500))]);
+    }
     
+    await client.query('COMMIT');
   } catch (error) {
-    console.error('Nightly sync error:', error);
-    await updateSyncLog(logId, 'failed', totalRecords, error.message);
+    await client.query('ROLLBACK').catch(() => {});
     throw error;
+  } finally {
+    client.release();
+  }
+  
+  console.log(`Recorded inventory snapshot of ${rows.length} item locations`);
+  return { records: rows.length };
+}
+
+// ==================== SCHEDULER ====================
+// Runs the recurring jobs in-process so nothing external has to hit /api/sync/nightly.
+// Schedules come from env ("daily 03:00", "every 15m", "every 1h" or "off"). Every instance
+// ticks, but a job only runs where its scheduled_jobs row is claimed: the claim is a single
+// conditional UPDATE that sets a lease, so two instances can never run the same job at once.
+// A lease that outlives a crashed instance simply expires.
+
+const SCHEDULER_ENABLED = process.env.SCHEDULER_ENABLED !== 'false';
+const SCHEDULER_TICK_MS = 60 * 1000;
+
+const SCHEDULED_JOBS = [
+  {
+    name: 'nightly_sync',
+    description: 'Nightly Heartland sync (sales, customers, receipts, InventoryIQ)',
+    schedule: process.env.SCHEDULE_NIGHTLY_SYNC || 'daily 03:00',
+    leaseMinutes: 6 * 60,
+    // A sync someone started by hand counts as tonight's run
+    run: () => runNightlySync().catch(error => {
+      if (error.status === 409) return { skipped: error.message };
+      throw error;
+    }),
+  },
+  {
+    name: 'receipt_cache_refresh',
+    description: 'Refresh the ReceiptAI receipt cache',
+    schedule: process.env.SCHEDULE_RECEIPT_CACHE || 'every 1h',
+    leaseMinutes: 30,
+    run: () => syncReceiptCacheStep({ runStartedAt: new Date() }),
+  },
+  {
+    name: 'receipt_ingest',
+    description: 'Pick up newly completed Heartland receipts (backstop for the webhook)',
+    schedule: process.env.SCHEDULE_RECEIPT_INGEST || 'every 5m',
+    leaseMinutes: 10,
+    run: () => pollCompletedReceipts(),
+  },
+  {
+    name: 'markdown_revert',
+    description: 'Revert markdowns whose sale has ended',
+    schedule: process.env.SCHEDULE_MARKDOWN_REVERT || 'every 15m',
+    leaseMinutes: 10,
+    run: () => revertEndedMarkdowns(),
+  },
+  {
+    name: 'job_resume',
+    description: 'Pick up generation jobs and markdowns left by an instance that went down',
+    schedule: process.env.SCHEDULE_JOB_RESUME || 'every 5m',
+    leaseMinutes: 5,
+    run: async () => {
+      await resumeGenerationJobs();
+      await resumeMarkdownJobs();
+    },
+  },
+  {
+    name: 'inventory_snapshot',
+    description: 'Re-record the on-hand snapshot for today from Heartland',
+    schedule: process.env.SCHEDULE_INVENTORY_SNAPSHOT || 'every 15m',
+    leaseMinutes: 30,
+    run: () => snapshotInventoryStep({}),
+  },
+];
+
+// Helper: Parse "daily HH:MM" / "every Nm" / "every Nh" (null = disabled)
+function parseSchedule(spec) {
+  const text = (spec || '').trim().toLowerCase();
+  if (!text || text === 'off') return null;
+  
+  const daily = text.match(/^daily (\d{1,2}):(\d{2})$/);
+  if (daily && parseInt(daily[1]) < 24 && parseInt(daily[2]) < 60) {
+    return { type: 'daily', hour: parseInt(daily[1]), minute: parseInt(daily[2]) };
+  }
+  
+  const every = text.match(/^every (\d+)([mh])$/);
+  if (every && parseInt(every[1]) > 0) {
+    return { type: 'every', minutes: parseInt(every[1]) * (every[2] === 'h' ? 60 : 1) };
+  }
+  
+  throw new Error(`Invalid schedule "${spec}" (use "daily HH:MM", "every Nm", "every Nh" or "off")`);
+}
+
+// Helper: Next run time for a schedule (daily times are server-local)
+function nextScheduledRun(schedule, from = new Date()) {
+  if (schedule.type === 'every') {
+    return new Date(from.getTime() + schedule.minutes * 60 * 1000);
+  }
+  
+  const next = new Date(from);
+  next.setHours(schedule.hour, schedule.minute, 0, 0);
+  if (next <= from) next.setDate(next.getDate() + 1);
+  return next;
+}
+
+// Helper: Make sure every job has a row; a changed schedule resets its next run
+async function registerScheduledJobs() {
+  for (const job of SCHEDULED_JOBS) {
+    let schedule = null;
+    try {
+      schedule = parseSchedule(job.schedule);
+    } catch (error) {
+      console.error(`Scheduler: ${job.name} disabled - ${error.message}`);
+    }
+    
+    await pool.query(`
+      INSERT INTO scheduled_jobs (name, schedule, enabled, next_run_at)
+      VALUES ($1, $2, $3, $4)
+      ON CONFLICT (name)
+      DO UPDATE SET
+        schedule = EXCLUDED.schedule,
+        enabled = EXCLUDED.enabled,
+        next_run_at = CASE
+          WHEN scheduled_jobs.schedule IS DISTINCT FROM EXCLUDED.schedule OR scheduled_jobs.next_run_at IS NULL
+          THEN EXCLUDED.next_run_at
+          ELSE scheduled_jobs.next_run_at
+        END
+    `, [job.name, job.schedule, schedule !== null, schedule ? nextScheduledRun(schedule) : null]);
+  }
+}
+
+// Claim a due job's lease and run it; returns false if it wasn't due or another instance has it
+async function runScheduledJob(job) {
+  const claim = await pool.query(`
+    UPDATE scheduled_jobs
+    SET locked_by = $2,
+        locked_until = NOW() + make_interval(mins => $3),
+        last_started_at = NOW()
+    WHERE name = $1
+      AND enabled
+      AND next_run_at <= NOW()
+      AND (locked_until IS NULL OR locked_until < NOW())
+    RETURNING name
+  `, [job.name, INSTANCE_ID, job.leaseMinutes]);
+  if (claim.rows.length === 0) return false;
+  
+  console.log(`Scheduler: running ${job.name}...`);
+  const startTime = Date.now();
+  let status = 'completed';
+  let errorMessage = null;
+  
+  try {
+    const result = await job.run();
+    if (result?.skipped) {
+      status = 'skipped';
+      errorMessage = result.skipped;
+    }
+  } catch (error) {
+    console.error(`Scheduler: ${job.name} failed:`, error);
+    status = 'failed';
+    errorMessage = error.message;
+  }
+  
+  // Release the lease and book the next run
+  await pool.query(`
+    UPDATE scheduled_jobs
+    SET locked_by = NULL,
+        locked_until = NULL,
+        last_run_at = NOW(),
+        last_status = $2,
+        last_error = $3,
+        last_duration_seconds = $4,
+        next_run_at = $5
+    WHERE name = $1 AND locked_by = $6
+  `, [job.name, status, errorMessage, Math.round((Date.now() - startTime) / 1000),
+      nextScheduledRun(parseSchedule(job.schedule)), INSTANCE_ID]);
+  
+  console.log(`Scheduler: ${job.name} ${status} in ${Math.round((Date.now() - startTime) / 1000)}s`);
+  return true;
+}
+
+// Jobs currently running in this process (a tick never starts one twice)
+const runningScheduledJobs = new Set();
+
+async function schedulerTick() {
+  for (const job of SCHEDULED_JOBS) {
+    if (runningScheduledJobs.has(job.name)) continue;
+    runningScheduledJobs.add(job.name);
+    
+    // Jobs run side by side; each one holds its own lease
+    runScheduledJob(job)
+      .catch(error => console.error(`Scheduler: error checking ${job.name}:`, error.message))
+      .finally(() => runningScheduledJobs.delete(job.name));
+  }
+}
+
+async function startScheduler() {
+  if (!SCHEDULER_ENABLED) {
+    console.log('Scheduler disabled (SCHEDULER_ENABLED=false)');
+    return;
+  }
+  
+  try {
+    await registerScheduledJobs();
+  } catch (error) {
+    console.error('Scheduler: could not register jobs:', error.message);
+    return;
   }
+  
+  console.log(`Scheduler started on ${INSTANCE_ID}`);
+  setInterval(schedulerTick, SCHEDULER_TICK_MS);
+  schedulerTick();
+}
+
+// Helper: Scheduled jobs with their next/last runs for /api/sync/status
+async function getScheduledJobs() {
+  const result = await pool.query(`SELECT * FROM scheduled_jobs ORDER BY name`);
+  const rows = new Map(result.rows.map(row => [row.name, row]));
+  
+  return SCHEDULED_JOBS.map(job => {
+    const row = rows.get(job.name) || {};
+    return {
+      name: job.name,
+      description: job.description,
+      schedule: job.schedule,
+      enabled: row.enabled ?? false,
+      running: Boolean(row.locked_until && new Date(row.locked_until) > new Date()),
+      runningOn: row.locked_by || null,
+      nextRunAt: row.next_run_at || null,
+      lastStartedAt: row.last_started_at || null,
+      lastRunAt: row.last_run_at || null,
+      lastStatus: row.last_status || null,
+      lastError: row.last_error || null,
+      lastDurationSeconds: row.last_duration_seconds ?? null,
+    };
+  });
 }
 
 // Get SalesIQ data (queries database with date range)
@@ -3051,187 +6960,29 @@ app.get('/api/customers/match', async (req, res) => {
   }
 });
 
+const firstDibs = createFirstDibsMatcher({
+  db: pool,
+  getItems: getHeartlandItems,
+  getVendorName,
+  getImageUrl: getPrimaryImageUrl,
+});
+
 // Get First Dibs matches - new arrivals matched to customers
 app.get('/api/firstdibsai/matches', async (req, res) => {
   try {
-    const limit = parseInt(req.query.limit) || 20;
-    const daysBack = parseInt(req.query.days) || 7; // Look at receipts from last 7 days
-    
-    // Step 1: Get recent receipt items (new arrivals)
-    const dateFilter = new Date(Date.now() - daysBack * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-    
-    const receipts = await heartlandRequest(
-      `/purchasing/receipts?per_page=20&_filter[created_at][$gte]=${dateFilter}&_filter[status]=complete&sort[]=updated_at,desc`
-    );
-    
-    if (!receipts.results || receipts.results.length === 0) {
-      return res.json({ 
-        matches: [], 
-        newItemCount: 0,
-        message: 'No recent receipts found' 
-      });
-    }
-    
-    // Step 2: Get unique items from recent receipts with their details
-    const newItems = [];
-    const seenGrids = new Set();
-    
-    for (const receipt of receipts.results.slice(0, 10)) { // Limit to 10 most recent receipts
-      try {
-        const lines = await heartlandRequest(`/purchasing/receipts/${receipt.id}/lines?per_page=50`);
-        
-        for (const line of (lines.results || []).slice(0, 20)) {
-          if (!line.item_id) continue;
-          
-          try {
-            const item = await heartlandRequest(`/items/${line.item_id}`);
-            
-            // Skip if we've already processed this grid
-            if (item.grid_id && seenGrids.has(item.grid_id)) continue;
-            if (item.grid_id) seenGrids.add(item.grid_id);
-            
-            const brand = item.custom?.brand || item.custom?.Brand || '';
-            const category = item.custom?.category || item.custom?.Category || '';
-            const size = item.custom?.size || item.custom?.Size || '';
-            
-            // Only include items with brand info (needed for matching)
-            if (!brand) continue;
-            
-            let vendorName = brand;
-            if (item.primary_vendor_id) {
-              vendorName = await getVendorName(item.primary_vendor_id);
-            }
-            
-            newItems.push({
-              id: item.grid_id || item.id,
-              name: item.custom?.style_name || item.description || 'Unknown Item',
-              brand: vendorName,
-              category: category,
-              color: item.custom?.color_name || item.custom?.Color_Name || '',
-              size: size,
-              price: item.price || 0,
-              receiptDate: receipt.created_at,
-              itemId: item.id
-            });
-            
-            if (newItems.length >= 30) break; // Limit items to process
-          } catch (e) {
-            // Skip items that can't be fetched
-          }
-        }
-        
-        if (newItems.length >= 30) break;
-      } catch (e) {
-        console.error(`Error fetching receipt ${receipt.id} lines:`, e.message);
-      }
-    }
-    
-    // Step 3: For each new item, find matching customers
-    const matches = [];
-    
-    for (const item of newItems) {
-      // Find customers who have bought this brand before
-      const customerResult = await pool.query(`
-        SELECT DISTINCT ON (c.heartland_customer_id)
-          c.heartland_customer_id,
-          c.first_name,
-          c.last_name,
-          c.email,
-          c.phone,
-          c.lifetime_value,
-          EXTRACT(DAY FROM NOW() - c.last_purchase_date)::INTEGER as days_since_purchase
-        FROM customers c
-        INNER JOIN sales_transactions st ON st.customer_id = c.heartland_customer_id
-        WHERE (c.email IS NOT NULL OR c.phone IS NOT NULL)
-          AND st.brand = $1
-        ORDER BY c.heartland_customer_id, c.lifetime_value DESC
-        LIMIT 5
-      `, [item.brand]);
-      
-      for (const cust of customerResult.rows) {
-        // Get customer's previous purchase of this brand
-        const prevPurchaseResult = await pool.query(`
-          SELECT item_name, brand, item_color, item_size, total_amount, transaction_date
-          FROM sales_transactions
-          WHERE customer_id = $1 AND brand = $2
-          ORDER BY transaction_date DESC
-          LIMIT 1
-        `, [cust.heartland_customer_id, item.brand]);
-        
-        const prevPurchase = prevPurchaseResult.rows[0];
-        if (!prevPurchase) continue;
-        
-        // Calculate match strength
-        let matchStrength = 'good';
-        const sizeMatch = prevPurchase.item_size === item.size;
-        if (sizeMatch && cust.days_since_purchase < 90) {
-          matchStrength = 'strong';
-        }
-        
-        // Generate draft message
-        const firstName = cust.first_name || 'there';
-        const draftMessage = `Hi ${firstName}! It's Kelly at The Boutique. We just got the new ${item.brand} ${item.name} and I immediately thought of you based on your love of ${item.brand}. Want me to hold one for you? 💙`;
-        
-        matches.push({
-          id: `${item.id}-${cust.heartland_customer_id}`,
-          customer: {
-            id: cust.heartland_customer_id,
-            name: `${cust.first_name || ''} ${cust.last_name || ''}`.trim() || 'Unknown Customer',
-            email: cust.email,
-            phone: cust.phone
-          },
-          previousPurchase: {
-            item: prevPurchase.item_name,
-            brand: prevPurchase.brand,
-            color: prevPurchase.item_color,
-            size: prevPurchase.item_size,
-            date: prevPurchase.transaction_date ? new Date(prevPurchase.transaction_date).toISOString().split('T')[0] : null,
-            price: parseFloat(prevPurchase.total_amount)
-          },
-          newItem: {
-            name: item.name,
-            brand: item.brand,
-            color: item.color,
-            size: item.size,
-            price: item.price,
-            imageUrl: null // Would need Shopify integration for images
-          },
-          daysSincePurchase: cust.days_since_purchase,
-          daysSinceContact: null,
-          draftMessage: draftMessage,
-          matchStrength: matchStrength,
-          itemStatus: 'ready'
-        });
-        
-        if (matches.length >= limit) break;
-      }
-      
-      if (matches.length >= limit) break;
-    }
-    
-    // Sort by match strength (strong first) then by days since purchase
-    matches.sort((a, b) => {
-      if (a.matchStrength === 'strong' && b.matchStrength !== 'strong') return -1;
-      if (b.matchStrength === 'strong' && a.matchStrength !== 'strong') return 1;
-      return (a.daysSincePurchase || 999) - (b.daysSincePurchase || 999);
-    });
-    
-    res.json({
-      matches: matches.slice(0, limit),
-      newItemCount: newItems.length,
-      receiptCount: receipts.results.length
-    });
-    
+    res.json(await firstDibs.findMatches({
+      limit: parseInt(req.query.limit) || 20,
+      daysBack: parseInt(req.query.days) || 7, // Look at receipts from last 7 days
+    }));
   } catch (error) {
     console.error('Error getting First Dibs matches:', error);
     res.status(500).json({ error: error.message });
   }
 });
-
 // Send FirstDibsAI message via Klaviyo
 app.post('/api/firstdibsai/send', async (req, res) => {
   try {
-    const { customerId, message, method } = req.body;
+    const { customerId, message, method, gridId } = req.body;
     
     // Get customer details
     const customerResult = await pool.query(`
@@ -3246,6 +6997,9 @@ app.post('/api/firstdibsai/send', async (req, res) => {
     
     const customer = customerResult.rows[0];
     
+    // Klaviyo renders the image outside the app, so it needs a public absolute URL
+    const imageUrl = await getPublicImageUrl(gridId);
+    
     // Send to Klaviyo
     try {
       const klaviyoPayload = {
@@ -3264,7 +7018,8 @@ app.post('/api/firstdibsai/send', async (req, res) => {
             properties: {
               message: message,
               method: method,
-              customer_id: customerId
+              customer_id: customerId,
+              image_url: imageUrl
             }
           }
         }
@@ -3301,11 +7056,7 @@ app.post('/api/firstdibsai/send', async (req, res) => {
 // Get sync status
 app.get('/api/sync/status', async (req, res) => {
   try {
-    const result = await pool.query(`
-      SELECT * FROM sync_log 
-      ORDER BY started_at DESC 
-      LIMIT 10
-    `);
+    const recentSyncs = await getSyncRuns({ limit: 10 });
     
     // Get data freshness
     const salesCache = await pool.query(
@@ -3315,6 +7066,13 @@ app.get('/api/sync/status', async (req, res) => {
       `SELECT synced_at FROM inventory_cache WHERE cache_key = 'inventory_analysis'`
     );
     
+    // Where each entity's next incremental pull starts from
+    const cursors = await pool.query(`
+      SELECT entity, watermark, records_synced, full_resync, updated_at
+      FROM sync_cursors
+      ORDER BY entity
+    `);
+    
     // Get record counts
     const counts = await pool.query(`
       SELECT 
@@ -3323,37 +7081,202 @@ app.get('/api/sync/status', async (req, res) => {
     `);
     
     res.json({
-      recentSyncs: result.rows,
+      recentSyncs,
       dataFreshness: {
         sales: salesCache.rows[0]?.synced_at || null,
         inventory: inventoryCache.rows[0]?.synced_at || null
       },
-      recordCounts: counts.rows[0]
+      syncCursors: cursors.rows,
+      scheduledJobs: await getScheduledJobs(),
+      recordCounts: counts.rows[0],
+      heartlandApi: heartland.getMetrics().totals
     });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
 });
 
-// Manual sync trigger (for testing - requires auth)
-app.post('/api/sync/manual', async (req, res) => {
+// One sync run with its pipeline steps
+app.get('/api/sync/runs/:id', async (req, res) => {
   try {
-    res.json({ message: 'Manual sync started', status: 'running' });
+    const logId = parseIdParam(req.params.id);
+    if (!logId) {
+      return res.status(400).json({ error: 'Invalid sync run ID' });
+    }
     
-    // Run sync in background
-    runNightlySync().catch(err => {
-      console.error('Manual sync failed:', err);
+    const [run] = await getSyncRuns({ id: logId });
+    if (!run) {
+      return res.status(404).json({ error: 'Sync run not found' });
+    }
+    res.json({ ...run, active: activeSyncRuns.has(run.id) });
+  } catch (error) {
+    console.error('Error fetching sync run:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Retry one failed or cancelled step of a sync run; steps it blocked (or the cancel stopped)
+// run again once it completes
+app.post('/api/sync/runs/:id/steps/:step/retry', async (req, res) => {
+  try {
+    const logId = parseIdParam(req.params.id);
+    if (!logId) {
+      return res.status(400).json({ error: 'Invalid sync run ID' });
+    }
+    
+    // Still being worked, here or by an instance that holds its lease
+    const leased = await pool.query(
+      `SELECT 1 FROM sync_log WHERE id = $1 AND NOT ${RUN_LEASE_EXPIRED}`,
+      [logId]
+    );
+    if (activeSyncRuns.has(logId) || leased.rows.length > 0) {
+      return res.status(409).json({ error: 'This sync run is still running' });
+    }
+    const running = await pool.query(
+      `SELECT id FROM sync_log WHERE status = 'running' AND id <> $1 LIMIT 1`,
+      [logId]
+    );
+    if (running.rows.length > 0) {
+      const error = syncAlreadyRunningError(running.rows[0].id);
+      return res.status(409).json({ error: error.message, status: 'already_running', runId: error.runId });
+    }
+    
+    const stepResult = await pool.query(
+      'SELECT status FROM sync_steps WHERE sync_log_id = $1 AND step = $2',
+      [logId, req.params.step]
+    );
+    if (stepResult.rows.length === 0) {
+      return res.status(404).json({ error: 'Sync step not found' });
+    }
+    if (!['failed', 'cancelled'].includes(stepResult.rows[0].status)) {
+      return res.status(400).json({ error: `Only failed or cancelled steps can be retried (this one is ${stepResult.rows[0].status})` });
+    }
+    
+    await pool.query(`
+      UPDATE sync_steps SET status = 'pending'
+      WHERE sync_log_id = $1 AND (step = $2 OR status IN ('blocked', 'cancelled'))
+    `, [logId, req.params.step]);
+    await pool.query('UPDATE sync_log SET cancel_requested = false WHERE id = $1', [logId]);
+    
+    runSyncPipeline(logId).catch(err => {
+      console.error(`Retried sync run ${logId} failed:`, err);
+    });
+    
+    res.json({ success: true, message: `Retrying ${req.params.step}` });
+  } catch (error) {
+    console.error('Error retrying sync step:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Cancel the running sync. The current step stops at its next record (or Heartland request)
+// and the remaining steps are marked cancelled; they can be picked up later with retry.
+app.post('/api/sync/cancel', async (req, res) => {
+  try {
+    const result = await pool.query(`
+      UPDATE sync_log SET cancel_requested = true
+      WHERE status = 'running'
+      RETURNING id
+    `);
+    if (result.rows.length === 0) {
+      return res.status(404).json({ error: 'No sync is running' });
+    }
+    
+    // Runs in this process stop right away; elsewhere the flag is seen at the next progress write
+    const runId = result.rows[0].id;
+    activeSyncRuns.get(runId)?.abort();
+    
+    res.json({ success: true, runId, status: 'cancelling' });
+  } catch (error) {
+    console.error('Error cancelling sync:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Helper: The running sync (or the latest one) with per-step progress
+async function getSyncProgress() {
+  const latest = await pool.query(`
+    SELECT id FROM sync_log
+    ORDER BY (status = 'running') DESC, started_at DESC
+    LIMIT 1
+  `);
+  if (latest.rows.length === 0) return null;
+  
+  const [run] = await getSyncRuns({ id: latest.rows[0].id });
+  return {
+    runId: run.id,
+    status: run.status,
+    mode: run.options?.fullResync ? 'full' : 'incremental',
+    cancelRequested: run.cancel_requested,
+    startedAt: run.started_at,
+    completedAt: run.completed_at,
+    steps: run.steps.map(step => ({
+      step: step.step,
+      status: step.status,
+      records: step.records_processed,
+      progress: step.progress,
+      error: step.error_message,
+    })),
+  };
+}
+
+// Live sync progress. Plain GET returns the current snapshot; with Accept: text/event-stream
+// it streams a "progress" event every couple of seconds and a final "done" event.
+app.get('/api/sync/progress', async (req, res) => {
+  try {
+    if (!(req.headers.accept || '').includes('text/event-stream')) {
+      const progress = await getSyncProgress();
+      if (!progress) {
+        return res.status(404).json({ error: 'No sync has run yet' });
+      }
+      return res.json(progress);
+    }
+    
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
     });
+    
+    let closed = false;
+    req.on('close', () => { closed = true; });
+    
+    while (!closed) {
+      const progress = await getSyncProgress();
+      if (!progress || progress.status !== 'running') {
+        sendServerEvent(res, 'done', progress);
+        break;
+      }
+      sendServerEvent(res, 'progress', progress);
+      await new Promise(resolve => setTimeout(resolve, SYNC_PROGRESS_INTERVAL_MS));
+    }
+    res.end();
   } catch (error) {
+    console.error('Error streaming sync progress:', error);
+    if (res.headersSent) {
+      sendServerEvent(res, 'error', { error: error.message });
+      return res.end();
+    }
     res.status(500).json({ error: error.message });
   }
 });
 
+// Heartland API client metrics: per-endpoint request counts, errors, retries and latency
+app.get('/api/heartland/metrics', (req, res) => {
+  res.json(heartland.getMetrics());
+});
+
+// Manual sync trigger (for testing - requires auth)
+app.post('/api/sync/manual', async (req, res) => {
+  const fullResync = req.body.full === true || req.query.full === 'true';
+  await startSyncInBackground(res, { fullResync, label: 'Manual' });
+});
+
 // Health check endpoint
 app.get('/api/health', async (req, res) => {
   try {
-    // Test Heartland connection
-    await heartlandRequest('/system/whoami');
+    // Test Heartland connection (no retries - report the current state quickly)
+    await heartlandRequest('/system/whoami', { retries: 0 });
     
     // Test database connection
     await pool.query('SELECT 1');
@@ -3363,6 +7286,7 @@ app.get('/api/health', async (req, res) => {
       heartland: 'connected',
       database: 'connected',
       anthropic: process.env.ANTHROPIC_API_KEY ? 'configured' : 'missing',
+      shopify: SHOPIFY_TOKEN ? 'configured' : 'missing',
     });
   } catch (error) {
     res.json({ 
@@ -3370,6 +7294,7 @@ app.get('/api/health', async (req, res) => {
       heartland: 'error: ' + error.message,
       database: 'unknown',
       anthropic: process.env.ANTHROPIC_API_KEY ? 'configured' : 'missing',
+      shopify: SHOPIFY_TOKEN ? 'configured' : 'missing',
     });
   }
 });
@@ -0,0 +1,168 @@
+// Shopify publishing
+// Creates or updates the Shopify product for a Heartland grid and remembers the link in
+// shopify_products. A product that was deleted in Shopify is published again as a new one.
+// Where the grid, its photos and the database come from is passed in, so npm test can run the
+// whole publish against a local mock Shopify Admin API.
+
+// Helper: Shopify product options/variants from the grid's colors and sizes
+function buildShopifyVariants(variants, variantIds = {}) {
+  const optionNames = [];
+  if (variants.some(v => v.color)) optionNames.push('Color');
+  if (variants.some(v => v.size)) optionNames.push('Size');
+
+  const shopifyVariants = variants.map(v => {
+    const values = optionNames.map(name => (name === 'Color' ? v.color : v.size) || 'Default');
+    const variant = {
+      sku: v.sku,
+      price: v.price != null ? String(v.price) : undefined,
+      inventory_management: null,
+    };
+    values.forEach((value, index) => {
+      variant[`option${index + 1}`] = value;
+    });
+    // Keep existing Shopify variants (and their history) when updating
+    if (variantIds[v.heartlandItemId]) {
+      variant.id = variantIds[v.heartlandItemId];
+    }
+    return variant;
+  });
+
+  return {
+    options: optionNames.length > 0 ? optionNames.map(name => ({ name })) : undefined,
+    variants: shopifyVariants,
+  };
+}
+
+function createShopifyClient({ baseUrl, token }) {
+  // Admin API request; non-2xx responses throw with error.status set
+  async function request(endpoint, options = {}) {
+    if (!baseUrl || !token) {
+      throw new Error('Shopify is not configured - set SHOPIFY_STORE_DOMAIN and SHOPIFY_ACCESS_TOKEN');
+    }
+
+    const response = await fetch(`${baseUrl}${endpoint}`, {
+      ...options,
+      headers: {
+        'X-Shopify-Access-Token': token,
+        'Content-Type': 'application/json',
+        ...options.headers,
+      },
+    });
+
+    const text = await response.text();
+    if (!response.ok) {
+      console.error('Shopify API error details:', text);
+      const error = new Error(`Shopify API error: ${response.status} ${response.statusText}${text ? ` - ${text}` : ''}`);
+      error.status = response.status;
+      throw error;
+    }
+
+    return text ? JSON.parse(text) : {};
+  }
+
+  return { request };
+}
+
+// shopify:    a client from createShopifyClient
+// db:         anything with pg's query(text, values)
+// loadGrid:   gridId -> { title, category, vendor, variants: [{ heartlandItemId, sku, color, size, price }] }
+// loadImages: gridId -> [{ buffer, originalname, altText }] (the grid's photo library)
+// slugify:    text -> URL handle
+function createShopifyPublisher({ shopify, db, loadGrid, loadImages, slugify }) {
+  // Create or update the Shopify product for a grid. Returns the stored link.
+  async function publishGridToShopify(gridId, { description, metaDescription, copy, draftId = null, username = null }) {
+    const grid = await loadGrid(gridId);
+    if (grid.variants.length === 0) {
+      throw new Error('Grid has no items in Heartland');
+    }
+
+    const existing = await db.query('SELECT * FROM shopify_products WHERE grid_id = $1', [gridId]);
+    const link = existing.rows[0];
+    const { options, variants } = buildShopifyVariants(grid.variants, link ? link.variant_ids : {});
+
+    const product = {
+      title: grid.title,
+      body_html: description,
+      vendor: grid.vendor || undefined,
+      product_type: grid.category || undefined,
+      tags: (copy.tags || []).join(', '),
+      handle: slugify(copy.urlHandle) || undefined,
+      metafields_global_title_tag: copy.seoTitle || undefined,
+      metafields_global_description_tag: metaDescription || undefined,
+      options,
+      variants,
+    };
+
+    // The grid's photo library replaces the product images; with no saved photos the existing images are kept
+    const images = await loadImages(gridId);
+    if (images.length > 0) {
+      product.images = images.map((img, index) => ({
+        attachment: img.buffer.toString('base64'),
+        filename: img.originalname,
+        alt: img.altText || (copy.imageAltText || [])[index] || undefined,
+      }));
+    }
+
+    let saved;
+    let created = false;
+    if (link) {
+      try {
+        const data = await shopify.request(`/products/${link.shopify_product_id}.json`, {
+          method: 'PUT',
+          body: JSON.stringify({ product: { id: Number(link.shopify_product_id), ...product } }),
+        });
+        saved = data.product;
+      } catch (error) {
+        // Product was deleted in Shopify - publish it again as a new product
+        if (error.status !== 404) throw error;
+        console.log(`Shopify product ${link.shopify_product_id} for grid ${gridId} is gone, recreating`);
+      }
+    }
+    if (!saved) {
+      // Variant IDs from a deleted product are meaningless
+      product.variants = buildShopifyVariants(grid.variants).variants;
+      const data = await shopify.request('/products.json', {
+        method: 'POST',
+        body: JSON.stringify({ product }),
+      });
+      saved = data.product;
+      created = true;
+    }
+
+    // Match returned variants back to Heartland items by SKU
+    const variantIds = {};
+    for (const v of grid.variants) {
+      const match = (saved.variants || []).find(sv => sv.sku === v.sku);
+      if (match) variantIds[v.heartlandItemId] = match.id;
+    }
+
+    // The first image's CDN URL is public, so customer messages can link it
+    const imageUrl = (saved.images || [])[0]?.src || null;
+    
+    await db.query(`
+      INSERT INTO shopify_products (grid_id, shopify_product_id, shopify_handle, variant_ids, draft_id, published_by, image_url, published_at)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, CURRENT_TIMESTAMP)
+      ON CONFLICT (grid_id) DO UPDATE SET
+        shopify_product_id = EXCLUDED.shopify_product_id,
+        shopify_handle = EXCLUDED.shopify_handle,
+        variant_ids = EXCLUDED.variant_ids,
+        draft_id = EXCLUDED.draft_id,
+        published_by = EXCLUDED.published_by,
+        image_url = EXCLUDED.image_url,
+        published_at = CURRENT_TIMESTAMP
+    `, [gridId, saved.id, saved.handle || null, JSON.stringify(variantIds), draftId, username, imageUrl]);
+
+    return {
+      shopifyProductId: saved.id,
+      handle: saved.handle || null,
+      variantCount: (saved.variants || []).length,
+      imageCount: (saved.images || []).length,
+      imageUrl,
+      created,
+    };
+  }
+
+  return { publishGridToShopify };
+}
+
+module.exports = { buildShopifyVariants, createShopifyClient, createShopifyPublisher };
@@ -0,0 +1,107 @@
+// FirstDibsAI matching against seeded item_receipts, customers and sales_transactions rows.
+
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { createFirstDibsMatcher } = require('../firstDibs');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+
+// ========== In-memory tables ==========
+let itemReceipts = [];
+let customers = [];
+let sales = [];
+
+const db = {
+  async query(text, values) {
+    if (text.includes('FROM item_receipts')) {
+      const [since] = values;
+      const recent = itemReceipts
+        .filter(row => row.received_date.toISOString().split('T')[0] >= since)
+        .sort((a, b) => b.received_date - a.received_date || a.id - b.id);
+      return { rows: recent.map(({ receipt_id, received_date, item_id }) => ({ receipt_id, received_date, item_id })) };
+    }
+    if (text.includes('FROM customers c')) {
+      const [brand] = values;
+      const buyers = new Set(sales.filter(s => s.brand === brand).map(s => s.customer_id));
+      return { rows: customers.filter(c => buyers.has(c.heartland_customer_id)) };
+    }
+    if (text.includes('FROM sales_transactions')) {
+      const [customerId, brand] = values;
+      return { rows: sales.filter(s => s.customer_id === customerId && s.brand === brand).slice(0, 1) };
+    }
+    throw new Error(`Unexpected query: ${text}`);
+  },
+};
+
+const items = new Map([
+  ['101', { id: 101, grid_id: 55, primary_vendor_id: 7, description: 'Cardigan S', price: 98, custom: { brand: 'Sparkles', style_name: 'Confetti Pop Cardigan', size: 'S' } }],
+  ['102', { id: 102, grid_id: 55, primary_vendor_id: 7, description: 'Cardigan M', price: 98, custom: { brand: 'Sparkles', style_name: 'Confetti Pop Cardigan', size: 'M' } }],
+  ['201', { id: 201, grid_id: 66, description: 'Tote', price: 40, custom: {} }],
+]);
+
+const matcher = createFirstDibsMatcher({
+  db,
+  getItems: async (ids) => new Map(ids.map(String).filter(id => items.has(id)).map(id => [id, items.get(id)])),
+  getVendorName: async () => 'Queen of Sparkles',
+  getImageUrl: async (gridId) => `/api/images/${gridId}/thumbnail`,
+});
+
+beforeEach(() => {
+  itemReceipts = [];
+  customers = [];
+  sales = [];
+});
+
+test('returns no matches when nothing was received recently', async () => {
+  itemReceipts = [{ id: 1, receipt_id: '900', received_date: new Date('2026-09-01T10:00:00Z'), item_id: '101' }];
+
+  const result = await matcher.findMatches({ now: NOW });
+
+  assert.deepEqual(result.matches, []);
+  assert.equal(result.receiptCount, 0);
+  assert.equal(result.message, 'No recent receipts found');
+});
+
+test('matches recent arrivals to customers who bought the brand', async () => {
+  itemReceipts = [
+    { id: 1, receipt_id: '900', received_date: new Date('2026-10-18T10:00:00Z'), item_id: '101' },
+    { id: 2, receipt_id: '900', received_date: new Date('2026-10-18T10:00:00Z'), item_id: '102' },
+    { id: 3, receipt_id: '901', received_date: new Date('2026-10-17T10:00:00Z'), item_id: '201' },
+  ];
+  customers = [
+    { heartland_customer_id: 'C1', first_name: 'Dana', last_name: 'Lee', email: 'dana@example.com', phone: null, days_since_purchase: 20 },
+    { heartland_customer_id: 'C2', first_name: 'Sam', last_name: 'Ray', email: null, phone: '555-0100', days_since_purchase: 200 },
+  ];
+  sales = [
+    { customer_id: 'C1', brand: 'Queen of Sparkles', item_name: 'Star Sweater', item_size: 'S', item_color: 'Red', total_amount: '88.00', transaction_date: new Date('2026-09-29T15:00:00Z') },
+    { customer_id: 'C2', brand: 'Queen of Sparkles', item_name: 'Moon Top', item_size: 'L', item_color: 'Blue', total_amount: '64.00', transaction_date: new Date('2026-04-02T15:00:00Z') },
+  ];
+
+  const result = await matcher.findMatches({ now: NOW });
+
+  assert.equal(result.receiptCount, 2);
+  // One grid per new item; the unbranded tote is left out
+  assert.equal(result.newItemCount, 1);
+  assert.deepEqual(result.matches.map(m => [m.customer.id, m.matchStrength]), [['C1', 'strong'], ['C2', 'good']]);
+
+  const [first] = result.matches;
+  assert.equal(first.id, '55-C1');
+  assert.equal(first.newItem.gridId, 55);
+  assert.equal(first.newItem.name, 'Confetti Pop Cardigan');
+  assert.equal(first.newItem.imageUrl, '/api/images/55/thumbnail');
+  assert.equal(first.previousPurchase.price, 88);
+  assert.match(first.draftMessage, /^Hi Dana!/);
+});
+
+test('stops at the limit', async () => {
+  itemReceipts = [{ id: 1, receipt_id: '900', received_date: new Date('2026-10-18T10:00:00Z'), item_id: '101' }];
+  customers = [
+    { heartland_customer_id: 'C1', first_name: 'Dana', email: 'dana@example.com', days_since_purchase: 20 },
+    { heartland_customer_id: 'C2', first_name: 'Sam', email: 'sam@example.com', days_since_purchase: 30 },
+  ];
+  sales = customers.map(c => ({ customer_id: c.heartland_customer_id, brand: 'Queen of Sparkles', item_name: 'Top', item_size: 'M', total_amount: '50.00', transaction_date: new Date('2026-10-01T15:00:00Z') }));
+
+  const result = await matcher.findMatches({ limit: 1, now: NOW });
+
+  assert.equal(result.matches.length, 1);
+});
@@ -0,0 +1,145 @@
+// Heartland client against a local mock API: retries, rate limiting, paging and mapWithConcurrency.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createHeartlandClient } = require('../heartlandClient');
+
+// ========== Mock Heartland API ==========
+// Each test queues responses per path; anything unqueued answers 200 {}. Requests are recorded.
+let responses = new Map();
+let requests = [];
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    requests.push({ method: req.method, url: req.url, at: Date.now(), authorization: req.headers.authorization });
+    const path = req.url.split('?')[0];
+    const queue = responses.get(path) || [];
+    const next = queue.length > 1 ? queue.shift() : queue[0] || { status: 200, body: {} };
+    const reply = typeof next === 'function' ? next(req) : next;
+    res.writeHead(reply.status, { 'Content-Type': 'application/json', ...(reply.headers || {}) });
+    res.end(reply.body === undefined ? '' : JSON.stringify(reply.body));
+  });
+});
+
+let baseUrl;
+const client = (options = {}) => createHeartlandClient({ baseUrl, token: 'test-token', retryBaseMs: 1, requestsPerSecond: 1000, burst: 1000, ...options });
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  responses = new Map();
+  requests = [];
+});
+
+test('sends the bearer token and parses JSON', async () => {
+  responses.set('/items/1', [{ status: 200, body: { id: 1, price: 98 } }]);
+
+  const item = await client().request('/items/1');
+
+  assert.deepEqual(item, { id: 1, price: 98 });
+  assert.equal(requests[0].authorization, 'Bearer test-token');
+});
+
+test('retries a GET on 503 and records it in the metrics', async () => {
+  responses.set('/items/7', [{ status: 503, body: {} }, { status: 503, body: {} }, { status: 200, body: { id: 7 } }]);
+  const heartland = client();
+
+  const item = await heartland.request('/items/7');
+
+  assert.deepEqual(item, { id: 7 });
+  assert.equal(requests.length, 3);
+  const [metrics] = heartland.getMetrics().endpoints;
+  assert.equal(metrics.endpoint, '/items/:id');
+  assert.equal(metrics.requests, 3);
+  assert.equal(metrics.retries, 2);
+});
+
+test('does not retry a POST on 503, but does on 429', async () => {
+  responses.set('/sales/tickets', [{ status: 503, body: { error: 'down' } }]);
+  await assert.rejects(client().request('/sales/tickets', { method: 'POST', body: '{}' }), error => error.status === 503);
+  assert.equal(requests.length, 1);
+
+  requests = [];
+  responses.set('/sales/tickets', [{ status: 429, headers: { 'Retry-After': '0' }, body: {} }, { status: 201, body: { id: 9 } }]);
+  assert.deepEqual(await client().request('/sales/tickets', { method: 'POST', body: '{}' }), { id: 9 });
+  assert.equal(requests.length, 2);
+});
+
+test('gives up after maxRetries and does not retry a 404', async () => {
+  responses.set('/items/8', [{ status: 500, body: {} }]);
+  await assert.rejects(client({ maxRetries: 2 }).request('/items/8'), error => error.status === 500);
+  assert.equal(requests.length, 3);
+
+  requests = [];
+  responses.set('/items/9', [{ status: 404, body: {} }]);
+  await assert.rejects(client().request('/items/9'), error => error.status === 404);
+  assert.equal(requests.length, 1);
+});
+
+test('the token bucket spaces requests out once the burst is used', async () => {
+  const heartland = client({ requestsPerSecond: 20, burst: 2 });
+
+  await Promise.all([1, 2, 3, 4].map(id => heartland.request(`/items/${id}`)));
+
+  // Two go straight away, the next two wait ~50ms each for a token
+  const elapsed = requests[3].at - requests[0].at;
+  assert.ok(elapsed >= 80, `4 requests took ${elapsed}ms`);
+});
+
+test('fetchAllPages follows pages until a short page', async () => {
+  const page = (n, count) => ({ status: 200, body: { results: Array.from({ length: count }, (_, i) => ({ id: n * 1000 + i })) } });
+  responses.set('/items', [req => {
+    const pageNumber = Number(new URL(req.url, baseUrl).searchParams.get('page'));
+    return page(pageNumber, pageNumber < 3 ? 100 : 5);
+  }]);
+
+  const items = await client().fetchAllPages('/items?_filter[grid_id]=55');
+
+  assert.equal(items.length, 205);
+  assert.deepEqual(requests.map(r => new URL(r.url, baseUrl).searchParams.get('page')), ['1', '2', '3']);
+  assert.ok(requests.every(r => r.url.includes('_filter[grid_id]=55') && r.url.includes('per_page=100')));
+});
+
+test('fetchAllPages stops at maxPages', async () => {
+  responses.set('/items', [{ status: 200, body: { results: Array.from({ length: 100 }, (_, i) => ({ id: i })) } }]);
+
+  const items = await client().fetchAllPages('/items', 2);
+
+  assert.equal(items.length, 200);
+  assert.equal(requests.length, 2);
+});
+
+test('mapWithConcurrency keeps input order and limits calls in flight', async () => {
+  let inFlight = 0;
+  let maxInFlight = 0;
+
+  const results = await client().mapWithConcurrency([30, 10, 20, 5, 15], async (ms, index) => {
+    inFlight++;
+    maxInFlight = Math.max(maxInFlight, inFlight);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    inFlight--;
+    return `${index}:${ms}`;
+  }, 2);
+
+  assert.deepEqual(results, ['0:30', '1:10', '2:20', '3:5', '4:15']);
+  assert.equal(maxInFlight, 2);
+});
+
+test('mapWithConcurrency stops starting items after a throw', async () => {
+  const started = [];
+
+  await assert.rejects(client().mapWithConcurrency([1, 2, 3, 4, 5], async (n) => {
+    started.push(n);
+    if (n === 2) throw new Error('cancelled');
+  }, 1), /cancelled/);
+
+  assert.deepEqual(started, [1, 2]);
+});
@@ -0,0 +1,110 @@
+// InventoryIQ aging analysis: buckets, per-category and seasonal rules, exclusions and rule validation.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DEFAULT_INVENTORY_RULES,
+  validateInventoryRules,
+  formatMarkdown,
+  analyzeInventory,
+} = require('../inventoryAnalysis');
+
+const NOW = new Date(2026, 9, 19, 12);
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+// One item per age, all 2 on hand at $10 cost
+function run(rules, ages, extra = {}) {
+  const receiveData = {};
+  const inventory = [];
+  for (const [itemId, days, category = 'Tops', vendor = 'Sparkles'] of ages) {
+    receiveData[itemId] = { receivedDate: daysAgo(days), qtyReceived: 4, name: `Item ${itemId}`, category, vendor, cost: 10 };
+    inventory.push({ item_id: itemId, qty_on_hand: 2 });
+  }
+  return analyzeInventory({ ruleSet: { id: 1, name: 'Test', rules }, receiveData, soldData: {}, inventory, now: NOW, ...extra });
+}
+
+test('buckets on-hand items by days since received, oldest first', () => {
+  const result = run({}, [['1', 10], ['2', 50], ['3', 70], ['4', 100], ['5', 130]]);
+  const { summary, items } = result.deadStock;
+
+  assert.equal(summary.itemsFresh, 1);
+  assert.equal(summary.itemsWatch, 1);
+  assert.equal(summary.items60Days, 1);
+  assert.equal(summary.items90Days, 1);
+  assert.equal(summary.items120Days, 1);
+  assert.equal(summary.totalItems, 4);
+  assert.equal(summary.totalValue, 80);
+
+  assert.deepEqual(items.map(item => [item.id, item.bucket]), [['5', 'emergency'], ['4', 'dead'], ['3', 'slow'], ['2', 'watch']]);
+  assert.equal(items[1].suggestedMarkdown, '40-50% off');
+  assert.deepEqual(items[1].markdownPct, { min: 40, max: 50 });
+  assert.equal(items[3].markdownPct, null);
+});
+
+test('items with nothing on hand or no receive date are left out', () => {
+  const result = analyzeInventory({
+    ruleSet: { rules: {} },
+    receiveData: { 1: { receivedDate: daysAgo(100), qtyReceived: 1, cost: 5 }, 2: { qtyReceived: 1, cost: 5 } },
+    soldData: {},
+    inventory: [{ item_id: '1', qty_on_hand: 0 }, { item_id: '2', qty_on_hand: 3 }],
+    now: NOW,
+  });
+
+  assert.equal(result.deadStock.items.length, 0);
+  assert.equal(result.deadStock.summary.itemsFresh, 0);
+});
+
+test('category thresholds and active seasonal overrides replace the base rules', () => {
+  const rules = {
+    categoryThresholds: { Jewelry: { watch: 90, slow: 120, dead: 180, emergency: 240 } },
+    seasonalOverrides: [
+      // Wraps the new year, so it isn't active in October
+      { name: 'Holiday', from: '11-15', to: '01-05', thresholds: { watch: 10, slow: 20, dead: 30, emergency: 40 } },
+      { name: 'Fall', from: '10-01', to: '10-31', categories: ['Tops'], markdowns: { slow: { min: 15, max: 15 } } },
+    ],
+  };
+  const result = run(rules, [['1', 70, 'Jewelry'], ['2', 70, 'Tops'], ['3', 70, 'Dresses']]);
+  const byId = Object.fromEntries(result.deadStock.items.map(item => [item.id, item]));
+
+  assert.equal(byId['1'], undefined); // Jewelry is still fresh at 70 days
+  assert.equal(byId['2'].suggestedMarkdown, '15% off');
+  assert.equal(byId['3'].suggestedMarkdown, '20-30% off');
+  assert.deepEqual(result.rules.activeSeasons, ['Fall']);
+});
+
+test('excluded items are counted by reason but not bucketed', () => {
+  const rules = { exclusions: { vendors: ['Basics Co'], itemIds: ['3'] } };
+  const result = run(rules, [['1', 100, 'Tops', 'Basics Co'], ['2', 100], ['3', 100], ['4', 100]], {
+    itemCustom: { 4: { never_out_of_stock: 'Yes' } },
+  });
+  const { summary, items } = result.deadStock;
+
+  assert.deepEqual(items.map(item => item.id), ['2']);
+  assert.equal(summary.excludedItems, 3);
+  assert.equal(summary.excludedValue, 60);
+  assert.deepEqual(summary.excludedByReason, { vendor: 1, item: 1, 'flag:never_out_of_stock': 1 });
+});
+
+test('validateInventoryRules accepts the defaults and reports bad thresholds and markdowns', () => {
+  assert.deepEqual(validateInventoryRules(DEFAULT_INVENTORY_RULES), []);
+
+  const errors = validateInventoryRules({
+    thresholds: { watch: 45, slow: 40, dead: 90, emergency: 120 },
+    markdowns: { dead: { min: 50, max: 40 }, stale: null },
+    seasonalOverrides: [{ name: 'Spring', from: '3-1', to: '04-01' }],
+  });
+
+  assert.deepEqual(errors, [
+    'thresholds: slow (40) must be later than the bucket before it',
+    'markdowns: dead markdown must be between 1 and 100% (min <= max)',
+    'markdowns: unknown bucket "stale"',
+    'seasonalOverrides[0] (Spring): from and to must be MM-DD',
+  ]);
+});
+
+test('formatMarkdown', () => {
+  assert.equal(formatMarkdown(null), 'Watch closely');
+  assert.equal(formatMarkdown({ min: 20, max: 30 }), '20-30% off');
+  assert.equal(formatMarkdown({ min: 25 }), '25% off');
+  assert.equal(formatMarkdown({ min: 60, note: 'or bundle/donate' }), '60%+ off or bundle/donate');
+});
@@ -0,0 +1,120 @@
+// Reorder suggestions per grid color and size, draft purchase orders and their CSV.
+
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { recommendReorders, buildPurchaseOrders, purchaseOrdersCsv } = require('../reorderAnalysis');
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const daysAgo = (days) => new Date(NOW.getTime() - days * 24 * 60 * 60 * 1000).toISOString();
+
+// Sizes of one grid color, received 4 weeks ago
+function size(itemId, sizeName, unitsSold, onHand, extra = {}) {
+  return {
+    itemId,
+    gridId: 55,
+    style: 'Confetti Pop Cardigan',
+    name: `Cardigan ${sizeName}`,
+    color: 'Ivory',
+    size: sizeName,
+    category: 'Sweaters',
+    vendor: 'Queen of Sparkles',
+    firstReceived: daysAgo(28),
+    lastReceived: daysAgo(28),
+    unitCost: 40,
+    unitsSold,
+    lastSale: daysAgo(2),
+    onHand,
+    ...extra,
+  };
+}
+
+test('splits grid color demand across sizes by share of sales', () => {
+  const { grids } = recommendReorders({
+    items: [size('1', 'S', 4, 1), size('2', 'M', 8, 0, { lastSale: daysAgo(10) }), size('3', 'L', 0, 3)],
+    now: NOW,
+  });
+
+  assert.equal(grids.length, 1);
+  const [grid] = grids;
+  // 12 units over 4 weeks
+  assert.equal(grid.weeklyRate, 3);
+  assert.equal(grid.onHand, 4);
+  assert.equal(grid.weeksOfSupply, 1.3);
+
+  const bySize = Object.fromEntries(grid.sizes.map(s => [s.size, s]));
+  // 8 weeks of cover: S sells 1/week, M 2/week, L nothing
+  assert.equal(bySize.S.suggestedQty, 7);
+  assert.equal(bySize.M.suggestedQty, 16);
+  assert.equal(bySize.L.suggestedQty, 0);
+  assert.equal(bySize.M.soldOut, true);
+  assert.equal(bySize.M.sellOutDays, 18);
+  assert.deepEqual(grid.sizesSoldOutQuickly, ['M']);
+  assert.equal(grid.suggestedQty, 23);
+  assert.equal(grid.suggestedCost, 920);
+});
+
+test('skips slow sellers and grids with enough stock', () => {
+  const { grids } = recommendReorders({
+    items: [
+      size('1', 'S', 1, 0),
+      size('2', 'S', 4, 40, { gridId: 66 }),
+    ],
+    now: NOW,
+  });
+
+  assert.deepEqual(grids, []);
+});
+
+test('velocity uses the sales window when the grid arrived before it', () => {
+  const { grids } = recommendReorders({
+    items: [size('1', 'S', 13, 0, { firstReceived: daysAgo(400) })],
+    options: { salesDays: 91, weeksOfCover: 4 },
+    now: NOW,
+  });
+
+  assert.equal(grids[0].weeklyRate, 1);
+  assert.equal(grids[0].suggestedQty, 4);
+});
+
+test('sizes without a receive date still get suggestions', () => {
+  const { grids } = recommendReorders({
+    items: [
+      size('1', 'S', 4, 0, { firstReceived: undefined }),
+      size('2', 'M', 4, 0),
+    ],
+    now: NOW,
+  });
+  // The other size's date sets the window: 8 units over 4 weeks
+  assert.equal(grids[0].weeklyRate, 2);
+
+  const { grids: undated } = recommendReorders({
+    items: [size('1', 'S', 13, 0, { firstReceived: null })],
+    options: { salesDays: 91, weeksOfCover: 4 },
+    now: NOW,
+  });
+  // No dates at all: the whole sales window
+  assert.equal(undated[0].weeklyRate, 1);
+  assert.equal(undated[0].suggestedQty, 4);
+});
+
+test('draft purchase orders group suggested sizes by vendor', () => {
+  const { grids } = recommendReorders({
+    items: [
+      size('1', 'S', 4, 0),
+      size('2', 'M', 4, 0, { gridId: 66, color: 'Black', vendor: 'Maven, Inc', style: 'Maven "Easy" Tee', unitCost: 12.5 }),
+    ],
+    now: NOW,
+  });
+  const orders = buildPurchaseOrders(grids);
+
+  assert.deepEqual(orders.map(order => [order.vendor, order.units, order.totalCost]), [
+    ['Queen of Sparkles', 8, 320],
+    ['Maven, Inc', 8, 100],
+  ]);
+
+  const csv = purchaseOrdersCsv(orders).split('\n');
+  assert.equal(csv[0], 'Vendor,Style,Color,Size,Item ID,Qty,Unit Cost,Total Cost');
+  assert.equal(csv[1], 'Queen of Sparkles,Confetti Pop Cardigan,Ivory,S,1,8,40.00,320.00');
+  assert.equal(csv[2], '"Maven, Inc","Maven ""Easy"" Tee",Black,M,2,8,12.50,100.00');
+  assert.equal(csv[3], '');
+});
@@ -0,0 +1,170 @@
+// publishGridToShopify against a local mock Shopify Admin API: create, update, and recreate a
+// product that was deleted in Shopify.
+
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { createShopifyClient, createShopifyPublisher } = require('../shopifyPublisher');
+
+const TOKEN = 'test-token';
+
+// ========== Mock Shopify Admin API ==========
+// Products live in memory; PUT/POST echo the product back with product and variant IDs the way
+// Shopify does. Every request is recorded for assertions.
+const products = new Map();
+const requests = [];
+let nextId = 1000;
+
+function saveProduct(id, product) {
+  const saved = {
+    ...product,
+    id,
+    handle: product.handle || `product-${id}`,
+    variants: (product.variants || []).map(v => ({ ...v, id: v.id || nextId++ })),
+    images: (product.images || []).map(() => ({ id: nextId++, src: `https://cdn.shopify.test/${nextId}.jpg` })),
+  };
+  products.set(id, saved);
+  return saved;
+}
+
+const server = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', chunk => { body += chunk; });
+  req.on('end', () => {
+    const payload = body ? JSON.parse(body) : null;
+    requests.push({ method: req.method, url: req.url, body: payload });
+
+    const send = (status, data) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data));
+    };
+
+    if (req.headers['x-shopify-access-token'] !== TOKEN) {
+      return send(401, { errors: 'Invalid API key or access token' });
+    }
+    if (req.method === 'POST' && req.url === '/products.json') {
+      return send(201, { product: saveProduct(nextId++, payload.product) });
+    }
+    const match = req.url.match(/^\/products\/(\d+)\.json$/);
+    if (req.method === 'PUT' && match) {
+      const id = Number(match[1]);
+      if (!products.has(id)) return send(404, { errors: 'Not Found' });
+      return send(200, { product: saveProduct(id, payload.product) });
+    }
+    send(404, { errors: 'Not Found' });
+  });
+});
+
+// ========== In-memory shopify_products table ==========
+const links = new Map();
+const db = {
+  async query(text, values) {
+    if (text.startsWith('SELECT * FROM shopify_products')) {
+      return { rows: links.has(values[0]) ? [links.get(values[0])] : [] };
+    }
+    if (text.includes('INSERT INTO shopify_products')) {
+      const [gridId, productId, handle, variantIds, draftId, publishedBy, imageUrl] = values;
+      links.set(gridId, {
+        grid_id: gridId,
+        shopify_product_id: productId,
+        shopify_handle: handle,
+        variant_ids: JSON.parse(variantIds),
+        draft_id: draftId,
+        published_by: publishedBy,
+        image_url: imageUrl,
+      });
+      return { rows: [] };
+    }
+    throw new Error(`Unexpected query: ${text}`);
+  },
+};
+
+const grid = {
+  title: 'Confetti Pop Cardigan',
+  category: 'Sweaters',
+  vendor: 'Queen of Sparkles',
+  variants: [
+    { heartlandItemId: 101, sku: 'CPC-S', color: 'Ivory', size: 'S', price: 98 },
+    { heartlandItemId: 102, sku: 'CPC-M', color: 'Ivory', size: 'M', price: 98 },
+  ],
+};
+
+let publisher;
+
+before(async () => {
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const { port } = server.address();
+  publisher = createShopifyPublisher({
+    shopify: createShopifyClient({ baseUrl: `http://127.0.0.1:${port}`, token: TOKEN }),
+    db,
+    loadGrid: async () => grid,
+    loadImages: async () => [{ buffer: Buffer.from('jpeg'), originalname: 'front.jpg', altText: 'Ivory cardigan' }],
+    slugify: text => String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-'),
+  });
+});
+
+after(() => new Promise(resolve => server.close(resolve)));
+
+beforeEach(() => {
+  products.clear();
+  links.clear();
+  requests.length = 0;
+});
+
+const copy = { tags: ['cardigan', 'sparkle'], urlHandle: 'Confetti Pop', seoTitle: 'Confetti Pop Cardigan', imageAltText: [] };
+
+test('creates a product for a grid that was never published', async () => {
+  const result = await publisher.publishGridToShopify('55', { description: '<p>Sparkly</p>', metaDescription: 'Sparkly cardigan', copy, username: 'tester' });
+
+  assert.equal(result.created, true);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].method, 'POST');
+
+  const sent = requests[0].body.product;
+  assert.equal(sent.title, 'Confetti Pop Cardigan');
+  assert.equal(sent.handle, 'confetti-pop');
+  assert.equal(sent.tags, 'cardigan, sparkle');
+  assert.deepEqual(sent.options, [{ name: 'Color' }, { name: 'Size' }]);
+  assert.deepEqual(sent.variants.map(v => [v.sku, v.option1, v.option2]), [['CPC-S', 'Ivory', 'S'], ['CPC-M', 'Ivory', 'M']]);
+  assert.equal(sent.images[0].alt, 'Ivory cardigan');
+
+  const link = links.get('55');
+  assert.equal(link.shopify_product_id, result.shopifyProductId);
+  assert.deepEqual(Object.keys(link.variant_ids), ['101', '102']);
+  assert.equal(link.published_by, 'tester');
+  assert.match(link.image_url, /^https:\/\/cdn\.shopify\.test\//);
+  assert.equal(result.imageUrl, link.image_url);
+});
+
+test('updates the linked product and keeps its variant IDs', async () => {
+  const first = await publisher.publishGridToShopify('55', { description: 'v1', copy });
+  const variantIds = links.get('55').variant_ids;
+  requests.length = 0;
+
+  const result = await publisher.publishGridToShopify('55', { description: 'v2', copy });
+
+  assert.equal(result.created, false);
+  assert.equal(result.shopifyProductId, first.shopifyProductId);
+  assert.equal(requests.length, 1);
+  assert.equal(requests[0].method, 'PUT');
+  assert.equal(requests[0].url, `/products/${first.shopifyProductId}.json`);
+  assert.equal(requests[0].body.product.body_html, 'v2');
+  assert.deepEqual(requests[0].body.product.variants.map(v => v.id), [variantIds[101], variantIds[102]]);
+  assert.deepEqual(links.get('55').variant_ids, variantIds);
+});
+
+test('recreates a product Shopify reports as deleted (404)', async () => {
+  const first = await publisher.publishGridToShopify('55', { description: 'v1', copy });
+  products.delete(first.shopifyProductId);
+  requests.length = 0;
+
+  const result = await publisher.publishGridToShopify('55', { description: 'v2', copy });
+
+  assert.equal(result.created, true);
+  assert.notEqual(result.shopifyProductId, first.shopifyProductId);
+  assert.deepEqual(requests.map(r => r.method), ['PUT', 'POST']);
+  // Variant IDs of the deleted product aren't sent to the new one
+  assert.ok(requests[1].body.product.variants.every(v => v.id === undefined));
+  assert.equal(links.get('55').shopify_product_id, result.shopifyProductId);
+  assert.deepEqual(Object.keys(links.get('55').variant_ids), ['101', '102']);
+});